@@ -3,13 +3,10 @@
 
 const fs = require("fs");
 const path = require("path");
+const nznConfig = require("../scripts/nzn-config");
 
-exports.inputDir = path.join(
-  process.cwd(),
-  "data-import",
-  "2015-02-01-nznewspapers"
-);
-exports.jsonDir = path.join(process.cwd(), "docs", "data");
+exports.inputDir = path.join(__dirname, "2015-02-01-nznewspapers");
+exports.jsonDir = nznConfig.getDataDir().dataDir;
 exports.paperDir = path.join(exports.jsonDir, "papers");
 
 exports.oldIdtoNewIdFilename = path.join(
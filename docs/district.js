@@ -0,0 +1,87 @@
+console.log("Call it a district");
+
+/**
+ * Load the data for a single district.
+ * @returns The district info as an object.
+ */
+async function getDistrictInfo() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const district = urlParams.get("district");
+  return await readJsonUrl(
+    "data/districts/" + encodeURIComponent(district) + ".json"
+  );
+}
+
+/**
+ * Fill in the page title information.
+ * @param {*} data Data describing the district.
+ */
+function bannerBox(data) {
+  var box = document.querySelector(".bannerbox");
+  var heading2 = document.querySelector("#pagetitle");
+  heading2.innerHTML =
+    data.stats.count + " " + data.stats.district + " newspapers";
+
+  // A few districts, like Waitaki, cross a regional boundary:
+  data.stats.regions.forEach(function (region) {
+    appendBreadcrumbs(box, region, data.stats.district);
+  });
+}
+
+/**
+ * Fill in the district's towns and papers.
+ * @param {*} data Data describing the district.
+ */
+function contentBox(data) {
+  var box = document.querySelector(".contentbox");
+
+  var aboutDiv = appendDiv(box, "about");
+  var aboutText = appendElement(aboutDiv, "p");
+  appendText(
+    aboutText,
+    data.stats.count +
+      " newspapers from " +
+      data.stats.places +
+      " towns. " +
+      data.stats.countCurrent +
+      " are current, and " +
+      data.stats.countDigitized +
+      " have been digitised."
+  );
+
+  appendElement(box, "h3", null, "Towns");
+  var placeDiv = appendDiv(box, "multicolumnbox");
+  data.places.forEach(function (entry) {
+    var div = appendDiv(placeDiv, "columnitem");
+    appendLink(div, areaUrl("place", entry.placename), entry.placename);
+    appendText(div, " (" + entry.count + ")");
+  });
+
+  appendElement(box, "h3", null, "Newspapers by decade");
+  appendPapersByDecade(box, data.papers);
+}
+
+async function render() {
+  const data = await getDistrictInfo();
+  console.log(data.stats.count);
+
+  document.title =
+    "Newspapers of New Zealand: " +
+    data.stats.count +
+    " " +
+    data.stats.district +
+    " Newspapers";
+
+  // creates a canonical link tag:
+  let linkTag = document.createElement("link");
+  linkTag.setAttribute("rel", "canonical");
+  linkTag.href =
+    "https://www.nznewspapers.org/" + areaUrl("district", data.stats.district);
+  document.head.appendChild(linkTag);
+
+  // Finally, render the page:
+  bannerBox(data);
+  contentBox(data);
+}
+
+render();
@@ -0,0 +1,96 @@
+console.log("Call it a download");
+
+/** The export files, with the number of records in each one (from exportInfo.json). */
+const downloads = [
+  {
+    name: "nznewspapers-newspapers",
+    label: "Newspapers only",
+    about: "the newspapers listed on this site",
+  },
+  {
+    name: "nznewspapers",
+    label: "Every record",
+    about:
+      "every record, including mastheads, editions, periodicals and duplicates, with a genre column to tell them apart",
+  },
+];
+
+/**
+ * Fill in the page title information.
+ * @param {*} data The export info.
+ */
+function bannerBox(data) {
+  var heading2 = document.querySelector("#pagetitle");
+  heading2.innerHTML = "Download the data";
+}
+
+/**
+ * Fill in the download links and the column dictionary.
+ * @param {*} data The export info.
+ */
+function contentBox(data) {
+  var box = document.querySelector(".contentbox");
+
+  var aboutDiv = appendDiv(box, "about");
+  var aboutText = appendElement(aboutDiv, "p");
+  appendText(
+    aboutText,
+    "The data behind this site can be downloaded as CSV (comma-separated) or TSV (tab-separated) files, with one row for each record, for use in spreadsheets and other tools. Fields with several values, like alternate titles, notes and links, are joined with a | in a single cell."
+  );
+
+  var fileTable = appendElement(box, "table", "simpletable");
+  var header = appendElement(fileTable, "tr");
+  appendElement(header, "th", null, "Records");
+  appendElement(header, "th", null, "Count");
+  appendElement(header, "th", null, "Download");
+  downloads.forEach(function (download) {
+    var row = appendElement(fileTable, "tr");
+    var labelCell = appendElement(row, "td");
+    appendElement(labelCell, "b", null, download.label);
+    appendText(labelCell, ": " + download.about);
+    appendElement(row, "td", null, data.stats[download.name]);
+    var linkCell = appendElement(row, "td");
+    appendLink(linkCell, "data/export/" + download.name + ".csv", "CSV");
+    appendText(linkCell, " ");
+    appendLink(linkCell, "data/export/" + download.name + ".tsv", "TSV");
+  });
+
+  var columnsDiv = appendDiv(box, "about");
+  appendElement(columnsDiv, "h3", null, "Columns");
+  var columnsText = appendElement(columnsDiv, "p");
+  appendText(columnsText, "The columns are described below, and in ");
+  appendLink(
+    columnsText,
+    "data/export/nznewspapers-columns.csv",
+    "nznewspapers-columns.csv"
+  );
+  appendText(columnsText, ".");
+
+  var columnTable = appendElement(box, "table", "simpletable");
+  header = appendElement(columnTable, "tr");
+  appendElement(header, "th", null, "Column");
+  appendElement(header, "th", null, "Description");
+  data.columns.forEach(function (column) {
+    var row = appendElement(columnTable, "tr");
+    appendElement(row, "td", null, column.name);
+    appendText(appendElement(row, "td"), column.description);
+  });
+}
+
+async function render() {
+  const data = await readJsonUrl("data/export/exportInfo.json");
+
+  document.title = "Newspapers of New Zealand: download the data";
+
+  // creates a canonical link tag:
+  let linkTag = document.createElement("link");
+  linkTag.setAttribute("rel", "canonical");
+  linkTag.href = "https://www.nznewspapers.org/download.html";
+  document.head.appendChild(linkTag);
+
+  // Finally, render the page:
+  bannerBox(data);
+  contentBox(data);
+}
+
+render();
@@ -0,0 +1,122 @@
+console.log("Call it a family");
+
+/**
+ * Load the data for the family of titles that a newspaper belongs to.
+ * @returns The family info as an object, or null if the newspaper isn't in a family.
+ */
+async function getFamilyInfo() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const newspaperId = urlParams.get("id");
+
+  const familyIndex = await readJsonUrl("data/familyIndex.json");
+  if (!familyIndex || !familyIndex[newspaperId]) {
+    console.log("No title family for newspaper " + newspaperId);
+    return null;
+  }
+
+  return await readJsonUrl(
+    "data/families/" + familyIndex[newspaperId] + ".json"
+  );
+}
+
+/**
+ * Fill in the page title information.
+ * @param {*} data Data describing the family.
+ */
+function bannerBox(data) {
+  var heading2 = document.querySelector("#pagetitle");
+  heading2.innerHTML =
+    data.stats.count + " titles in the " + data.stats.title + " family";
+}
+
+/**
+ * Fill in the family timeline, one title per row in chronological order.
+ * @param {*} data Data describing the family.
+ */
+function contentBox(data) {
+  var box = document.querySelector(".contentbox");
+
+  // Work out the span of years covered by the timeline:
+  var startYear = yearNumber(data.stats.firstYear, false);
+  var endYear = yearNumber(data.stats.finalYear, true);
+  data.papers.forEach(function (newspaper) {
+    var first = yearNumber(newspaper.firstYear, false);
+    var final = yearNumber(newspaper.finalYear, true);
+    if (first && (!startYear || first < startYear)) startYear = first;
+    if (final && (!endYear || final > endYear)) endYear = final;
+  });
+  var span = Math.max(endYear - startYear + 1, 1);
+
+  var aboutDiv = appendDiv(box, "about");
+  appendElement(aboutDiv, "h3", null, "Timeline");
+  var aboutText = appendElement(aboutDiv, "p");
+  appendText(
+    aboutText,
+    "These newspapers are connected by changes of title, mergers, and splits, from " +
+      prettyYear(data.stats.firstYear) +
+      (data.stats.finalYear == "9999"
+        ? " to the present day."
+        : " to " + prettyYear(data.stats.finalYear) + ".")
+  );
+
+  var titleNames = {};
+  data.papers.forEach(function (newspaper) {
+    titleNames[newspaper.id] = newspaper.title;
+  });
+
+  data.papers.forEach(function (newspaper) {
+    var row = appendDiv(box, "timelinerow");
+
+    // A bar showing when this title was published:
+    var track = appendDiv(row, "timelinetrack");
+    var bar = appendDiv(track, "timelinebar");
+    var first = yearNumber(newspaper.firstYear, false) || startYear;
+    var final = yearNumber(newspaper.finalYear, true) || endYear;
+    addAttribute(
+      bar,
+      "style",
+      "margin-left: " +
+        ((100 * (first - startYear)) / span).toFixed(1) +
+        "%; width: " +
+        ((100 * (final - first + 1)) / span).toFixed(1) +
+        "%;"
+    );
+
+    // A description of the title, and how it relates to the others:
+    var infoDiv = appendDiv(row, "timelineinfo");
+    appendNewspaperInfo(infoDiv, newspaper);
+    if (newspaper.genre != "Newspaper") {
+      appendText(infoDiv, "(" + newspaper.genre + ") ");
+    }
+    newspaper.links.forEach(function (link) {
+      var linkDiv = appendDiv(infoDiv, "timelinelink");
+      appendText(linkDiv, link.relationship + ": ");
+      appendLink(linkDiv, "newspaper.html?id=" + link.id, titleNames[link.id]);
+    });
+  });
+}
+
+async function render() {
+  const data = await getFamilyInfo();
+  if (!data) {
+    document.querySelector("#pagetitle").innerHTML = "No Title Family";
+    return;
+  }
+  console.log("Family: " + data.stats.count);
+
+  document.title =
+    "Newspapers of New Zealand: The " + data.stats.title + " family";
+
+  // creates a canonical link tag:
+  let linkTag = document.createElement("link");
+  linkTag.setAttribute("rel", "canonical");
+  linkTag.href =
+    "https://www.nznewspapers.org/family.html?id=" + data.stats.familyId;
+  document.head.appendChild(linkTag);
+
+  // Finally, render the page:
+  bannerBox(data);
+  contentBox(data);
+}
+
+render();
@@ -83,6 +83,67 @@ function prettyYear(year) {
   }
 }
 
+/**
+ * Convert a MARC "year" to a number, allowing for unknowns like 19uu.
+ * @param {*} year The concise form of the year (may be partially unknown).
+ * @param {*} isFinal True to round unknown digits up (for final years), false to round down.
+ * @returns The year as a number, or null if it is unknown.
+ */
+function yearNumber(year, isFinal) {
+  if (!year || year == "uuuu") return null;
+  if (year == "9999") return new Date().getFullYear();
+  return parseInt(year.replace(/u/g, isFinal ? "9" : "0"));
+}
+
+/**
+ * Show a span of MARC years like "1861–1921", with unknown digits as "?" and 9999 as "present".
+ * @param {*} firstYear The first year (may be partially unknown).
+ * @param {*} finalYear The final year (may be partially unknown, or 9999).
+ * @returns The span of years.
+ */
+function yearSpan(firstYear, finalYear) {
+  var first = firstYear.replace(/u/g, "?");
+  var final = finalYear == "9999" ? "present" : finalYear.replace(/u/g, "?");
+  return first == final ? first : first + "–" + final;
+}
+
+/**
+ * Work out whether all of a newspaper's run has been digitised, from its Papers Past coverage.
+ * Unknown digits in the years of publication are given the benefit of the doubt.
+ * @param {*} newspaper A newspaper record, or a summary with the years and digitisedCoverage.
+ * @returns "complete", "partial", or null if the coverage isn't known.
+ */
+function coverageStatus(newspaper) {
+  var coverage = newspaper.digitisedCoverage;
+  if (!coverage || !coverage.firstYear || !coverage.finalYear) return null;
+
+  if (
+    (coverage.gaps && coverage.gaps.length > 0) ||
+    newspaper.finalYear == "9999" ||
+    coverage.firstYear > newspaper.firstYear.replace(/u/g, "9") ||
+    coverage.finalYear < newspaper.finalYear.replace(/u/g, "0")
+  ) {
+    return "partial";
+  }
+  return "complete";
+}
+
+/**
+ * Describe how much of a newspaper has been digitised.
+ * @param {*} newspaper A newspaper record, or a summary with the years and digitisedCoverage.
+ * @returns A phrase like "digitised 1861–1885 of 1861–1921", or null if the coverage isn't known.
+ */
+function describeCoverage(newspaper) {
+  if (!coverageStatus(newspaper)) return null;
+  var coverage = newspaper.digitisedCoverage;
+  return (
+    "digitised " +
+    yearSpan(coverage.firstYear, coverage.finalYear) +
+    " of " +
+    yearSpan(newspaper.firstYear, newspaper.finalYear)
+  );
+}
+
 /**
  * Append an HTML sentence that describes a newspaper to an HTML element.
  * @param {} div An element that we're going to add the description too.
@@ -127,6 +188,68 @@ function appendNewspaperInfo(div, newspaper) {
   appendText(div, ". ");
 }
 
+/**
+ * Get the URL of the page for a region, district, or place.
+ * @param {*} areaType The kind of area: "region", "district", or "place".
+ * @param {*} name The name of the area, e.g. "Northland" or "Far North District".
+ * @returns A URL relative to the current page.
+ */
+function areaUrl(areaType, name) {
+  return areaType + ".html?" + areaType + "=" + encodeURIComponent(name);
+}
+
+/**
+ * Append breadcrumb links that run from the region, to the district, to the place.
+ * @param {*} parent The element to add the breadcrumbs to.
+ * @param {*} region The region name.
+ * @param {*} district The district name, if there is one.
+ * @param {*} placename The placename, if there is one.
+ * @returns The new breadcrumb element.
+ */
+function appendBreadcrumbs(parent, region, district, placename) {
+  var div = appendDiv(parent, "breadcrumbs");
+  appendLink(div, "places.html", "New Zealand");
+  [
+    ["region", region],
+    ["district", district],
+    ["place", placename],
+  ].forEach(function ([areaType, name]) {
+    if (!name) return;
+    appendText(div, " \u203a ");
+    appendLink(div, areaUrl(areaType, name), name);
+  });
+  return div;
+}
+
+/**
+ * Append a list of newspapers grouped by the decade they were first published.
+ * @param {*} parent The element to add the list to.
+ * @param {*} papers A list of newspapers, sorted by firstYear.
+ */
+function appendPapersByDecade(parent, papers) {
+  var multicolumnDiv = null;
+  if (papers.length < 6) {
+    multicolumnDiv = appendDiv(parent, "columnbox");
+  } else {
+    multicolumnDiv = appendDiv(parent, "multicolumnbox");
+  }
+
+  var currentDecade = null;
+  papers.forEach(function (newspaper) {
+    var decade = newspaper.firstYear.substring(0, 3) + "0s";
+
+    // Decade heading:
+    if (decade != currentDecade) {
+      appendDiv(multicolumnDiv, "columnheading", decade);
+      currentDecade = decade;
+    }
+
+    // Newspapers:
+    var div = appendDiv(multicolumnDiv, "columnitem");
+    appendNewspaperInfo(div, newspaper);
+  });
+}
+
 /*
  * Read a local JSON file to an object and return it.
  * @param {*} url The URL of the JSON file (usually relative to the curren tpage).
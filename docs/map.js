@@ -0,0 +1,252 @@
+console.log("Call it a map");
+
+/** The size of the map, and the area of New Zealand that it shows. */
+const mapView = {
+  width: 560,
+  height: 720,
+  minLatitude: -47.5,
+  maxLatitude: -34.2,
+  minLongitude: 166.2,
+  maxLongitude: 178.8,
+};
+
+const svgNamespace = "http://www.w3.org/2000/svg";
+
+/**
+ * Project a latitude and longitude onto the map. The longitudes are scaled by the cosine of
+ * the middle latitude, which is close enough for a country the size of New Zealand.
+ * @param {*} latitude The latitude, in degrees (negative in the south).
+ * @param {*} longitude The longitude, in degrees.
+ * @returns An [x, y] pair of SVG coordinates.
+ */
+function projectPoint(latitude, longitude) {
+  const middle = (mapView.minLatitude + mapView.maxLatitude) / 2;
+  const xScale = Math.cos((middle * Math.PI) / 180);
+  const scale = Math.min(
+    mapView.width / ((mapView.maxLongitude - mapView.minLongitude) * xScale),
+    mapView.height / (mapView.maxLatitude - mapView.minLatitude)
+  );
+  return [
+    (longitude - mapView.minLongitude) * xScale * scale,
+    (mapView.maxLatitude - latitude) * scale,
+  ];
+}
+
+/**
+ * Helper function that creates a new SVG element and appends it to a parent element.
+ * @param {*} parent Where we will add the new element.
+ * @param {*} newElementName The element name (e.g. "circle" or "polygon").
+ * @param {*} attributes A dict of attributes to set on the element.
+ * @returns The new element.
+ */
+function appendSvgElement(parent, newElementName, attributes) {
+  var newElement = document.createElementNS(svgNamespace, newElementName);
+  for (const [name, value] of Object.entries(attributes)) {
+    newElement.setAttribute(name, value);
+  }
+  parent.appendChild(newElement);
+  return newElement;
+}
+
+/**
+ * Does a newspaper pass the filters on the page?
+ * @param {*} paper A newspaper from mapInfo.json, with its years and whether it is digitised.
+ * @param {*} filters A dict with the "decade" (a number, or null for any) and the "mode".
+ * @returns True if the newspaper should be counted on the map.
+ */
+function isPaperShown(paper, filters) {
+  if (filters.mode == "digitised" && !paper.isDigitized) return false;
+  if (filters.mode == "current" && paper.finalYear != "9999") return false;
+
+  // Show the papers that were published at any time during the decade:
+  if (filters.decade) {
+    const first = yearNumber(paper.firstYear, false);
+    const final = yearNumber(paper.finalYear, true) || first;
+    if (!first || first > filters.decade + 9 || final < filters.decade) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Fill in the page title information.
+ * @param {*} data The map data.
+ */
+function bannerBox(data) {
+  var heading2 = document.querySelector("#pagetitle");
+  heading2.innerHTML = "A map of " + data.stats.places + " newspaper places";
+}
+
+/**
+ * Add the decade and digitised/current filters.
+ * @param {*} box The element to put the filters in.
+ * @param {*} data The map data.
+ * @param {*} onChange Called when a filter changes.
+ * @returns A function that returns the current filters.
+ */
+function appendFilters(box, data, onChange) {
+  var form = appendElement(box, "form", "searchform");
+
+  // List the decades from the first paper to today:
+  var firstDecade = new Date().getFullYear();
+  data.places.forEach(function (place) {
+    place.papers.forEach(function (paper) {
+      const first = yearNumber(paper.firstYear, false);
+      if (first && first < firstDecade) firstDecade = first;
+    });
+  });
+  firstDecade = Math.floor(firstDecade / 10) * 10;
+
+  var decadeSelect = appendElement(form, "select");
+  appendElement(decadeSelect, "option", null, "Any decade").value = "";
+  for (
+    var decade = firstDecade;
+    decade <= new Date().getFullYear();
+    decade += 10
+  ) {
+    appendElement(decadeSelect, "option", null, decade + "s").value = decade;
+  }
+
+  appendText(form, " ");
+  var modeSelect = appendElement(form, "select");
+  [
+    ["all", "All newspapers"],
+    ["digitised", "Digitised newspapers"],
+    ["current", "Current newspapers"],
+  ].forEach(function ([value, label]) {
+    appendElement(modeSelect, "option", null, label).value = value;
+  });
+
+  decadeSelect.addEventListener("change", onChange);
+  modeSelect.addEventListener("change", onChange);
+
+  return function () {
+    return {
+      decade: decadeSelect.value ? parseInt(decadeSelect.value) : null,
+      mode: modeSelect.value,
+    };
+  };
+}
+
+/**
+ * Draw the outline of New Zealand.
+ * @param {*} svg The SVG element to draw in.
+ * @param {*} outline A dict from island name to a list of [latitude, longitude] points.
+ */
+function drawOutline(svg, outline) {
+  for (const [island, points] of Object.entries(outline)) {
+    const projected = points.map(([latitude, longitude]) =>
+      projectPoint(latitude, longitude).join(",")
+    );
+    var polygon = appendSvgElement(svg, "polygon", {
+      class: "mapland",
+      points: projected.join(" "),
+    });
+    appendSvgElement(polygon, "title", {}).textContent = island;
+  }
+}
+
+/**
+ * Draw a marker for each place, sized by the number of newspapers that pass the filters.
+ * @param {*} layer The SVG group to draw the markers in (any old markers are removed).
+ * @param {*} data The map data.
+ * @param {*} filters The current filters.
+ * @returns A dict with the number of "places" and "papers" shown.
+ */
+function drawMarkers(layer, data, filters) {
+  while (layer.firstChild) layer.removeChild(layer.firstChild);
+
+  let shown = { places: 0, papers: 0 };
+  data.places.forEach(function (place) {
+    const count = place.papers.filter((paper) =>
+      isPaperShown(paper, filters)
+    ).length;
+    if (count == 0) return;
+
+    const [x, y] = projectPoint(place.latitude, place.longitude);
+    var link = appendSvgElement(layer, "a", {
+      href: areaUrl("place", place.placename),
+    });
+    var circle = appendSvgElement(link, "circle", {
+      class: "mapmarker",
+      cx: x.toFixed(1),
+      cy: y.toFixed(1),
+      r: (2 + 1.5 * Math.sqrt(count)).toFixed(1),
+    });
+    appendSvgElement(circle, "title", {}).textContent =
+      place.placename +
+      ": " +
+      count +
+      (count == 1 ? " newspaper" : " newspapers");
+
+    shown.places += 1;
+    shown.papers += count;
+  });
+  return shown;
+}
+
+/**
+ * Fill in the filters, the map, and a summary of what it shows.
+ * @param {*} data The map data.
+ * @param {*} outline The outline of New Zealand.
+ */
+function contentBox(data, outline) {
+  var box = document.querySelector(".contentbox");
+
+  var summary = null;
+  var markers = null;
+  var getFilters = appendFilters(box, data, function () {
+    const shown = drawMarkers(markers, data, getFilters());
+    summary.textContent =
+      "Showing " + shown.papers + " newspapers in " + shown.places + " places.";
+  });
+
+  var summaryDiv = appendDiv(box, "about");
+  summary = appendElement(summaryDiv, "p");
+
+  var mapDiv = appendDiv(box, "mapbox");
+  var svg = appendSvgElement(mapDiv, "svg", {
+    viewBox: "0 0 " + mapView.width + " " + mapView.height,
+    width: mapView.width,
+    height: mapView.height,
+  });
+  drawOutline(svg, outline);
+  markers = appendSvgElement(svg, "g", {});
+
+  const shown = drawMarkers(markers, data, getFilters());
+  summary.textContent =
+    "Showing " + shown.papers + " newspapers in " + shown.places + " places.";
+
+  // Some places aren't in the gazetteer yet:
+  if (data.missing.length > 0) {
+    var missingText = appendElement(summaryDiv, "p");
+    appendText(missingText, "Not shown (no location yet): ");
+    data.missing.forEach(function (placename, i) {
+      if (i > 0) appendText(missingText, ", ");
+      appendLink(missingText, areaUrl("place", placename), placename);
+    });
+    appendText(missingText, ".");
+  }
+}
+
+async function render() {
+  const data = await readJsonUrl("data/mapInfo.json");
+  const outline = await readJsonUrl("assets/nz-outline.json");
+  console.log("Map places: " + data.stats.places);
+
+  document.title =
+    "Newspapers of New Zealand: a map of " + data.stats.places + " places";
+
+  // creates a canonical link tag:
+  let linkTag = document.createElement("link");
+  linkTag.setAttribute("rel", "canonical");
+  linkTag.href = "https://www.nznewspapers.org/map.html";
+  document.head.appendChild(linkTag);
+
+  // Finally, render the page:
+  bannerBox(data);
+  contentBox(data, outline);
+}
+
+render();
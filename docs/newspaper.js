@@ -59,13 +59,21 @@ function appendRow(tbody, field, value) {
 /**
  * Fill in the page title information.
  * @param {*} data Data describing the page comtent.
+ * @param {*} familyId The id of this newspaper's title family, if it has one.
  */
-function bannerBox(newspaper) {
+function bannerBox(newspaper, familyId) {
   var box = document.querySelector(".bannerbox");
 
   var heading2 = document.querySelector("#newspapertitle");
   heading2.innerHTML = newspaper.title;
 
+  appendBreadcrumbs(
+    box,
+    newspaper.region,
+    newspaper.district,
+    newspaper.placename
+  );
+
   var infoDiv = appendDiv(box, "links");
   appendLink(
     infoDiv,
@@ -86,9 +94,27 @@ function bannerBox(newspaper) {
   } else {
     appendText(infoDiv, "Not Digitised");
   }
+  if (familyId) {
+    appendText(infoDiv, " - ");
+    appendLink(infoDiv, "family.html?id=" + newspaper.id, "Title Family");
+  }
   box.appendChild(infoDiv);
 }
 
+/**
+ * Add a link to a related newspaper, or just its name if we don't know which record it is.
+ * @param {*} div The element to put the link into.
+ * @param {*} key The id of the related newspaper, or a placeholder like "unknown-1".
+ * @param {*} targetDescription The name of the related newspaper.
+ */
+function appendNewspaperLink(div, key, targetDescription) {
+  if (/^\d+$/.test(key)) {
+    appendLink(div, "newspaper.html?id=" + key, targetDescription);
+  } else {
+    appendText(div, targetDescription);
+  }
+}
+
 /**
  * Display links from this newspaper to preceding/succeeding titles.
  * @param {*} box The container element to put the links into.
@@ -141,15 +167,15 @@ function linkTable(box, newspaper) {
       if (direction == "Preceding" || relationship == "Continues") {
         div = appendElement(precedeCell, "div");
         appendText(div, relationship + ": ");
-        appendLink(div, "newspaper.html?id=" + key, targetDescription);
+        appendNewspaperLink(div, key, targetDescription);
       } else if (direction == "Succeeding" || relationship == "Continued By") {
         div = appendElement(succeedCell, "div");
         appendText(div, relationship + ": ");
-        appendLink(div, "newspaper.html?id=" + key, targetDescription);
+        appendNewspaperLink(div, key, targetDescription);
       } else {
         div = appendElement(relateCell, "div");
         appendText(div, relationship + ": ");
-        appendLink(div, "newspaper.html?id=" + key, targetDescription);
+        appendNewspaperLink(div, key, targetDescription);
       }
     });
   }
@@ -195,11 +221,23 @@ function keyElements(box, newspaper) {
   appendRow(tbody, "Title", newspaper.title);
   appendRow(tbody, "Genre", newspaper.genre);
   appendRow(tbody, "First Year", newspaper.firstYear);
+  if (newspaper.firstIssueDate) {
+    appendRow(tbody, "First Issue", newspaper.firstIssueDate);
+  }
   appendRow(tbody, "Is Current", newspaper.isCurrent);
   if (!newspaper.isCurrent) {
     appendRow(tbody, "Final Year", newspaper.finalYear);
+    if (newspaper.finalIssueDate) {
+      appendRow(tbody, "Final Issue", newspaper.finalIssueDate);
+    }
   }
   appendRow(tbody, "Frequency", newspaper.frequency);
+  if (newspaper.publisher) {
+    appendRow(tbody, "Publisher", newspaper.publisher);
+  }
+  if (newspaper.numbering) {
+    appendRow(tbody, "Numbering", newspaper.numbering);
+  }
   if (newspaper.urlCurrent) {
     appendRow(
       tbody,
@@ -211,6 +249,14 @@ function keyElements(box, newspaper) {
     var link = createLink(newspaper.urlDigitized, newspaper.urlDigitized);
     appendRow(tbody, "Digitised URL", link);
   }
+  var coverageText = describeCoverage(newspaper);
+  if (coverageText) {
+    var coverage = newspaper.digitisedCoverage;
+    if (coverage.issues) coverageText += ", " + coverage.issues + " issues";
+    if (coverage.gaps)
+      coverageText += ", with gaps in " + coverage.gaps.join(", ");
+    appendRow(tbody, "Digitised Coverage", coverageText);
+  }
 
   appendRow(tbody, "NLNZ MARC Number", newspaper.idMarcControlNumber);
 
@@ -234,8 +280,16 @@ function keyElements(box, newspaper) {
     "Place",
     createLink("place.html?place=" + newspaper.placename, newspaper.placename)
   );
-  appendRow(tbody, "District", newspaper.district);
-  appendRow(tbody, "Region", newspaper.region);
+  appendRow(
+    tbody,
+    "District",
+    createLink(areaUrl("district", newspaper.district), newspaper.district)
+  );
+  appendRow(
+    tbody,
+    "Region",
+    createLink(areaUrl("region", newspaper.region), newspaper.region)
+  );
 }
 
 function marcRecord(box, newspaper, marcText) {
@@ -377,17 +431,28 @@ async function render() {
   console.log("A newspaper!");
   console.log(data);
 
+  // A record that was merged into another leaves a stub that points to the one that was kept:
+  if (data && data.redirect) {
+    window.location.replace("newspaper.html?id=" + data.redirect);
+    return;
+  }
+
   const marcText = await getPaperMarc();
+  const familyIndex = await readJsonUrl("data/familyIndex.json");
+  const familyId = familyIndex ? familyIndex[data.id] : null;
 
   document.title = data.title + " - Newspapers of New Zealand";
-  bannerBox(data);
+  bannerBox(data, familyId);
   contentBox(data, marcText);
 
-  // creates a canonical link tag and dynamically builds the URL
+  // creates a canonical link tag, on the same site as the structured data:
   let linkTag = document.createElement("link");
   linkTag.setAttribute("rel", "canonical");
-  linkTag.href = "https://www.nznewspapers.org/newspaper.html?id=" + data.id;
+  linkTag.href = structuredDataBaseUrl + "newspaper.html?id=" + data.id;
   document.head.appendChild(linkTag);
+
+  // describes the newspaper for search engines:
+  appendJsonLd(newspaperJsonLd(data));
 }
 
 render();
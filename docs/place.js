@@ -26,6 +26,15 @@ function bannerBox(data) {
   var heading2 = document.querySelector("#pagetitle");
   heading2.innerHTML =
     data.stats.count + " " + data.stats.placename + " newspapers";
+
+  if (data.stats.region) {
+    appendBreadcrumbs(
+      box,
+      data.stats.region,
+      data.stats.district,
+      data.stats.placename
+    );
+  }
 }
 
 /**
@@ -34,29 +43,7 @@ function bannerBox(data) {
  */
 function contentBox(data) {
   var box = document.querySelector(".contentbox");
-
-  var multicolumnDiv = null;
-  if (data.stats.count < 6) {
-    multicolumnDiv = appendDiv(box, "columnbox");
-  } else {
-    multicolumnDiv = appendDiv(box, "multicolumnbox");
-  }
-
-  var currentDecade = null;
-  data.papers.forEach(function (newspaper) {
-    firstYear = newspaper.firstYear;
-    decade = firstYear.substring(0, 3) + "0s";
-
-    // Decade heading:
-    if (decade != currentDecade) {
-      appendDiv(multicolumnDiv, "columnheading", decade);
-      currentDecade = decade;
-    }
-
-    // Newspapers:
-    div = appendDiv(multicolumnDiv, "columnitem");
-    appendNewspaperInfo(div, newspaper);
-  });
+  appendPapersByDecade(box, data.papers);
 }
 
 async function render() {
@@ -74,9 +61,12 @@ async function render() {
   let linkTag = document.createElement("link");
   linkTag.setAttribute("rel", "canonical");
   linkTag.href =
-    "https://www.nznewspapers.org/place.html?place=" + data.stats.placename;
+    structuredDataBaseUrl + "place.html?place=" + data.stats.placename;
   document.head.appendChild(linkTag);
 
+  // describes the place and its newspapers for search engines:
+  appendJsonLd(placeJsonLd(data));
+
   // Finally, render the page:
   bannerBox(data);
   contentBox(data);
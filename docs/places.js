@@ -1,12 +1,53 @@
+/**
+ * Should a newspaper be listed on the page?
+ * @param {*} mode Which newspapers to show: "all", "current" or "digitised".
+ * @param {*} coverage For digitised newspapers, "complete" or "partial" to show only those.
+ * @param {*} newspaper A newspaper from placeInfo.json.
+ * @returns True if the newspaper should be listed.
+ */
+function isListed(mode, coverage, newspaper) {
+  if (mode == "current") return newspaper.finalYear == "9999";
+  if (mode == "digitised") {
+    if (!newspaper.urlDigitized) return false;
+    return !coverage || coverageStatus(newspaper) == coverage;
+  }
+  return true;
+}
+
+/**
+ * Count the digitised newspapers with complete or partial coverage.
+ * @param {*} data The placeInfo data.
+ * @returns A dict with the "complete" and "partial" counts.
+ */
+function countCoverage(data) {
+  var counts = { complete: 0, partial: 0 };
+  data.lists.regionList.forEach(function (region) {
+    data.lists[region].districtList.forEach(function (district) {
+      data.lists[region][district].forEach(function (newspaper) {
+        var status = newspaper.urlDigitized ? coverageStatus(newspaper) : null;
+        if (status) counts[status] += 1;
+      });
+    });
+  });
+  return counts;
+}
+
 /**
  * Fill in the page title information.
  * @param {*} data Data describing the page comtent.
  */
-function bannerBox(mode, data) {
+function bannerBox(mode, coverage, data) {
   // Set the web page title:
   document.title = "Newspapers of New Zealand";
   if (mode == "current") {
     document.title += ": " + data.stats.countCurrent + " current Newspapers";
+  } else if (mode == "digitised" && coverage) {
+    document.title +=
+      ": " +
+      countCoverage(data)[coverage] +
+      " " +
+      coverage +
+      "ly digitised Newspapers";
   } else if (mode == "digitised") {
     document.title +=
       ": " + data.stats.countDigitized + " digitised Newspapers";
@@ -18,6 +59,12 @@ function bannerBox(mode, data) {
   var titleText = "";
   if (mode == "current") {
     titleText = data.stats.countCurrent + " current Newspapers";
+  } else if (mode == "digitised" && coverage) {
+    titleText =
+      countCoverage(data)[coverage] +
+      " " +
+      coverage +
+      "ly digitised Newspapers";
   } else if (mode == "digitised") {
     titleText = data.stats.countDigitized + " digitised Newspapers";
   } else {
@@ -34,32 +81,68 @@ function bannerBox(mode, data) {
   heading2.innerHTML = titleText;
 }
 
+/**
+ * Add links to show all the digitised newspapers, or only those with complete or partial coverage.
+ * @param {*} box The container element to put the links into.
+ * @param {*} coverage The coverage being shown, or null for all.
+ * @param {*} data The placeInfo data.
+ */
+function coverageLinks(box, coverage, data) {
+  var counts = countCoverage(data);
+  var linksDiv = appendDiv(box, "links");
+  appendText(linksDiv, "Show: ");
+  var choices = [
+    [null, "all digitised (" + data.stats.countDigitized + ")"],
+    ["complete", "complete runs (" + counts.complete + ")"],
+    ["partial", "partly digitised (" + counts.partial + ")"],
+  ];
+  choices.forEach(function ([choice, label], i) {
+    if (i > 0) appendText(linksDiv, " - ");
+    if (choice == coverage) {
+      appendElement(linksDiv, "b", null, label);
+    } else {
+      var url = "places.html?mode=digitised";
+      if (choice) url += "&coverage=" + choice;
+      appendLink(linksDiv, url, label);
+    }
+  });
+}
+
 /**
  * Fill in the page title and content.
  * @param {*} data Data describing this newspaper.
  */
-function contentBox(mode, data) {
+function contentBox(mode, coverage, data) {
   var box = document.querySelector(".contentbox");
+  if (mode == "digitised") coverageLinks(box, coverage, data);
   var multicolumnDiv = appendDiv(box, "multicolumnbox");
 
   for (var i = 0; i < data.lists.regionList.length; i++) {
     region = data.lists.regionList[i];
-    appendDiv(multicolumnDiv, "columnheading", region);
+    var regionDiv = appendDiv(multicolumnDiv, "columnheading");
+    appendLink(regionDiv, areaUrl("region", region), region);
 
     districtList = data.lists[region]["districtList"];
     for (var j = 0; j < districtList.length; j++) {
       district = districtList[j];
-      appendDiv(multicolumnDiv, "columnsubheading", district);
+      var districtDiv = appendDiv(multicolumnDiv, "columnsubheading");
+      appendLink(districtDiv, areaUrl("district", district), district);
 
       newspaperList = data.lists[region][district];
       newspaperList.forEach(function (newspaper) {
-        if (
-          mode == "all" ||
-          (mode == "digitised" && newspaper.urlDigitized) ||
-          (mode == "current" && newspaper.finalYear == "9999")
-        ) {
+        if (isListed(mode, coverage, newspaper)) {
           div = appendDiv(multicolumnDiv, "columnitem");
           appendNewspaperInfo(div, newspaper);
+          if (mode == "digitised" && describeCoverage(newspaper)) {
+            appendText(
+              div,
+              "(" +
+                coverageStatus(newspaper) +
+                ": " +
+                describeCoverage(newspaper) +
+                ")"
+            );
+          }
         }
       });
     }
@@ -77,6 +160,15 @@ async function render() {
     }
   }
 
+  // For digitised titles, the "coverage" parameter can show only complete or partial runs:
+  coverage = null;
+  if (mode == "digitised") {
+    coverage = urlParams.get("coverage");
+    if (coverage != "complete" && coverage != "partial") {
+      coverage = null;
+    }
+  }
+
   // The placeInfo file holds all the papers, organized by place:
   const data = await readJsonUrl("data/placeInfo.json");
   console.log("Places: " + data.stats.count);
@@ -86,14 +178,17 @@ async function render() {
   if (mode == "current" || mode == "digitised") {
     canonicalUrl += "?mode=" + mode;
   }
+  if (coverage) {
+    canonicalUrl += "&coverage=" + coverage;
+  }
   let linkTag = document.createElement("link");
   linkTag.setAttribute("rel", "canonical");
   linkTag.href = canonicalUrl;
   document.head.appendChild(linkTag);
 
   // Finally, render the page:
-  bannerBox(mode, data);
-  contentBox(mode, data);
+  bannerBox(mode, coverage, data);
+  contentBox(mode, coverage, data);
 }
 
 render();
@@ -0,0 +1,93 @@
+console.log("Call it a region");
+
+/**
+ * Load the data for a single region.
+ * @returns The region info as an object.
+ */
+async function getRegionInfo() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const region = urlParams.get("region");
+  return await readJsonUrl(
+    "data/regions/" + encodeURIComponent(region) + ".json"
+  );
+}
+
+/**
+ * Fill in the page title information.
+ * @param {*} data Data describing the region.
+ */
+function bannerBox(data) {
+  var box = document.querySelector(".bannerbox");
+  var heading2 = document.querySelector("#pagetitle");
+  heading2.innerHTML =
+    data.stats.count + " " + data.stats.region + " newspapers";
+  appendBreadcrumbs(box, data.stats.region);
+}
+
+/**
+ * Fill in the region's districts, towns, and papers.
+ * @param {*} data Data describing the region.
+ */
+function contentBox(data) {
+  var box = document.querySelector(".contentbox");
+
+  var aboutDiv = appendDiv(box, "about");
+  var aboutText = appendElement(aboutDiv, "p");
+  appendText(
+    aboutText,
+    data.stats.count +
+      " newspapers from " +
+      data.stats.places +
+      " towns in " +
+      data.stats.districts +
+      " districts. " +
+      data.stats.countCurrent +
+      " are current, and " +
+      data.stats.countDigitized +
+      " have been digitised."
+  );
+
+  appendElement(box, "h3", null, "Districts");
+  var districtDiv = appendDiv(box, "multicolumnbox");
+  data.districts.forEach(function (entry) {
+    var div = appendDiv(districtDiv, "columnitem");
+    appendLink(div, areaUrl("district", entry.district), entry.district);
+    appendText(div, " (" + entry.count + ")");
+  });
+
+  appendElement(box, "h3", null, "Towns");
+  var placeDiv = appendDiv(box, "multicolumnbox");
+  data.places.forEach(function (entry) {
+    var div = appendDiv(placeDiv, "columnitem");
+    appendLink(div, areaUrl("place", entry.placename), entry.placename);
+    appendText(div, " (" + entry.count + ")");
+  });
+
+  appendElement(box, "h3", null, "Newspapers by decade");
+  appendPapersByDecade(box, data.papers);
+}
+
+async function render() {
+  const data = await getRegionInfo();
+  console.log(data.stats.count);
+
+  document.title =
+    "Newspapers of New Zealand: " +
+    data.stats.count +
+    " " +
+    data.stats.region +
+    " Newspapers";
+
+  // creates a canonical link tag:
+  let linkTag = document.createElement("link");
+  linkTag.setAttribute("rel", "canonical");
+  linkTag.href =
+    "https://www.nznewspapers.org/" + areaUrl("region", data.stats.region);
+  document.head.appendChild(linkTag);
+
+  // Finally, render the page:
+  bannerBox(data);
+  contentBox(data);
+}
+
+render();
@@ -0,0 +1,317 @@
+console.log("Call it a search");
+
+/** How much a match in each field counts towards a result's score. */
+const fieldWeights = {
+  title: 10,
+  idPapersPastCode: 8,
+  idMarcControlNumber: 8,
+  alternateTitles: 6,
+  placename: 5,
+  district: 3,
+  region: 3,
+  notes: 1,
+};
+
+/** The most results we will show on the page. */
+const maxResults = 200;
+
+/**
+ * Reduce text to lowercase words without accents or punctuation, so "Māori" matches "maori".
+ * @param {*} str The text to normalise.
+ * @returns The normalised text.
+ */
+function normaliseText(str) {
+  return (str || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[\W_]+/g, " ")
+    .trim();
+}
+
+/**
+ * Split text into normalised words.
+ * @param {*} str The text to split.
+ * @returns A list of words.
+ */
+function tokenize(str) {
+  const text = normaliseText(str);
+  return text ? text.split(" ") : [];
+}
+
+/**
+ * Count the edits needed to turn one word into another (the Levenshtein distance).
+ * @param {*} a The first word.
+ * @param {*} b The second word.
+ * @returns The number of single-letter insertions, deletions, or substitutions.
+ */
+function editDistance(a, b) {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) == b.charAt(j - 1) ? 0 : 1;
+      current.push(
+        Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how well a word from the query matches a word from a record.
+ * @param {*} queryWord A normalised word from the search query.
+ * @param {*} word A normalised word from a record.
+ * @returns 1 for an exact match, less for prefix and fuzzy matches, 0 for no match.
+ */
+function matchWord(queryWord, word) {
+  if (word == queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.8;
+
+  // Allow a typo or two in longer words:
+  let maxEdits = 0;
+  if (queryWord.length >= 8) maxEdits = 2;
+  else if (queryWord.length >= 4) maxEdits = 1;
+  if (maxEdits == 0) return 0;
+
+  if (Math.abs(word.length - queryWord.length) <= maxEdits) {
+    if (editDistance(queryWord, word) <= maxEdits) return 0.5;
+  }
+  if (word.length > queryWord.length) {
+    const prefix = word.substring(0, queryWord.length);
+    if (editDistance(queryWord, prefix) <= maxEdits) return 0.4;
+  }
+  return 0;
+}
+
+/**
+ * Turn the compact search index into a list of records, with the words of each field.
+ * @param {*} data The search index, with a list of field names and a list of value arrays.
+ * @returns A list of records.
+ */
+function expandSearchIndex(data) {
+  return data.records.map(function (values) {
+    let record = { words: {} };
+    data.fields.forEach(function (field, i) {
+      record[field] = values[i];
+    });
+    for (const field in fieldWeights) {
+      record.words[field] = tokenize(record[field]);
+    }
+    record.first = yearNumber(record.firstYear, false);
+    record.final = yearNumber(record.finalYear, true);
+    return record;
+  });
+}
+
+/**
+ * Score a record against the search query.
+ * @param {*} record A record from expandSearchIndex().
+ * @param {*} queryWords The normalised words of the query.
+ * @param {*} queryText The whole normalised query.
+ * @returns A score, or 0 if some word in the query doesn't match the record.
+ */
+function scoreRecord(record, queryWords, queryText) {
+  let score = 0;
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const field in fieldWeights) {
+      for (const word of record.words[field]) {
+        const match = matchWord(queryWord, word) * fieldWeights[field];
+        if (match > best) best = match;
+      }
+    }
+    if (best == 0) return 0;
+    score += best;
+  }
+
+  // Prefer titles that match the whole query:
+  const title = normaliseText(record.title).replace(/^the /, "");
+  if (title == queryText.replace(/^the /, "")) {
+    score += 20;
+  } else if (title.startsWith(queryText.replace(/^the /, ""))) {
+    score += 10;
+  }
+
+  return score;
+}
+
+/**
+ * Does a record pass the filters chosen on the search form?
+ * @param {*} record A record from expandSearchIndex().
+ * @param {*} filters The genre, decade, region, digitised and current filters.
+ * @returns True if the record should be included.
+ */
+function passesFilters(record, filters) {
+  if (filters.genre != "all" && record.genre != filters.genre) return false;
+  if (filters.region && record.region != filters.region) return false;
+  if (filters.digitised && !record.urlDigitized) return false;
+  if (filters.current && record.finalYear != "9999") return false;
+  if (filters.decade) {
+    // Include papers published at any time during the decade:
+    const decade = parseInt(filters.decade);
+    if (record.first === null || record.first > decade + 9) return false;
+    if (record.final !== null && record.final < decade) return false;
+  }
+  return true;
+}
+
+/**
+ * Search the records.
+ * @param {*} records The records from expandSearchIndex().
+ * @param {*} query The text typed into the search box.
+ * @param {*} filters The genre, decade, region, digitised and current filters.
+ * @returns A list of matching records, best first.
+ */
+function search(records, query, filters) {
+  const queryText = normaliseText(query);
+  const queryWords = tokenize(query);
+
+  let results = [];
+  records.forEach(function (record) {
+    if (!passesFilters(record, filters)) return;
+    if (queryWords.length == 0) {
+      results.push({ record: record, score: 0 });
+      return;
+    }
+    const score = scoreRecord(record, queryWords, queryText);
+    if (score > 0) results.push({ record: record, score: score });
+  });
+
+  results.sort(function (a, b) {
+    return b.score - a.score || a.record.title.localeCompare(b.record.title);
+  });
+  return results.map((result) => result.record);
+}
+
+/**
+ * Add an option to a select element.
+ * @param {*} select The select element.
+ * @param {*} value The value of the option.
+ * @param {*} text The text to show.
+ * @param {*} selectedValue The value that should be selected.
+ */
+function appendOption(select, value, text, selectedValue) {
+  const option = appendElement(select, "option");
+  option.value = value;
+  option.textContent = text;
+  if (value == selectedValue) option.selected = true;
+}
+
+/**
+ * Fill in the search form with the choices from the data, and the current query.
+ * @param {*} records The records from expandSearchIndex().
+ * @param {*} query The text typed into the search box.
+ * @param {*} filters The genre, decade, region, digitised and current filters.
+ */
+function searchForm(records, query, filters) {
+  document.querySelector("#searchquery").value = query;
+  document.querySelector("#searchdigitised").checked = filters.digitised;
+  document.querySelector("#searchcurrent").checked = filters.current;
+
+  let genres = new Set();
+  let regions = new Set();
+  let decades = new Set();
+  records.forEach(function (record) {
+    genres.add(record.genre);
+    regions.add(record.region);
+    if (record.first !== null) decades.add(Math.floor(record.first / 10) * 10);
+  });
+
+  const genreSelect = document.querySelector("#searchgenre");
+  appendOption(genreSelect, "all", "All genres", filters.genre);
+  Array.from(genres)
+    .sort()
+    .forEach((genre) => appendOption(genreSelect, genre, genre, filters.genre));
+
+  const decadeSelect = document.querySelector("#searchdecade");
+  Array.from(decades)
+    .sort()
+    .forEach((decade) =>
+      appendOption(decadeSelect, decade, decade + "s", filters.decade)
+    );
+
+  const regionSelect = document.querySelector("#searchregion");
+  Array.from(regions)
+    .sort()
+    .forEach((region) =>
+      appendOption(regionSelect, region, region, filters.region)
+    );
+}
+
+/**
+ * Fill in the page title information.
+ * @param {*} query The text typed into the search box.
+ * @param {*} results The matching records.
+ */
+function bannerBox(query, results) {
+  var heading2 = document.querySelector("#pagetitle");
+  if (query) {
+    heading2.innerHTML = "";
+    appendText(heading2, results.length + " results for '" + query + "'");
+  } else {
+    heading2.innerHTML = results.length + " results";
+  }
+}
+
+/**
+ * Fill in the search results.
+ * @param {*} results The matching records.
+ */
+function contentBox(results) {
+  var box = document.querySelector(".contentbox");
+
+  if (results.length > maxResults) {
+    appendDiv(
+      box,
+      "columnitem",
+      "Showing the best " + maxResults + " of " + results.length + " results."
+    );
+  }
+
+  var multicolumnDiv = appendDiv(box, "multicolumnbox");
+  results.slice(0, maxResults).forEach(function (record) {
+    var div = appendDiv(multicolumnDiv, "columnitem");
+    appendNewspaperInfo(div, record);
+    if (record.genre != "Newspaper") {
+      appendText(div, "(" + record.genre + ") ");
+    }
+  });
+}
+
+async function render() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const query = urlParams.get("q") || "";
+  const filters = {
+    genre: urlParams.get("genre") || "Newspaper",
+    decade: urlParams.get("decade") || "",
+    region: urlParams.get("region") || "",
+    digitised: urlParams.get("digitised") == "1",
+    current: urlParams.get("current") == "1",
+  };
+
+  const data = await readJsonUrl("data/searchIndex.json");
+  const records = expandSearchIndex(data);
+  console.log("Search records: " + records.length);
+
+  searchForm(records, query, filters);
+
+  // Don't list everything until the reader asks for something:
+  const hasFilters =
+    filters.decade || filters.region || filters.digitised || filters.current;
+  if (!query && !hasFilters) return;
+
+  const results = search(records, query, filters);
+  document.title = "Newspapers of New Zealand: Search for " + query;
+
+  bannerBox(query, results);
+  contentBox(results);
+}
+
+render();
@@ -0,0 +1,213 @@
+// structured-data.js
+// Describes newspapers and places as schema.org JSON-LD, for search engines and harvesters.
+// The newspaper and place pages load it with a script tag; the scripts can require it too.
+
+// The address of the site: the static site generator (nzn-static.js) sets siteBaseUrl to the
+// configured base URL, and the scripts read the same setting from nzn-config.js.
+const structuredDataBaseUrl =
+  typeof siteBaseUrl !== "undefined"
+    ? siteBaseUrl
+    : typeof module !== "undefined"
+    ? require("../scripts/nzn-config").getBaseUrl()
+    : "https://www.nznewspapers.org/";
+
+/**
+ * Turn a MARC "year" into a schema.org date, if it is fully known.
+ * @param {*} year The concise form of the year (may be partially unknown, or 9999 for current).
+ * @param {*} issueDate An ISO date for the first or final issue, used instead if there is one.
+ * @returns The date as a string, or null if it isn't known.
+ */
+function structuredDate(year, issueDate) {
+  if (issueDate) return issueDate;
+  if (!year || year == "9999" || !/^\d{4}$/.test(year)) return null;
+  return year;
+}
+
+/**
+ * Describe a place, and the district and region it is in.
+ * @param {*} placename The name of the place.
+ * @param {*} district The district name.
+ * @param {*} region The region name.
+ * @returns A schema.org Place.
+ */
+function structuredPlace(placename, district, region) {
+  const area = (areaType, name, containedIn) => ({
+    "@type": "AdministrativeArea",
+    name: name,
+    url:
+      structuredDataBaseUrl +
+      areaType +
+      ".html?" +
+      areaType +
+      "=" +
+      encodeURIComponent(name),
+    containedInPlace: containedIn,
+  });
+
+  const country = { "@type": "Country", name: "New Zealand" };
+  let containedIn = country;
+  if (region) containedIn = area("region", region, containedIn);
+  if (district) containedIn = area("district", district, containedIn);
+
+  return {
+    "@type": "Place",
+    name: placename,
+    url:
+      structuredDataBaseUrl +
+      "place.html?place=" +
+      encodeURIComponent(placename),
+    containedInPlace: containedIn,
+  };
+}
+
+/**
+ * Describe a newspaper as a schema.org Newspaper (or Periodical, for other genres).
+ * @param {*} newspaper The newspaper record, as in data/papers.
+ * @returns The JSON-LD object.
+ */
+function newspaperJsonLd(newspaper) {
+  const url = structuredDataBaseUrl + "newspaper.html?id=" + newspaper.id;
+  let jsonLd = {
+    "@context": "https://schema.org",
+    "@type": newspaper.genre == "Newspaper" ? "Newspaper" : "Periodical",
+    "@id": url,
+    url: url,
+    name: newspaper.title,
+  };
+
+  if (newspaper.alternateTitle) {
+    jsonLd.alternateName = Object.values(newspaper.alternateTitle);
+  }
+
+  const startDate = structuredDate(
+    newspaper.firstYear,
+    newspaper.firstIssueDate
+  );
+  const endDate = structuredDate(newspaper.finalYear, newspaper.finalIssueDate);
+  if (startDate) jsonLd.startDate = startDate;
+  if (endDate) jsonLd.endDate = endDate;
+
+  if (newspaper.placename) {
+    jsonLd.locationCreated = structuredPlace(
+      newspaper.placename,
+      newspaper.district,
+      newspaper.region
+    );
+  }
+  if (newspaper.publisher) {
+    jsonLd.publisher = { "@type": "Organization", name: newspaper.publisher };
+  }
+
+  // The same newspaper elsewhere: Papers Past, its own website, and its MARC record:
+  let sameAs = [];
+  if (newspaper.urlDigitized) sameAs.push(newspaper.urlDigitized);
+  if (newspaper.urlCurrent) sameAs.push(newspaper.urlCurrent);
+  if (newspaper.idMarcControlNumber) {
+    sameAs.push(structuredDataBaseUrl + "data/marc/" + newspaper.id + ".text");
+  }
+  if (sameAs.length > 0) jsonLd.sameAs = sameAs;
+
+  let identifiers = [];
+  if (newspaper.idMarcControlNumber) {
+    identifiers.push({
+      "@type": "PropertyValue",
+      propertyID: "NLNZ MARC Number",
+      value: newspaper.idMarcControlNumber,
+    });
+  }
+  if (newspaper.idPapersPastCode) {
+    identifiers.push({
+      "@type": "PropertyValue",
+      propertyID: "Papers Past Code",
+      value: newspaper.idPapersPastCode,
+    });
+  }
+  if (identifiers.length > 0) jsonLd.identifier = identifiers;
+
+  // The titles this one continues, or is continued by (the same test as the Links table):
+  let successorOf = [];
+  let predecessorOf = [];
+  for (const [key, link] of Object.entries(newspaper.links || {})) {
+    // Placeholder keys like "unknown-1" don't have a page to point to:
+    if (!/^\d+$/.test(key)) continue;
+
+    const relationship = link.relationship || link.direction;
+    const target = {
+      "@type": "Periodical",
+      "@id": structuredDataBaseUrl + "newspaper.html?id=" + key,
+      name: link["target-description"],
+    };
+    if (link.direction == "Preceding" || relationship == "Continues") {
+      successorOf.push(target);
+    } else if (
+      link.direction == "Succeeding" ||
+      relationship == "Continued By"
+    ) {
+      predecessorOf.push(target);
+    }
+  }
+  if (successorOf.length > 0) jsonLd.successorOf = successorOf;
+  if (predecessorOf.length > 0) jsonLd.predecessorOf = predecessorOf;
+
+  return jsonLd;
+}
+
+/**
+ * Describe a place and the newspapers published there.
+ * @param {*} data The place data, as in data/places.
+ * @returns The JSON-LD object.
+ */
+function placeJsonLd(data) {
+  let jsonLd = Object.assign(
+    { "@context": "https://schema.org" },
+    structuredPlace(
+      data.stats.placename,
+      data.stats.district,
+      data.stats.region
+    )
+  );
+  jsonLd["@id"] = jsonLd.url;
+
+  if (data.stats.latitude && data.stats.longitude) {
+    jsonLd.geo = {
+      "@type": "GeoCoordinates",
+      latitude: data.stats.latitude,
+      longitude: data.stats.longitude,
+    };
+  }
+
+  jsonLd.subjectOf = data.papers.map(function (newspaper) {
+    const url = structuredDataBaseUrl + "newspaper.html?id=" + newspaper.id;
+    let paper = {
+      "@type": "Newspaper",
+      "@id": url,
+      url: url,
+      name: newspaper.title,
+    };
+    const startDate = structuredDate(newspaper.firstYear);
+    const endDate = structuredDate(newspaper.finalYear);
+    if (startDate) paper.startDate = startDate;
+    if (endDate) paper.endDate = endDate;
+    return paper;
+  });
+
+  return jsonLd;
+}
+
+/**
+ * Add a JSON-LD script tag to the head of the page.
+ * @param {*} jsonLd The JSON-LD object.
+ */
+function appendJsonLd(jsonLd) {
+  let scriptTag = document.createElement("script");
+  scriptTag.setAttribute("type", "application/ld+json");
+  scriptTag.textContent = JSON.stringify(jsonLd);
+  document.head.appendChild(scriptTag);
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    newspaperJsonLd: newspaperJsonLd,
+    placeJsonLd: placeJsonLd,
+  };
+}
@@ -0,0 +1,124 @@
+// nzn-config.js
+// Work out where the newspaper data lives, so the scripts can be run from any folder and
+// against a scratch copy of the data.
+
+const fs = require("fs");
+const path = require("path");
+
+/** The root of the nznewspapers repository. */
+exports.repoDir = path.join(__dirname, "..");
+
+/** An optional config file, like {"dataDir": "../scratch/data"}. Paths are relative to the file. */
+exports.configPath = process.env.NZN_CONFIG
+  ? path.resolve(process.env.NZN_CONFIG)
+  : path.join(exports.repoDir, "nzn.config.json");
+
+/** The options that name a path, and are handled here rather than by each script. */
+const pathOptions = ["--data-dir", "--input"];
+
+/**
+ * Find a path option, like "--data-dir <dir>" or "--data-dir=<dir>", in a list of command line arguments.
+ * @param {*} argv The command line arguments, without "node" and the script name.
+ * @param {*} option The option name, e.g. "--data-dir".
+ * @returns The value, or null if the option isn't there.
+ */
+function findOption(argv, option) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] == option && i + 1 < argv.length) return argv[i + 1];
+    if (argv[i].startsWith(option + "=")) {
+      return argv[i].substring(option.length + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove the path options from a list of command line arguments, so the scripts can read
+ * their mode and other arguments without tripping over them.
+ * @param {*} argv The command line arguments, without "node" and the script name.
+ * @returns The other arguments.
+ */
+exports.stripPathArgs = function (argv) {
+  let args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (pathOptions.includes(argv[i])) {
+      i++;
+    } else if (
+      !pathOptions.some((option) => argv[i].startsWith(option + "="))
+    ) {
+      args.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+/**
+ * Find an input file given with the --input option, for scripts that read one (like a MARC file).
+ * @param {*} argv The command line arguments, without "node" and the script name.
+ * @returns The absolute path of the file, or null.
+ */
+exports.getInputFile = function (argv = process.argv.slice(2)) {
+  const input = findOption(argv, "--input");
+  return input ? path.resolve(input) : null;
+};
+
+/**
+ * Read the config file, if there is one.
+ * @returns The config as a dict (empty if there is no config file).
+ */
+exports.readConfig = function () {
+  if (!fs.existsSync(exports.configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(exports.configPath, "utf8"));
+  } catch (err) {
+    console.error("Error reading config '" + exports.configPath + "': " + err);
+    process.exit(1);
+  }
+};
+
+/**
+ * Work out the data directory, from (in order of preference) a --data-dir option, the
+ * NZN_DATA_DIR environment variable, the dataDir in the config file, or docs/data.
+ * @param {*} argv The command line arguments, without "node" and the script name.
+ * @param {*} env The environment variables.
+ * @returns A dict with the absolute "dataDir", and the "source" it came from.
+ */
+exports.getDataDir = function (
+  argv = process.argv.slice(2),
+  env = process.env
+) {
+  const arg = findOption(argv, "--data-dir");
+  if (arg) return { dataDir: path.resolve(arg), source: "--data-dir" };
+
+  if (env.NZN_DATA_DIR) {
+    return { dataDir: path.resolve(env.NZN_DATA_DIR), source: "NZN_DATA_DIR" };
+  }
+
+  const config = exports.readConfig();
+  if (config.dataDir) {
+    return {
+      dataDir: path.resolve(path.dirname(exports.configPath), config.dataDir),
+      source: exports.configPath,
+    };
+  }
+
+  return {
+    dataDir: path.join(exports.repoDir, "docs", "data"),
+    source: "default",
+  };
+};
+
+/** The address of the live site, used in sitemaps and canonical links. */
+exports.defaultBaseUrl = "https://www.nznewspapers.org/";
+
+/**
+ * Work out the base URL of the site, from (in order of preference) the NZN_BASE_URL environment
+ * variable, the baseUrl in the config file, or the live site. It always ends with a slash.
+ * @param {*} env The environment variables.
+ * @returns The base URL, e.g. "https://www.nznewspapers.org/".
+ */
+exports.getBaseUrl = function (env = process.env) {
+  let baseUrl = env.NZN_BASE_URL || exports.readConfig().baseUrl;
+  if (!baseUrl) baseUrl = exports.defaultBaseUrl;
+  return baseUrl.endsWith("/") ? baseUrl : baseUrl + "/";
+};
@@ -0,0 +1,331 @@
+// nzn-dedupe.js
+
+// This script looks for newspaper records that describe the same newspaper. The National
+// Bibliography updater stops at duplicate MARC numbers, but records without a MARC number (and
+// the 2015 import's "Duplicate" records) can still repeat each other. Records are clustered when
+// they share a normalised title (or alternate title), their years overlap, and they have the same
+// placename or placecode. The script writes a report that shows the fields that differ in each
+// cluster side by side (dedupeReport.md), and a merge plan (mergePlan.json) that says which
+// record to keep in each cluster.
+//
+// It can be run from the command line, or required as a module and run with
+// reportDuplicates(options).
+
+const fs = require("fs");
+const path = require("path");
+const nznShared = require("./nzn-shared");
+
+/** The fields that are always shown in the report, so each record can be recognised. */
+const summaryFields = ["title", "genre", "firstYear", "finalYear", "placename"];
+
+/** Fields that are different in every record, and aren't worth comparing. */
+const ignoredFields = ["id", "sources", "revision"];
+
+/**
+ * Get the normalised titles of a newspaper record, including its alternate titles.
+ * @param {*} newspaper The newspaper record.
+ * @returns A list of normalised titles.
+ */
+function normalisedTitles(newspaper) {
+  const titles = [newspaper.title].concat(
+    Object.values(newspaper.alternateTitle || {})
+  );
+  return Array.from(
+    new Set(titles.map((title) => nznShared.normaliseTitle(title)))
+  ).filter((title) => title);
+}
+
+/**
+ * Could two records with the same normalised title be the same newspaper? Records that link to
+ * each other (like a newspaper and its masthead, or a title and its edition) are already known
+ * to be different.
+ * @param {*} a A newspaper record.
+ * @param {*} b Another newspaper record with a matching title.
+ * @returns True if their years overlap, they were published in the same place, and they don't
+ *   link to each other.
+ */
+function isDuplicatePair(a, b) {
+  if ((a.links && a.links[b.id]) || (b.links && b.links[a.id])) return false;
+
+  // Records with their own MARC numbers are usually editions, like "Courier (Eastern Ed.)", so
+  // they are only paired if the edition in brackets is the same too:
+  const fullTitle = (newspaper) =>
+    nznShared.normaliseTitle(newspaper.title.replace(/[()]/g, " "));
+  if (
+    a.idMarcControlNumber &&
+    b.idMarcControlNumber &&
+    fullTitle(a) != fullTitle(b)
+  ) {
+    return false;
+  }
+
+  const samePlace =
+    (a.placename && a.placename == b.placename) ||
+    (a.placecode && a.placecode != "unknown" && a.placecode == b.placecode);
+  return (
+    samePlace &&
+    nznShared.yearsOverlap(
+      nznShared.yearRange(a.firstYear, a.finalYear),
+      nznShared.yearRange(b.firstYear, b.finalYear)
+    )
+  );
+}
+
+/**
+ * Choose the record to keep in a cluster: a Newspaper rather than a Duplicate, then one with a
+ * MARC number, then the one with the most fields, then the oldest.
+ * @param {*} records The newspaper records in the cluster.
+ * @returns The id of the record to keep.
+ */
+function chooseRecordToKeep(records) {
+  const rank = (newspaper) => [
+    newspaper.genre == "Newspaper" ? 0 : 1,
+    newspaper.genre == "Duplicate" ? 1 : 0,
+    newspaper.idMarcControlNumber ? 0 : 1,
+    -Object.keys(newspaper).length,
+    newspaper.id,
+  ];
+  const sorted = records.slice().sort(function (a, b) {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    for (let i = 0; i < rankA.length; i++) {
+      if (rankA[i] != rankB[i]) return rankA[i] - rankB[i];
+    }
+    return 0;
+  });
+  return String(sorted[0].id);
+}
+
+/**
+ * Show a field value in one cell of the report.
+ * @param {*} value The value of a field, which may be a list or object.
+ * @returns The text of the cell.
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value == "object" ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+/**
+ * List the fields whose values are not the same in every record of a cluster.
+ * @param {*} records The newspaper records in the cluster.
+ * @returns A list of field names, sorted.
+ */
+function differingFields(records) {
+  let fields = new Set();
+  records.forEach((newspaper) =>
+    Object.keys(newspaper).forEach((field) => fields.add(field))
+  );
+  return Array.from(fields)
+    .filter((field) => !ignoredFields.includes(field))
+    .filter(
+      (field) =>
+        new Set(records.map((newspaper) => formatValue(newspaper[field])))
+          .size > 1
+    )
+    .sort();
+}
+
+/**
+ * Find the clusters of records that look like the same newspaper.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record.
+ * @returns A list of clusters, each a dict with the "ids" (sorted), the id to "keep", the ids
+ *   to "merge" into it, and the "differences" (the fields that are not the same).
+ */
+exports.findDuplicates = function (newspaperRecords) {
+  // Group the records by each of their normalised titles:
+  let titles = {};
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    normalisedTitles(newspaper).forEach(function (title) {
+      if (!titles[title]) titles[title] = [];
+      titles[title].push(id);
+    });
+  }
+
+  // Join the pairs of records that could be the same newspaper into clusters:
+  let clusterOf = {};
+  function findCluster(id) {
+    while (clusterOf[id] && clusterOf[id] != id) id = clusterOf[id];
+    return id;
+  }
+  for (const ids of Object.values(titles)) {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = newspaperRecords[ids[i]];
+        const b = newspaperRecords[ids[j]];
+        if (isDuplicatePair(a, b)) {
+          const rootA = findCluster(ids[i]);
+          const rootB = findCluster(ids[j]);
+          clusterOf[rootA] = rootA;
+          clusterOf[rootB] = rootA;
+        }
+      }
+    }
+  }
+
+  let clusters = {};
+  for (const id of Object.keys(clusterOf)) {
+    const root = findCluster(id);
+    if (!clusters[root]) clusters[root] = [];
+    clusters[root].push(id);
+  }
+
+  return Object.values(clusters)
+    .map((ids) => ids.sort((a, b) => a - b))
+    .sort((a, b) => a[0] - b[0])
+    .map(function (ids) {
+      const records = ids.map((id) => newspaperRecords[id]);
+      const keep = chooseRecordToKeep(records);
+      return {
+        ids: ids,
+        keep: keep,
+        merge: ids.filter((id) => id != keep),
+        differences: differingFields(records),
+      };
+    });
+};
+
+/**
+ * Write the report of the clusters, with the fields of each record side by side.
+ * @param {*} clusters The clusters, from findDuplicates().
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record.
+ * @returns The report, as Markdown.
+ */
+function reportMarkdown(clusters, newspaperRecords) {
+  let md = "# Duplicate newspaper records\n\n";
+  md += "* Generated: " + new Date().toISOString() + "\n";
+  md += "* Records: " + Object.keys(newspaperRecords).length + "\n";
+  md += "* Clusters: " + clusters.length + "\n\n";
+  md +=
+    "Each cluster is a set of records with the same normalised title, overlapping years, and the same place, that don't link to each other. The fields that differ are in bold.\n";
+
+  clusters.forEach(function (cluster) {
+    const records = cluster.ids.map((id) => newspaperRecords[id]);
+    md += "\n## " + newspaperRecords[cluster.keep].title;
+    md += " (" + cluster.ids.join(", ") + ")\n\n";
+    md +=
+      "Keep " + cluster.keep + ", merge " + cluster.merge.join(", ") + ".\n\n";
+
+    md += "| Field | " + cluster.ids.join(" | ") + " |\n";
+    md += "|---" + "|---".repeat(cluster.ids.length) + "|\n";
+    const fields = summaryFields.concat(
+      cluster.differences.filter((field) => !summaryFields.includes(field))
+    );
+    fields.forEach(function (field) {
+      const label = cluster.differences.includes(field)
+        ? "**" + field + "**"
+        : field;
+      md +=
+        "| " +
+        label +
+        " | " +
+        records.map((newspaper) => formatValue(newspaper[field])).join(" | ") +
+        " |\n";
+    });
+  });
+  return md;
+}
+
+/**
+ * Read the merge plan, with the decisions that have already been made.
+ * @param {*} filename The path of the merge plan.
+ * @returns A dict that maps from a cluster key (the ids joined with "+") to a planned merge.
+ */
+exports.readMergePlan = function (filename) {
+  if (!fs.existsSync(filename)) return {};
+  return JSON.parse(fs.readFileSync(filename, "utf8")).merges || {};
+};
+
+/**
+ * Find the duplicate records, and write the report and the merge plan. Planned merges that
+ * already have a decision are kept as they are; the others are made afresh.
+ * @param {*} options A dict with an optional "dataDir", an optional "reportFile" (instead of
+ *   dedupeReport.md in the data dir), and an optional "planFile" (instead of mergePlan.json in
+ *   the data dir).
+ * @returns A dict with the number of "records", "clusters", and "duplicates" (records that
+ *   would be merged into another), and the list of "clusterKeys".
+ */
+exports.reportDuplicates = function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.idToGenrePath)) {
+    throw new Error("Missing genre index: " + nznShared.idToGenrePath);
+  }
+  const reportFile =
+    options.reportFile || path.join(nznShared.jsonDir, "dedupeReport.md");
+  const planFile =
+    options.planFile || path.join(nznShared.jsonDir, "mergePlan.json");
+  console.log("Paper dir: " + nznShared.paperDir);
+  console.log("Report file: " + reportFile);
+  console.log("Merge plan: " + planFile);
+
+  const newspaperRecords = nznShared.getNewspaperRecords();
+  const clusters = exports.findDuplicates(newspaperRecords);
+
+  let merges = {};
+  for (const [key, merge] of Object.entries(exports.readMergePlan(planFile))) {
+    if (merge.decision) merges[key] = merge;
+  }
+  clusters.forEach(function (cluster) {
+    const key = cluster.ids.join("+");
+    console.log(
+      "Cluster " +
+        key +
+        ": " +
+        newspaperRecords[cluster.keep].title +
+        " (differs: " +
+        (cluster.differences.join(", ") || "nothing") +
+        ")"
+    );
+    if (merges[key]) return;
+    merges[key] = {
+      title: newspaperRecords[cluster.keep].title,
+      keep: cluster.keep,
+      merge: cluster.merge,
+      differences: cluster.differences,
+      decision: null,
+    };
+  });
+
+  fs.writeFileSync(reportFile, reportMarkdown(clusters, newspaperRecords));
+  nznShared.writeJsonDict(
+    {
+      about:
+        "Planned merges of duplicate newspaper records. Check the keep and merge ids, then " +
+        'set the decision to "merge" or "reject".',
+      merges: merges,
+    },
+    planFile
+  );
+
+  const duplicates = clusters.reduce(
+    (sum, cluster) => sum + cluster.merge.length,
+    0
+  );
+  console.log(
+    "Found " +
+      clusters.length +
+      " clusters, with " +
+      duplicates +
+      " duplicate records"
+  );
+  return {
+    records: Object.keys(newspaperRecords).length,
+    clusters: clusters.length,
+    duplicates: duplicates,
+    clusterKeys: clusters.map((cluster) => cluster.ids.join("+")),
+  };
+};
+
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+  try {
+    exports.reportDuplicates();
+    console.log("Ending: " + process.argv[1]);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,228 @@
+// nzn-dom.js
+
+// A very small stand-in for the browser's document, with just enough of the DOM for the page
+// scripts in the docs folder (createElement, appendChild, innerHTML, querySelector, and so on)
+// to render a page in Node. The static site generator (nzn-static.js) uses it to turn the
+// same scripts that run in the browser into plain HTML.
+
+/** Elements that have no closing tag. */
+const voidElements = ["br", "hr", "img", "input", "link", "meta"];
+
+/**
+ * Escape text for use in HTML.
+ * @param {*} text The text.
+ * @returns The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escape text for use in an HTML attribute value.
+ * @param {*} text The text.
+ * @returns The escaped text.
+ */
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
+}
+
+/** A text node. */
+class TextNode {
+  constructor(text) {
+    this.text = String(text);
+    this.parentNode = null;
+  }
+
+  get textContent() {
+    return this.text;
+  }
+
+  toHtml() {
+    return escapeHtml(this.text);
+  }
+}
+
+/** A fragment of HTML set with innerHTML, which is written out as it is. */
+class HtmlFragment {
+  constructor(html) {
+    this.html = String(html);
+    this.parentNode = null;
+  }
+
+  get textContent() {
+    return this.html.replace(/<[^>]*>/g, "");
+  }
+
+  toHtml() {
+    return this.html;
+  }
+}
+
+/** An element, with attributes and child nodes. */
+class Element {
+  constructor(tagName) {
+    this.tagName = tagName.toLowerCase();
+    this.attributes = {};
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttributeNode(attribute) {
+    this.setAttribute(attribute.name, attribute.value);
+  }
+
+  appendChild(child) {
+    // Like the browser, appending a node that is already in the document moves it:
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.childNodes = this.childNodes.filter((node) => node !== child);
+    child.parentNode = null;
+    return child;
+  }
+
+  get firstChild() {
+    return this.childNodes.length > 0 ? this.childNodes[0] : null;
+  }
+
+  addEventListener() {
+    // Static pages have no events.
+  }
+
+  get id() {
+    return this.getAttribute("id") || "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get className() {
+    return this.getAttribute("class") || "";
+  }
+
+  set className(value) {
+    this.setAttribute("class", value);
+  }
+
+  get href() {
+    return this.getAttribute("href") || "";
+  }
+
+  set href(value) {
+    this.setAttribute("href", value);
+  }
+
+  get value() {
+    return this.getAttribute("value") || "";
+  }
+
+  set value(value) {
+    this.setAttribute("value", value);
+  }
+
+  get innerHTML() {
+    return this.childNodes.map((node) => node.toHtml()).join("");
+  }
+
+  set innerHTML(html) {
+    this.childNodes = [new HtmlFragment(html)];
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join("");
+  }
+
+  set textContent(text) {
+    this.childNodes = [new TextNode(text)];
+  }
+
+  /**
+   * Find the first element that matches a simple selector: "#id", ".class", or "tag".
+   * @param {*} selector The selector.
+   * @returns The element, or null.
+   */
+  querySelector(selector) {
+    for (const node of this.childNodes) {
+      if (!(node instanceof Element)) continue;
+      if (node.matches(selector)) return node;
+      const found = node.querySelector(selector);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  matches(selector) {
+    if (selector.startsWith("#")) return this.id == selector.substring(1);
+    if (selector.startsWith(".")) {
+      return this.className.split(/\s+/).includes(selector.substring(1));
+    }
+    return this.tagName == selector.toLowerCase();
+  }
+
+  toHtml() {
+    let html = "<" + this.tagName;
+    for (const [name, value] of Object.entries(this.attributes)) {
+      html += " " + name + '="' + escapeAttribute(value) + '"';
+    }
+    html += ">";
+    if (voidElements.includes(this.tagName)) return html;
+
+    // Scripts (like JSON-LD) are written without escaping, but can't close the tag early:
+    if (this.tagName == "script") {
+      return html + this.textContent.replace(/<\//g, "<\\/") + "</script>";
+    }
+    return html + this.innerHTML + "</" + this.tagName + ">";
+  }
+}
+
+/** A document with a head and a body, and the methods the page scripts use to build pages. */
+class Document {
+  constructor() {
+    this.title = "";
+    this.head = new Element("head");
+    this.body = new Element("body");
+  }
+
+  createElement(tagName) {
+    return new Element(tagName);
+  }
+
+  createElementNS(namespace, tagName) {
+    return new Element(tagName);
+  }
+
+  createTextNode(text) {
+    return new TextNode(text);
+  }
+
+  createAttribute(name) {
+    return { name: name, value: "" };
+  }
+
+  querySelector(selector) {
+    return (
+      this.head.querySelector(selector) || this.body.querySelector(selector)
+    );
+  }
+}
+
+exports.Document = Document;
+exports.Element = Element;
+exports.escapeHtml = escapeHtml;
+exports.escapeAttribute = escapeAttribute;
@@ -0,0 +1,243 @@
+// nzn-export.js
+
+// This script writes the whole dataset as CSV and TSV files, one row for each record, for use in
+// spreadsheets. Fields that hold lists or objects (alternateTitle, notes, links, and so on) are
+// flattened into a single cell. It writes an export of every record in newspaperIdToGenre.json
+// (except the redirect stubs left by merges), an export of the Newspaper records only, and a
+// dictionary that describes each column.
+//
+// It can be run from the command line, or required as a module and run with exportData(options).
+
+const fs = require("fs");
+const path = require("path");
+const nznShared = require("./nzn-shared");
+const nznSchema = require("./nzn-schema");
+
+/** The separator used when several values are flattened into one cell. */
+const valueSeparator = " | ";
+
+/**
+ * The columns of the export, in order, with a description of each one. Most columns are
+ * fields from the schema; the "url" column is the record's page on the website.
+ */
+const columns = [
+  ["id", "The record's identifier on this site"],
+  ["title", "The title of the newspaper"],
+  ["genre", "The kind of record: " + nznSchema.genres.join(", ")],
+  ["firstYear", "The first year of publication (u marks an unknown digit)"],
+  ["finalYear", "The final year of publication (9999 if still published)"],
+  ["alternateTitle", "Other titles, separated by |"],
+  ["description", "A short description of the newspaper"],
+  ["placename", "The town where it was published"],
+  ["placecode", "A code for the place, used to sort places by region"],
+  ["district", "The district where it was published"],
+  ["region", "The region where it was published"],
+  ["frequency", "How often it was published, e.g. Weekly"],
+  ["firstIssueDate", "The date of the first issue (YYYY-MM-DD)"],
+  ["finalIssueDate", "The date of the final issue (YYYY-MM-DD)"],
+  ["numbering", "The numbering of the issues, from the MARC record"],
+  ["isCurrent", "true if the newspaper is still published"],
+  ["price", "The price of an issue"],
+  ["publisher", "The publisher, from the MARC record"],
+  ["subjects", "Subject headings from the MARC record, separated by |"],
+  ["urlDigitized", "Where to read the digitised newspaper (e.g. Papers Past)"],
+  ["urlCurrent", "The website of a current newspaper"],
+  ["mastheadURL", "An image of the masthead"],
+  ["idMarcControlNumber", "The National Bibliography (MARC) control number"],
+  ["idPapersPastCode", "The Papers Past code for the title"],
+  ["idNZNewspapersV1", "The identifier used by the 2015 version of this site"],
+  [
+    "otherFormats",
+    "Other formats, like online versions, from the MARC record, separated by |",
+  ],
+  ["notes", "Notes about the newspaper, separated by |"],
+  [
+    "links",
+    "Related records, e.g. 'Continued By 1797 (Budget)', separated by |",
+  ],
+  ["sources", "Where the data came from, newest first, separated by |"],
+  ["revision", "How many times the record has been changed"],
+  ["url", "The record's page on this site"],
+].map(([name, description]) => ({ name: name, description: description }));
+
+/**
+ * Flatten a field of a newspaper record into the text of one cell.
+ * @param {*} newspaper The newspaper record.
+ * @param {*} name The column name.
+ * @returns The text of the cell (empty if the record has no value).
+ */
+function flattenField(newspaper, name) {
+  const value = newspaper[name];
+
+  if (name == "url") {
+    return nznShared.baseUrl + "newspaper.html?id=" + newspaper.id;
+  }
+  if (value === undefined || value === null) return "";
+
+  if (name == "links") {
+    return Object.entries(value)
+      .map(function ([targetId, link]) {
+        let text = (link.relationship || link.direction) + " " + targetId;
+        if (link["target-description"]) {
+          text += " (" + link["target-description"].replace(/\s+/g, " ") + ")";
+        }
+        return text;
+      })
+      .join(valueSeparator);
+  }
+  if (name == "otherFormats") {
+    return value
+      .map(function (format) {
+        let text = [format.description, format.title]
+          .filter((part) => part)
+          .join(": ");
+        if (format.controlNumber) text += " (" + format.controlNumber + ")";
+        return text;
+      })
+      .join(valueSeparator);
+  }
+  if (name == "sources") {
+    return Object.keys(value)
+      .sort()
+      .reverse()
+      .map((date) => date + ": " + value[date])
+      .join(valueSeparator);
+  }
+  if (Array.isArray(value)) return value.join(valueSeparator);
+  if (typeof value == "object")
+    return Object.values(value).join(valueSeparator);
+  return String(value);
+}
+
+/**
+ * Format one cell for a CSV file, quoting it if it holds a comma, a quote or a new line.
+ * @param {*} text The text of the cell.
+ * @returns The CSV cell.
+ */
+function csvCell(text) {
+  if (/[",\r\n]/.test(text)) return '"' + text.replace(/"/g, '""') + '"';
+  return text;
+}
+
+/**
+ * Format one cell for a TSV file. TSV has no quoting, so tabs and new lines become spaces.
+ * @param {*} text The text of the cell.
+ * @returns The TSV cell.
+ */
+function tsvCell(text) {
+  return text.replace(/[\t\r\n]+/g, " ");
+}
+
+/**
+ * Format a table of rows as CSV or TSV.
+ * @param {*} rows A list of rows, each a list of cell text. The first row is the header.
+ * @param {*} format Either "csv" or "tsv".
+ * @returns The content of the file.
+ */
+exports.formatRows = function (rows, format) {
+  const cell = format == "tsv" ? tsvCell : csvCell;
+  const separator = format == "tsv" ? "\t" : ",";
+  return rows.map((row) => row.map(cell).join(separator) + "\n").join("");
+};
+
+/**
+ * Make the rows of the export, starting with the header.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record.
+ * @param {*} genres A list of genres to include, or null for every record.
+ * @returns A list of rows, each a list of cell text.
+ */
+exports.exportRows = function (newspaperRecords, genres = null) {
+  let rows = [columns.map((column) => column.name)];
+  Object.values(newspaperRecords)
+    .filter((newspaper) => !genres || genres.includes(newspaper.genre))
+    .sort((a, b) => a.id - b.id)
+    .forEach(function (newspaper) {
+      rows.push(columns.map((column) => flattenField(newspaper, column.name)));
+    });
+  return rows;
+};
+
+/**
+ * Write the CSV and TSV exports, and the column dictionary, to the export dir.
+ * @param {*} options A dict with an optional "dataDir", and optional "genres" to export only
+ *   some genres (as well as the Newspaper-only export).
+ * @returns A dict with the number of records in each export.
+ */
+exports.exportData = function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.idToGenrePath)) {
+    throw new Error("Missing genre index: " + nznShared.idToGenrePath);
+  }
+  const exportDir = path.join(nznShared.jsonDir, "export");
+  if (!fs.existsSync(exportDir)) fs.mkdirSync(exportDir);
+  console.log("Paper dir: " + nznShared.paperDir);
+  console.log("Export dir: " + exportDir);
+
+  const newspaperRecords = nznShared.getNewspaperRecords();
+
+  // Every record, and the Newspaper records that are published on the site:
+  let exportFiles = [
+    { name: "nznewspapers", genres: null },
+    { name: "nznewspapers-newspapers", genres: ["Newspaper"] },
+  ];
+  if (options.genres) {
+    exportFiles.push({
+      name:
+        "nznewspapers-" +
+        options.genres.join("-").toLowerCase().replace(/\W+/g, "-"),
+      genres: options.genres,
+    });
+  }
+
+  let counts = {};
+  exportFiles.forEach(function (item) {
+    const rows = exports.exportRows(newspaperRecords, item.genres);
+    for (const format of ["csv", "tsv"]) {
+      const filename = path.join(exportDir, item.name + "." + format);
+      fs.writeFileSync(filename, exports.formatRows(rows, format));
+    }
+    counts[item.name] = rows.length - 1;
+    console.log("  Wrote " + (rows.length - 1) + " records to " + item.name);
+  });
+
+  // The column dictionary, as a CSV file for spreadsheets and as JSON for the download page:
+  const dictionary = [["column", "description"]].concat(
+    columns.map((column) => [column.name, column.description])
+  );
+  fs.writeFileSync(
+    path.join(exportDir, "nznewspapers-columns.csv"),
+    exports.formatRows(dictionary, "csv")
+  );
+  nznShared.writeJsonDict(
+    { stats: counts, columns: columns },
+    path.join(exportDir, "exportInfo.json")
+  );
+
+  return counts;
+};
+
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+
+  // Any arguments are genres for an extra export, e.g. "Masthead":
+  const genres =
+    nznShared.commandArgs.length > 0 ? nznShared.commandArgs : null;
+  const unknown = (genres || []).filter(
+    (genre) => !nznSchema.genres.includes(genre)
+  );
+  if (unknown.length > 0) {
+    console.error("Unknown genre: " + unknown.join(", "));
+    console.error("Genres: " + nznSchema.genres.join(", "));
+    process.exitCode = 2;
+  } else {
+    try {
+      exports.exportData({ genres: genres });
+      console.log("Ending: " + process.argv[1]);
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+// nzn-gazetteer.js
+
+// This script checks the gazetteer (data/gazetteer.json), which gives the latitude and longitude
+// of each place for the map page. It reports the placenames used by newspaper records that have
+// no coordinates, gazetteer entries that no record uses, and coordinates outside New Zealand.
+
+const fs = require("fs");
+const nznShared = require("./nzn-shared");
+
+// Confirm the required paths and input files:
+if (!fs.existsSync(nznShared.gazetteerPath)) {
+  console.error("Missing gazetteer: " + nznShared.gazetteerPath);
+  process.exit(1);
+}
+
+console.log("Running: " + process.argv[1]);
+console.log(" * Newspaper dir: " + nznShared.paperDir);
+console.log(" * Gazetteer:     " + nznShared.gazetteerPath);
+
+/** A generous box around New Zealand and its outlying islands (the Chathams are east of 180). */
+const bounds = {
+  minLatitude: -53,
+  maxLatitude: -29,
+  minLongitude: 165,
+  maxLongitude: 184,
+};
+
+/**
+ * Check that a gazetteer entry has numeric coordinates inside New Zealand.
+ * @param {*} entry A gazetteer entry, with a "latitude" and "longitude".
+ * @returns True if the coordinates look right.
+ */
+function isInBounds(entry) {
+  // Longitudes just past 180 are written as negative numbers, e.g. -176.5 for the Chathams:
+  let longitude = entry.longitude;
+  if (typeof longitude == "number" && longitude < 0) longitude += 360;
+  return (
+    typeof entry.latitude == "number" &&
+    typeof longitude == "number" &&
+    entry.latitude >= bounds.minLatitude &&
+    entry.latitude <= bounds.maxLatitude &&
+    longitude >= bounds.minLongitude &&
+    longitude <= bounds.maxLongitude
+  );
+}
+
+/**
+ * Compare the gazetteer with the placenames in the newspaper records, and print a report.
+ * @returns The number of placenames that are missing from the gazetteer.
+ */
+function reportGazetteer() {
+  const gazetteer = nznShared.readGazetteer();
+  const newspaperRecords = nznShared.getNewspaperRecords();
+
+  // Count the newspapers (and other records) in each place:
+  let placeCounts = {};
+  for (const newspaper of Object.values(newspaperRecords)) {
+    const pname = newspaper.placename;
+    if (!pname) continue;
+    if (!placeCounts[pname]) placeCounts[pname] = { newspapers: 0, other: 0 };
+    if (newspaper.genre == "Newspaper") {
+      placeCounts[pname].newspapers += 1;
+    } else {
+      placeCounts[pname].other += 1;
+    }
+  }
+
+  const missing = Object.keys(placeCounts)
+    .filter((pname) => !gazetteer[pname])
+    .sort();
+  const unused = Object.keys(gazetteer)
+    .filter((pname) => !placeCounts[pname])
+    .sort();
+  const outOfBounds = Object.keys(gazetteer)
+    .filter((pname) => !isInBounds(gazetteer[pname]))
+    .sort();
+
+  console.log("Missing coordinates:");
+  missing.forEach(function (pname) {
+    console.log(
+      " * " +
+        pname +
+        " (" +
+        placeCounts[pname].newspapers +
+        " newspapers, " +
+        placeCounts[pname].other +
+        " other records)"
+    );
+  });
+
+  console.log("Unused gazetteer entries:");
+  unused.forEach((pname) => console.log(" * " + pname));
+
+  console.log("Coordinates outside New Zealand:");
+  outOfBounds.forEach(function (pname) {
+    console.log(" * " + pname + ": " + JSON.stringify(gazetteer[pname]));
+  });
+
+  console.log(
+    "End reportGazetteer(): " + Object.keys(placeCounts).length + " places"
+  );
+  console.log("* Gazetteer entries: " + Object.keys(gazetteer).length);
+  console.log("* Missing coordinates: " + missing.length);
+  console.log("* Unused entries: " + unused.length);
+  console.log("* Outside New Zealand: " + outOfBounds.length);
+
+  return missing.length;
+}
+
+reportGazetteer();
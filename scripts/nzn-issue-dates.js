@@ -0,0 +1,182 @@
+// nzn-issue-dates.js
+
+// This script reads the MARC 362 "Dates of Publication" statement for each newspaper, like
+// "Vol. 1, no. 1 (June 15, 1840)-v. 1, no. 27 (Dec. 10, 1840)", and uses it to fill in the
+// firstIssueDate and finalIssueDate fields. It reports dates that conflict with the firstYear
+// and finalYear fields, and statements that it could not parse.
+
+const fs = require("fs");
+const nznShared = require("./nzn-shared");
+const nznMarcFields = require("./nzn-marc-fields");
+
+// Confirm the required paths and input files:
+if (!fs.existsSync(nznShared.marcDir)) {
+  console.error("Missing MARC dir: " + nznShared.marcDir);
+  process.exit(1);
+}
+
+console.log("Running: " + process.argv[1]);
+console.log(" * Newspaper dir: " + nznShared.paperDir);
+console.log(" * MARC dir:      " + nznShared.marcDir);
+
+// Figure out a mode of operation...
+const commandArgs = nznShared.commandArgs;
+let mode = "report";
+switch ((commandArgs[0] || "").toLowerCase()) {
+  case "report":
+    mode = "report";
+    break;
+  case "update":
+    mode = "update";
+    break;
+  default:
+    console.log("Warning: mode not specified, defaulting to 'report'");
+}
+console.log(" * Mode: " + mode);
+
+/**
+ * Does an ISO date fall within a MARC "year", allowing for unknowns like 19uu?
+ * @param {string} isoDate A date like "1840-06-15".
+ * @param {string} year The concise form of the year (may be partially unknown).
+ * @returns True if the date matches every known digit of the year.
+ */
+function isDateInYear(isoDate, year) {
+  if (!year || year == "9999") return false;
+  for (let i = 0; i < 4; i++) {
+    const c = year.charAt(i);
+    if (c != "u" && c != isoDate.charAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Read the 362 statements for a newspaper and combine them into one pair of issue dates.
+ * @param {*} marc A marcjs Record.
+ * @returns A dict with the "statements", "firstIssueDate", "finalIssueDate" and a list of "unparsed" statements.
+ */
+function readIssueDates(marc) {
+  let result = {
+    statements: [],
+    firstIssueDate: null,
+    finalIssueDate: null,
+    unparsed: [],
+  };
+
+  marc.get(/362/).forEach((field) => {
+    field["subf"].forEach((pair) => {
+      if (pair[0] != "a") return;
+      const statement = pair[1];
+      result.statements.push(statement);
+
+      const dates = nznMarcFields.parseIssueDates(statement);
+      if (!dates.isParsed) result.unparsed.push(statement);
+      if (dates.firstIssueDate && !result.firstIssueDate) {
+        result.firstIssueDate = dates.firstIssueDate;
+      }
+      if (dates.finalIssueDate && !result.finalIssueDate) {
+        result.finalIssueDate = dates.finalIssueDate;
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Check every newspaper with a MARC record, and fill in any missing issue dates.
+ */
+function updateIssueDates() {
+  console.log("Start updateIssueDates()");
+
+  let newspaperRecords = nznShared.getNewspaperRecords();
+
+  let count = 0;
+  let countStatements = 0;
+  let countFilled = 0;
+  let countConflict = 0;
+  let countDiffers = 0;
+  let countUpdates = 0;
+  let unparsed = [];
+
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    const marc = nznShared.readNewspaperMarc(id);
+    if (!marc) continue;
+    count++;
+
+    const issueDates = readIssueDates(marc);
+    countStatements += issueDates.statements.length;
+    issueDates.unparsed.forEach((statement) =>
+      unparsed.push(id + " (" + newspaper.title + "): " + statement)
+    );
+
+    let isUpdated = false;
+    for (const [field, yearField] of [
+      ["firstIssueDate", "firstYear"],
+      ["finalIssueDate", "finalYear"],
+    ]) {
+      const date = issueDates[field];
+      if (!date) continue;
+
+      if (!isDateInYear(date, newspaper[yearField])) {
+        countConflict++;
+        console.log(
+          "Conflict: " +
+            id +
+            " (" +
+            newspaper.title +
+            ") 362 gives " +
+            field +
+            " " +
+            date +
+            " but " +
+            yearField +
+            " is " +
+            newspaper[yearField]
+        );
+      } else if (newspaper[field] && newspaper[field] != date) {
+        countDiffers++;
+        console.log(
+          "Differs: " +
+            id +
+            " (" +
+            newspaper.title +
+            ") 362 gives " +
+            field +
+            " " +
+            date +
+            " but the record has " +
+            newspaper[field]
+        );
+      } else if (!newspaper[field]) {
+        countFilled++;
+        console.log(
+          "Filled: " + id + " (" + newspaper.title + ") " + field + " = " + date
+        );
+        newspaper[field] = date;
+        isUpdated = true;
+      }
+    }
+
+    if (isUpdated && mode == "update") {
+      nznShared.writeNewspaper(
+        id,
+        newspaper,
+        "Issue dates derived from MARC 362 using the nzn-issue-dates.js script."
+      );
+      countUpdates++;
+    }
+  }
+
+  console.log("Unparsed statements:");
+  unparsed.forEach((line) => console.log(" * " + line));
+
+  console.log("End updateIssueDates(): " + count + " MARC records");
+  console.log("* Statements: " + countStatements + " 362 fields");
+  console.log("* Unparsed: " + unparsed.length + " statements");
+  console.log("* Filled: " + countFilled + " dates");
+  console.log("* Conflict with year: " + countConflict + " dates");
+  console.log("* Differs from record: " + countDiffers + " dates");
+  console.log("* Records updated: " + countUpdates + " records");
+}
+
+updateIssueDates();
@@ -0,0 +1,358 @@
+// nzn-link-resolver.js
+
+// This script finds links that were stored under placeholder keys like "unknown-1" (by the
+// National Bibliography updater) or "undefined-unknown" (by the 2015 data import), tries to
+// match each one to a real newspaper record, and reports (or rewrites) the link keys.
+
+const fs = require("fs");
+const nznShared = require("./nzn-shared");
+
+// Confirm the required paths and input files:
+if (!fs.existsSync(nznShared.idToGenrePath)) {
+  console.error("Missing genre index: " + nznShared.idToGenrePath);
+  process.exit(1);
+}
+
+console.log("Running: " + process.argv[1]);
+console.log(" * Newspaper dir: " + nznShared.paperDir);
+console.log(" * MARC dir:      " + nznShared.marcDir);
+
+// Figure out a mode of operation...
+const commandArgs = nznShared.commandArgs;
+let mode = "report";
+switch ((commandArgs[0] || "").toLowerCase()) {
+  case "report":
+    mode = "report";
+    break;
+  case "resolve":
+    mode = "resolve";
+    break;
+  default:
+    console.log("Warning: mode not specified, defaulting to 'report'");
+}
+console.log(" * Mode: " + mode);
+
+/** The minimum score a candidate needs before we will rewrite a link to point to it. */
+const minimumScore = 6;
+
+/**
+ * Is this a link key that doesn't point to a real newspaper record?
+ * @param {string} key The key in a newspaper's links dict.
+ * @returns True for keys like "unknown-1" or "undefined-unknown".
+ */
+function isPlaceholderKey(key) {
+  return key.startsWith("unknown-") || key.startsWith("undefined-");
+}
+
+/**
+ * Split the qualifier off a MARC linking title, e.g. "Star (Christchurch, N.Z. : 1868)".
+ * @param {string} description The target-description of a link.
+ * @returns A dict with the placename and year from the qualifier, if there are any.
+ */
+function parseQualifier(description) {
+  let result = { placename: null, year: null };
+  const match = description.match(/\(([^)]*)\)/);
+  if (!match) return result;
+
+  const qualifier = match[1];
+  const year = qualifier.match(/\b(1[89]\d\d|20\d\d)\b/);
+  if (year) result.year = year[1];
+  const place = qualifier.match(/^([^,:]+), N\.Z\./);
+  if (place) result.placename = nznShared.titleCleanup(place[1]);
+
+  return result;
+}
+
+/**
+ * Index every newspaper record by normalised title, and by MARC control numbers.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record.
+ * @returns A dict with "titles" (normalised title -> list of ids) and "controlNumbers" (number -> id).
+ */
+function buildIndexes(newspaperRecords) {
+  let titles = {};
+  let controlNumbers = {};
+
+  function addTitle(title, id) {
+    const key = nznShared.normaliseTitle(title);
+    if (!key) return;
+    if (!titles[key]) titles[key] = [];
+    if (!titles[key].includes(id)) titles[key].push(id);
+  }
+
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    // Match the full title, the title without its subtitle, and any alternate titles:
+    addTitle(newspaper.title, id);
+    addTitle(newspaper.title.split(":")[0], id);
+    if (newspaper.alternateTitle) {
+      Object.values(newspaper.alternateTitle).forEach((alt) =>
+        addTitle(alt, id)
+      );
+    }
+
+    // MARC linking fields can refer to either the 035 (Nz) number or the 001 record number:
+    if (newspaper.idMarcControlNumber) {
+      controlNumbers[newspaper.idMarcControlNumber] = id;
+    }
+    const marc = nznShared.readNewspaperMarc(id);
+    if (marc) {
+      marc.get(/001/).forEach((field) => (controlNumbers[field.value] = id));
+    }
+  }
+
+  return { titles: titles, controlNumbers: controlNumbers };
+}
+
+/**
+ * Find the MARC $w control number for a link, from the link itself or the source's MARC record.
+ * @param {*} sourceId The id of the newspaper that has the link.
+ * @param {*} link The link record.
+ * @returns The control number without its "(Nz)" prefix, or null.
+ */
+function findControlNumber(sourceId, link) {
+  if (link["target-control-number"]) return link["target-control-number"];
+
+  const marc = nznShared.readNewspaperMarc(sourceId);
+  if (!marc) return null;
+
+  let controlNumber = null;
+  marc.get(/78[05]/).forEach((field) => {
+    let title = null;
+    let number = null;
+    field["subf"].forEach((pair) => {
+      if (pair[0] == "t") title = pair[1];
+      if (pair[0] == "w") number = pair[1].replace(/^\([^)]*\)/, "");
+    });
+    if (number && title == link["target-description"]) controlNumber = number;
+  });
+  return controlNumber;
+}
+
+/**
+ * Score a candidate target record for a link, using title, place and date proximity.
+ * @param {*} source The newspaper record that has the link.
+ * @param {*} link The link record.
+ * @param {*} candidate A newspaper record with a matching normalised title.
+ * @returns A score; higher is a better match.
+ */
+function scoreCandidate(source, link, candidate) {
+  const description = link["target-description"];
+  let score = 5;
+
+  // An exact title match is better than a normalised one:
+  const plainDescription = description.replace(/\s*\([^)]*\)/g, "");
+  if (
+    candidate.title.toLowerCase() == description.toLowerCase() ||
+    candidate.title.toLowerCase() == plainDescription.toLowerCase()
+  ) {
+    score += 2;
+  }
+
+  // The qualifier often names a place or a year:
+  const qualifier = parseQualifier(description);
+  if (qualifier.placename) {
+    score += qualifier.placename == candidate.placename ? 3 : -3;
+  }
+  if (qualifier.year) {
+    score += qualifier.year == candidate.firstYear ? 3 : -1;
+  }
+
+  // Successive titles are usually published in the same place:
+  if (source.placename == candidate.placename) {
+    score += 2;
+  } else if (source.region == candidate.region) {
+    score += 1;
+  }
+
+  // Preceding titles end when the source starts, succeeding titles start when it ends:
+  let gap = null;
+  if (link.direction == "Preceding") {
+    const a = nznShared.yearToNumber(candidate.finalYear);
+    const b = nznShared.yearToNumber(source.firstYear);
+    if (a && b) gap = Math.abs(b - a);
+  } else if (link.direction == "Succeeding") {
+    const a = nznShared.yearToNumber(source.finalYear);
+    const b = nznShared.yearToNumber(candidate.firstYear);
+    if (a && b) gap = Math.abs(b - a);
+  }
+  if (gap !== null) {
+    if (gap <= 2) score += 3;
+    else if (gap <= 10) score += 1;
+    else score -= 2;
+  }
+
+  return score;
+}
+
+/**
+ * Try to find the newspaper record that a placeholder link refers to.
+ * @param {*} sourceId The id of the newspaper that has the link.
+ * @param {*} source The newspaper record that has the link.
+ * @param {*} link The link record.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record.
+ * @param {*} indexes The title and control number indexes from buildIndexes().
+ * @returns A dict with the target "id" (or null), the "method" used, the "score", and a "reason".
+ */
+function resolveLink(sourceId, source, link, newspaperRecords, indexes) {
+  // A MARC control number is the best evidence:
+  const controlNumber = findControlNumber(sourceId, link);
+  if (controlNumber && indexes.controlNumbers[controlNumber]) {
+    return {
+      id: indexes.controlNumbers[controlNumber],
+      method: "control-number",
+      score: null,
+      reason: "MARC control number " + controlNumber,
+    };
+  }
+
+  // Otherwise, look for records with the same normalised title:
+  const description = link["target-description"];
+  if (!description || description == "Unknown") {
+    return { id: null, reason: "no target description" };
+  }
+  const candidateIds = (
+    indexes.titles[nznShared.normaliseTitle(description)] || []
+  ).filter((id) => id != sourceId);
+  if (candidateIds.length == 0) {
+    return { id: null, reason: "no record with a matching title" };
+  }
+
+  let scored = candidateIds
+    .map((id) => ({
+      id: id,
+      score: scoreCandidate(source, link, newspaperRecords[id]),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = scored[0];
+  if (best.score < minimumScore) {
+    return {
+      id: null,
+      reason: "best candidate " + best.id + " scored only " + best.score,
+    };
+  }
+  if (scored.length > 1 && scored[1].score == best.score) {
+    return {
+      id: null,
+      reason:
+        "ambiguous: " +
+        scored
+          .filter((c) => c.score == best.score)
+          .map((c) => c.id)
+          .join(", ") +
+        " all scored " +
+        best.score,
+    };
+  }
+  return {
+    id: best.id,
+    method: "title",
+    score: best.score,
+    reason: "title match scoring " + best.score,
+  };
+}
+
+/**
+ * Rebuild a links dict with one key renamed, keeping the order of the other links.
+ * @param {*} links The existing links dict.
+ * @param {*} oldKey The placeholder key.
+ * @param {*} newKey The id of the target newspaper.
+ * @returns A new links dict.
+ */
+function renameLinkKey(links, oldKey, newKey) {
+  let newLinks = {};
+  for (const [key, link] of Object.entries(links)) {
+    if (key == oldKey) {
+      // If we already link to this record, keep the existing link:
+      if (!links[newKey]) newLinks[newKey] = link;
+    } else {
+      newLinks[key] = link;
+    }
+  }
+  return newLinks;
+}
+
+/**
+ * Check every newspaper record for placeholder links, and try to resolve them.
+ */
+function resolveLinks() {
+  console.log("Start resolveLinks()");
+
+  let newspaperRecords = nznShared.getNewspaperRecords();
+  const indexes = buildIndexes(newspaperRecords);
+
+  let count = 0;
+  let countResolved = 0;
+  let countUnresolved = 0;
+  let countUpdates = 0;
+  let unresolved = [];
+
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    if (!newspaper.links) continue;
+
+    let links = newspaper.links;
+    let isUpdated = false;
+
+    for (const [key, link] of Object.entries(newspaper.links)) {
+      if (!isPlaceholderKey(key)) continue;
+      count++;
+
+      const result = resolveLink(
+        id,
+        newspaper,
+        link,
+        newspaperRecords,
+        indexes
+      );
+      if (result.id) {
+        countResolved++;
+        console.log(
+          "Resolved " +
+            id +
+            " '" +
+            key +
+            "' (" +
+            link["target-description"] +
+            ") -> " +
+            result.id +
+            " (" +
+            newspaperRecords[result.id].title +
+            "): " +
+            result.reason
+        );
+        links = renameLinkKey(links, key, result.id);
+        isUpdated = true;
+      } else {
+        countUnresolved++;
+        unresolved.push(
+          id +
+            " '" +
+            key +
+            "' (" +
+            link["target-description"] +
+            "): " +
+            result.reason
+        );
+      }
+    }
+
+    if (isUpdated && mode == "resolve") {
+      newspaper.links = links;
+      nznShared.writeNewspaper(
+        id,
+        newspaper,
+        "Link targets resolved using the nzn-link-resolver.js script."
+      );
+      countUpdates++;
+    }
+  }
+
+  console.log("Unresolved links:");
+  unresolved.forEach((line) => console.log(" * " + line));
+
+  console.log("End resolveLinks(): " + count + " placeholder links");
+  console.log("* Resolved: " + countResolved + " links");
+  console.log("* Unresolved: " + countUnresolved + " links");
+  console.log("* Records updated: " + countUpdates + " records");
+}
+
+resolveLinks();
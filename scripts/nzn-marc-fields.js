@@ -0,0 +1,398 @@
+// nzn-marc-fields.js
+// Extract descriptive fields from a MARC record, and merge them into a newspaper record
+// without overwriting anything that has been curated by hand.
+
+const nznShared = require("./nzn-shared");
+
+/**
+ * Tidy a MARC subfield value by removing the ISBD punctuation at the end, like " :" or ",".
+ * @param {string} str The raw subfield value.
+ * @returns The value without trailing punctuation or brackets.
+ */
+function subfieldCleanup(str) {
+  return str
+    .trim()
+    .replace(/^\[/, "")
+    .replace(/[\s\.\,\:\;\/\]]+$/, "");
+}
+
+/**
+ * Get the values of one subfield code from every matching field.
+ * @param {*} record A marcjs Record.
+ * @param {RegExp} tag The tags to look in, e.g. /50[05]/.
+ * @param {string} code The subfield code, e.g. "a".
+ * @returns A list of values, in record order.
+ */
+function getSubfields(record, tag, code) {
+  let values = [];
+  record.get(tag).forEach((field) => {
+    (field["subf"] || []).forEach((pair) => {
+      if (pair[0] == code) values.push(pair[1]);
+    });
+  });
+  return values;
+}
+
+/**
+ * Given a placename from a MARC record, return a tidier version of a placename of interest.
+ *
+ * @param {*} rawName The unprocessed place name read from the MARC file.
+ * @returns A cleaner version of the name, or null if it not a location we are intereted in.
+ */
+exports.placeCleanUp = function (rawName) {
+  if (!rawName) return null;
+
+  let name = rawName;
+  if (
+    name.includes("Apia") ||
+    name.includes("Egypt") ||
+    name.includes("London") ||
+    name.includes("Sydney")
+  )
+    return null;
+
+  if (name.charAt(0) == "[") name = name.substring(1);
+  if (name.search("N.Z") != -1) {
+    const comma = name.indexOf(",");
+    if (comma > 1) name = name.substring(0, comma);
+    const nz = name.search("N.Z");
+    if (nz > 1) name = name.substring(0, nz);
+    const sqb = name.indexOf("[");
+    if (sqb > 1) name = name.substring(0, sqb);
+    const sqb2 = name.indexOf("]");
+    if (sqb2 > 1) name = name.substring(0, sqb2);
+  }
+
+  name = name.replace(/\?/, "");
+  name = nznShared.titleCleanup(name);
+  return name;
+};
+
+/**
+ * Helper function for comparing two MARC dates to determine if the new date is more specific than the current.
+ * @param {*} currentDate
+ * @param {*} newDate
+ * @returns
+ */
+exports.isNewDateMoreSpecific = function (currentDate, newDate) {
+  // Trivial case 1 -> Current date is fully specific -> false:
+  if (!currentDate.endsWith("u")) return false;
+
+  // Trivial case 2 -> New date is not at all specific -> false:
+  if (newDate == "9999" || newDate == "uuuu") return false;
+
+  // Trivial case 3 -> Current date is not at all specific -> true:
+  if (currentDate == "9999" || currentDate == "uuuu") return true;
+
+  // Current date is a millenia:
+  // "1uuu", "19uu" -> true
+  // "1uuu", "1uuu" -> true
+  // "1uuu", "uuuu" -> false (but caught above)
+  if (currentDate.endsWith("uuu")) return true;
+
+  // Current date is a century:
+  // "19uu", "1970" -> true
+  // "19uu", "197u" -> true
+  // "19uu", "19uu" -> true
+  // "19uu", "1uuu" -> false
+  if (currentDate.endsWith("uu")) return !newDate.endsWith("uuu");
+
+  // Current date is a decade:
+  // "197u", "1970" -> true
+  // "197u", "197u" -> true
+  // "197u", "19uu" -> false
+  // "197u", "1uuu" -> false
+  if (currentDate.endsWith("u")) return !newDate.endsWith("uu");
+
+  // Should never get here:
+  return false;
+};
+
+/**
+ * Extract the descriptive fields we keep from a MARC record.
+ *
+ * - publisher: 260$b
+ * - alternateTitle: 246$a (varying forms of title)
+ * - numbering: 362$a (dates of publication and sequential designation)
+ * - notes: 500$a, 525$a and 530$a (general, supplement and other format notes)
+ * - subjects: 651 (geographic subjects, without the "Newspapers" form subdivision)
+ * - otherFormats: 776 (links to other formats, like online versions)
+ *
+ * @param {*} record A marcjs Record.
+ * @returns A dict of the fields found. Fields that are not in the MARC record are left out.
+ */
+exports.extractMarcFields = function (record) {
+  let fields = {};
+
+  const publishers = getSubfields(record, /260/, "b")
+    .map(subfieldCleanup)
+    .filter((publisher) => publisher && publisher != "s.n");
+  if (publishers.length > 0) fields.publisher = publishers[0];
+
+  const alternateTitles = getSubfields(record, /246/, "a").map((title) =>
+    nznShared.titleCleanup(title)
+  );
+  if (alternateTitles.length > 0) fields.alternateTitle = alternateTitles;
+
+  const numbering = getSubfields(record, /362/, "a").map((str) => str.trim());
+  if (numbering.length > 0) fields.numbering = numbering.join(" ");
+
+  const notes = getSubfields(record, /5(00|25|30)/, "a").map((str) =>
+    str.trim()
+  );
+  if (notes.length > 0) fields.notes = notes;
+
+  let subjects = [];
+  record.get(/651/).forEach((field) => {
+    let parts = [];
+    field["subf"].forEach((pair) => {
+      if (["a", "x", "y", "z"].includes(pair[0])) {
+        parts.push(pair[1].trim().replace(/\.$/, ""));
+      }
+    });
+    const subject = parts.join(" -- ");
+    if (subject && !subjects.includes(subject)) subjects.push(subject);
+  });
+  if (subjects.length > 0) fields.subjects = subjects;
+
+  let otherFormats = [];
+  record.get(/776/).forEach((field) => {
+    let format = {};
+    field["subf"].forEach((pair) => {
+      if (pair[0] == "i") format.description = subfieldCleanup(pair[1]);
+      if (pair[0] == "t") format.title = pair[1].trim();
+      if (pair[0] == "w") {
+        format.controlNumber = pair[1].replace(/^\([^)]*\)/, "");
+      }
+    });
+    if (Object.keys(format).length > 0) otherFormats.push(format);
+  });
+  if (otherFormats.length > 0) fields.otherFormats = otherFormats;
+
+  return fields;
+};
+
+/**
+ * Add the fields extracted from a MARC record to a newspaper record. Values that are already
+ * in the newspaper record are kept: single-valued fields are only filled in if they are empty,
+ * and alternate titles and notes are only added if the record doesn't have them already.
+ *
+ * @param {*} newspaper The newspaper record, which is updated in place.
+ * @param {*} marcFields The fields from extractMarcFields().
+ * @param {*} marcControlNumber The (Nz) control number, used to key new alternateTitle and notes entries.
+ * @returns A dict of the fields that were changed, each with its "before" and "after" values.
+ */
+exports.mergeMarcFields = function (newspaper, marcFields, marcControlNumber) {
+  let changes = {};
+
+  for (const field of ["publisher", "numbering", "subjects", "otherFormats"]) {
+    if (marcFields[field] && newspaper[field] === undefined) {
+      changes[field] = { before: null, after: marcFields[field] };
+      newspaper[field] = marcFields[field];
+    }
+  }
+
+  // Alternate titles are compared by normalised title, so a change of case doesn't count:
+  if (marcFields.alternateTitle) {
+    const before = newspaper.alternateTitle
+      ? Object.assign({}, newspaper.alternateTitle)
+      : null;
+    let known = new Set(
+      Object.values(newspaper.alternateTitle || {}).map((title) =>
+        nznShared.normaliseTitle(title)
+      )
+    );
+    known.add(nznShared.normaliseTitle(newspaper.title));
+    marcFields.alternateTitle.forEach(function (title, i) {
+      const normalised = nznShared.normaliseTitle(title);
+      if (!normalised || known.has(normalised)) return;
+      known.add(normalised);
+      if (!newspaper.alternateTitle) newspaper.alternateTitle = {};
+      newspaper.alternateTitle[
+        "marc-" + marcControlNumber + "-246-" + (i + 1)
+      ] = title;
+    });
+    if (JSON.stringify(before) != JSON.stringify(newspaper.alternateTitle)) {
+      changes.alternateTitle = {
+        before: before,
+        after: newspaper.alternateTitle,
+      };
+    }
+  }
+
+  // Notes are compared as they are, so curated notes that reword a MARC note are kept:
+  if (marcFields.notes) {
+    const before = newspaper.notes ? Object.assign({}, newspaper.notes) : null;
+    let known = new Set(
+      Object.values(newspaper.notes || {}).map((note) => note.trim())
+    );
+    marcFields.notes.forEach(function (note, i) {
+      if (known.has(note)) return;
+      known.add(note);
+      if (!newspaper.notes) newspaper.notes = {};
+      newspaper.notes["marc-" + marcControlNumber + "-5xx-" + (i + 1)] = note;
+    });
+    if (JSON.stringify(before) != JSON.stringify(newspaper.notes)) {
+      changes.notes = { before: before, after: newspaper.notes };
+    }
+  }
+
+  return changes;
+};
+
+/** Month numbers for the English and Māori month names (and abbreviations) used in MARC 362. */
+const monthNumbers = {
+  jan: 1,
+  january: 1,
+  hanuere: 1,
+  feb: 2,
+  february: 2,
+  pepuere: 2,
+  mar: 3,
+  march: 3,
+  maehe: 3,
+  apr: 4,
+  april: 4,
+  aperira: 4,
+  may: 5,
+  mei: 5,
+  jun: 6,
+  june: 6,
+  hune: 6,
+  jul: 7,
+  july: 7,
+  hurae: 7,
+  aug: 8,
+  august: 8,
+  akuhata: 8,
+  sep: 9,
+  sept: 9,
+  september: 9,
+  hepetema: 9,
+  oct: 10,
+  october: 10,
+  oketopa: 10,
+  nov: 11,
+  november: 11,
+  noema: 11,
+  dec: 12,
+  december: 12,
+  tihema: 12,
+};
+
+/**
+ * Parse one end of a MARC 362 statement, like "v. 1, no. 27 (Dec. 10, 1840)", "1843 Nov.4",
+ * "9 Sept. 2005" or "Wednesday July 11th 1990".
+ * @param {string} text One end of the statement.
+ * @returns A dict with a "status" of "exact", "partial" (a year or month but not an exact or
+ * certain day) or "unparsed", and an ISO "date" when the status is "exact".
+ */
+exports.parseIssueDate = function (text) {
+  // The date is in brackets after the enumeration, if there is one:
+  const brackets = [...text.matchAll(/\(([^()]*)\)/g)];
+  if (brackets.length > 0) text = brackets[brackets.length - 1][1];
+
+  // A lone "?" means the date is unknown, as in "1866 Jul.25-?":
+  const isUncertain = text.includes("?");
+  if (isUncertain && !/[\w]/.test(text))
+    return { status: "partial", date: null };
+  const hasYear = /\b(1[6-9]|20)[\du]{2}/.test(text);
+
+  const tokens = text
+    .toLowerCase()
+    .replace(/(\d)(st|nd|rd|th)\b/g, "$1")
+    .replace(/([a-z])(\d)/g, "$1 $2")
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .replace(/[\[\]\.,?]/g, " ")
+    .split(/\s+/)
+    .filter((token) => token);
+
+  let years = [];
+  let months = [];
+  let days = [];
+  tokens.forEach(function (token) {
+    if (/^\d{4}$/.test(token)) years.push(parseInt(token));
+    else if (/^\d{1,2}$/.test(token)) days.push(parseInt(token));
+    else if (monthNumbers[token]) months.push(monthNumbers[token]);
+  });
+
+  if (
+    !isUncertain &&
+    years.length == 1 &&
+    months.length == 1 &&
+    days.length == 1
+  ) {
+    // Check that the day exists, e.g. not "Feb. 30":
+    const date = new Date(Date.UTC(years[0], months[0] - 1, days[0]));
+    if (date.getUTCDate() == days[0] && date.getUTCMonth() == months[0] - 1) {
+      return { status: "exact", date: date.toISOString().substring(0, 10) };
+    }
+  }
+
+  return { status: hasYear ? "partial" : "unparsed", date: null };
+};
+
+/**
+ * Parse a MARC 362 "Dates of Publication and/or Sequential Designation" statement, e.g.
+ * "Vol. 1, no. 1 (June 15, 1840)-v. 1, no. 27 (Dec. 10, 1840)", "1843 Nov.4-1844 Jan.?",
+ * "Began with Jan. 16, 1937; ceased with May 1, 1999" or "Ceased with 9 Sept. 2005".
+ * @param {string} statement The 362$a text.
+ * @returns A dict with the "firstIssueDate" and "finalIssueDate" (ISO dates or null), and
+ * "isParsed", which is false if either end of the statement could not be understood.
+ */
+exports.parseIssueDates = function (statement) {
+  // Uncertain decades and centuries like "188-?" contain a dash, so mark them as "188u?":
+  const text = statement
+    .trim()
+    .replace(/\.$/, "")
+    .replace(/(^|[\s-])(1[6-9]\d|20\d)-\?/g, "$1$2u?")
+    .replace(/(^|-)(1[6-9]|20)-\?/g, "$1$2uu?");
+  let firstText = null;
+  let finalText = null;
+
+  const began = text.match(
+    /^began (?:with|in)\s+(.*?)(?:[;.,?]?\s*ceased(?: with| in)?\s+(.*))?$/i
+  );
+  const ceased = text.match(/^ceased(?: with| in)?\s+(.*)$/i);
+  if (began) {
+    firstText = began[1];
+    finalText = began[2] || null;
+  } else if (ceased) {
+    finalText = ceased[1];
+  } else {
+    // Otherwise split the range at the first dash that isn't in brackets:
+    let depth = 0;
+    let dash = -1;
+    for (let i = 0; i < text.length && dash < 0; i++) {
+      const c = text.charAt(i);
+      if (c == "(") depth++;
+      else if (c == ")") depth--;
+      else if (c == "-" && depth == 0) dash = i;
+    }
+    if (dash < 0) {
+      firstText = text;
+    } else {
+      firstText = text.substring(0, dash);
+      finalText = text.substring(dash + 1);
+    }
+  }
+
+  // In "1987 Apr.9-Sep.10" the final issue is in the same year as the first:
+  const firstYear = (firstText || "").match(/^\s*(1[6-9]\d\d|20\d\d) [a-z]/i);
+  if (firstYear && finalText && /^\s*[a-z]/i.test(finalText)) {
+    finalText = firstYear[1] + " " + finalText;
+  }
+
+  let result = { firstIssueDate: null, finalIssueDate: null, isParsed: true };
+  if (firstText && firstText.trim()) {
+    const first = exports.parseIssueDate(firstText);
+    result.firstIssueDate = first.date;
+    if (first.status == "unparsed") result.isParsed = false;
+  }
+  if (finalText && finalText.trim()) {
+    const final = exports.parseIssueDate(finalText);
+    result.finalIssueDate = final.date;
+    if (final.status == "unparsed") result.isParsed = false;
+  }
+  return result;
+};
@@ -0,0 +1,556 @@
+// nzn-merge.js
+
+// This script fixes records that turn out to be the same newspaper (merge), or one record that
+// turns out to describe two newspapers (split), without breaking anything that points to them.
+//
+// A merge combines the fields, sources and links of the merged records into the record that is
+// kept, moves every inbound link to the kept record, points old_id_to_new_id.json at it, and
+// leaves a "Redirect" stub in place of each merged record, so old URLs still work (newspaper.js
+// follows the redirect). The merges in mergePlan.json (from nzn-dedupe.js) that have the
+// decision "merge" can be applied all at once.
+//
+// A split copies a record into a new one, with some fields changed, and can move some of the
+// links (and the links back) to the new record.
+//
+// It can be run from the command line, or required as a module and run with
+// mergeNewspapers(keepId, mergeIds, options), splitNewspaper(id, newValues, options), or
+// applyMergePlan(options).
+
+const fs = require("fs");
+const path = require("path");
+const nznShared = require("./nzn-shared");
+const nznSchema = require("./nzn-schema");
+
+/** Fields that belong to the one record they came from, so they aren't copied by a split. */
+const splitOnlyFields = [
+  "idMarcControlNumber",
+  "idNZNewspapersV1",
+  "idPapersPastCode",
+  "urlDigitized",
+  "digitisedCoverage",
+];
+
+/**
+ * Add the entries of one dict-valued field (alternateTitle or notes) to another, skipping the
+ * values that are already there. Keys that are already used get the merged record's id in front.
+ * @param {*} target The dict to add to.
+ * @param {*} source The dict to add from.
+ * @param {*} sourceId The id of the record that the source came from.
+ * @param {*} compare A function that turns a value into the form used to compare values.
+ */
+function mergeEntries(target, source, sourceId, compare) {
+  let known = new Set(Object.values(target).map(compare));
+  for (const [key, value] of Object.entries(source)) {
+    if (known.has(compare(value))) continue;
+    known.add(compare(value));
+    target[target[key] === undefined ? key : "merged-" + sourceId + "-" + key] =
+      value;
+  }
+}
+
+/**
+ * Combine newspaper records into one. The kept record's values win; fields it doesn't have are
+ * filled in from the merged records, in order. Alternate titles, notes, subjects, other formats,
+ * links and sources are combined, and the merged records' titles become alternate titles.
+ * @param {*} keep The newspaper record to keep, which is not changed.
+ * @param {*} others The newspaper records to merge into it.
+ * @returns A dict with the combined "record", and the "conflicts": a list of the fields where a
+ *   merged record had a different value, each a dict with the "id", "field", "kept" and "dropped".
+ */
+exports.mergeRecords = function (keep, others) {
+  let record = JSON.parse(JSON.stringify(keep));
+  let conflicts = [];
+  const mergedIds = others.map((other) => String(other.id));
+
+  others.forEach(function (other) {
+    for (const [field, value] of Object.entries(other)) {
+      if (["id", "title", "genre", "revision"].includes(field)) continue;
+
+      if (field == "alternateTitle" || field == "notes") {
+        if (!record[field]) record[field] = {};
+        const compare =
+          field == "notes"
+            ? (note) => note.trim()
+            : (title) => nznShared.normaliseTitle(title);
+        mergeEntries(record[field], value, other.id, compare);
+      } else if (field == "subjects" || field == "otherFormats") {
+        let known = new Set((record[field] || []).map(JSON.stringify));
+        record[field] = (record[field] || []).concat(
+          value.filter((entry) => !known.has(JSON.stringify(entry)))
+        );
+      } else if (field == "links") {
+        if (!record.links) record.links = {};
+        for (const [targetId, link] of Object.entries(value)) {
+          if (record.links[targetId] === undefined) {
+            record.links[targetId] = link;
+          } else if (!/^\d+$/.test(targetId)) {
+            // Placeholder keys like "unknown-1" are only unique within a record:
+            let n = 1;
+            while (record.links["unknown-" + n] !== undefined) n += 1;
+            record.links["unknown-" + n] = link;
+          }
+        }
+      } else if (field == "sources") {
+        record.sources = Object.assign({}, value, record.sources);
+      } else if (record[field] === undefined) {
+        record[field] = value;
+      } else if (field == "idMarcControlNumber") {
+        // The redirect stub keeps the merged record's MARC number (see mergeNewspapers).
+      } else if (JSON.stringify(record[field]) != JSON.stringify(value)) {
+        conflicts.push({
+          id: String(other.id),
+          field: field,
+          kept: record[field],
+          dropped: value,
+        });
+      }
+    }
+
+    // The merged record's title is another name for the kept newspaper:
+    if (
+      nznShared.normaliseTitle(other.title) !=
+      nznShared.normaliseTitle(record.title)
+    ) {
+      if (!record.alternateTitle) record.alternateTitle = {};
+      mergeEntries(
+        record.alternateTitle,
+        { ["merged-" + other.id]: other.title },
+        other.id,
+        (title) => nznShared.normaliseTitle(title)
+      );
+    }
+  });
+
+  // The merged records can't link to each other, or to the record they were merged into:
+  if (record.links) {
+    for (const targetId of Object.keys(record.links)) {
+      if (targetId == String(keep.id) || mergedIds.includes(targetId)) {
+        delete record.links[targetId];
+      }
+    }
+    if (Object.keys(record.links).length == 0) delete record.links;
+  }
+  for (const field of ["alternateTitle", "notes"]) {
+    if (record[field] && Object.keys(record[field]).length == 0) {
+      delete record[field];
+    }
+  }
+
+  return { record: record, conflicts: conflicts };
+};
+
+/**
+ * Move a record's links from one target to another. A link to the new target that is already
+ * there is kept, and the moved link is dropped.
+ * @param {*} newspaper The newspaper record, which is updated in place.
+ * @param {*} fromId The id that the links point to now.
+ * @param {*} toId The id they should point to.
+ * @param {*} description A new target-description for the moved link, or null to keep it.
+ * @returns True if the record was changed.
+ */
+function moveLink(newspaper, fromId, toId, description = null) {
+  if (!newspaper.links || newspaper.links[fromId] === undefined) return false;
+
+  const link = newspaper.links[fromId];
+  delete newspaper.links[fromId];
+  if (String(newspaper.id) != String(toId) && !newspaper.links[toId]) {
+    if (description) link["target-description"] = description;
+    newspaper.links[toId] = link;
+  }
+  if (Object.keys(newspaper.links).length == 0) delete newspaper.links;
+  return true;
+}
+
+/**
+ * Merge newspaper records into one, and leave a redirect stub for each merged record.
+ * @param {*} keepId The id of the record to keep.
+ * @param {*} mergeIds A list of the ids of the records to merge into it.
+ * @param {*} options A dict with an optional "dataDir".
+ * @returns A dict with the "keep" id, the "merged" ids, the "conflicts" (see mergeRecords), and
+ *   the number of "linksMoved", "redirectsUpdated" and "oldIdsUpdated".
+ */
+exports.mergeNewspapers = function (keepId, mergeIds, options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.idToGenrePath)) {
+    throw new Error("Missing genre index: " + nznShared.idToGenrePath);
+  }
+  keepId = String(keepId);
+  mergeIds = mergeIds.map(String);
+  if (mergeIds.length == 0)
+    throw new Error("No records to merge into " + keepId);
+  if (mergeIds.includes(keepId) || new Set(mergeIds).size < mergeIds.length) {
+    throw new Error(
+      "Each record can only be merged once: " + mergeIds.join(", ")
+    );
+  }
+
+  let newspaperRecords = nznShared.getNewspaperRecords();
+  for (const id of [keepId].concat(mergeIds)) {
+    if (!newspaperRecords[id]) {
+      throw new Error("Unknown newspaper (or already merged): " + id);
+    }
+  }
+  const keep = newspaperRecords[keepId];
+  const others = mergeIds.map((id) => newspaperRecords[id]);
+  console.log(
+    "Merging " +
+      others.map((other) => other.id + " (" + other.title + ")").join(", ") +
+      " into " +
+      keepId +
+      " (" +
+      keep.title +
+      ")"
+  );
+
+  const result = exports.mergeRecords(keep, others);
+  result.conflicts.forEach(function (conflict) {
+    console.log(
+      "  Kept " +
+        conflict.field +
+        " " +
+        JSON.stringify(conflict.kept) +
+        ", dropped " +
+        JSON.stringify(conflict.dropped) +
+        " from " +
+        conflict.id
+    );
+  });
+
+  // The kept record takes over the MARC file of a merged record whose MARC number it took:
+  const marcOwner = others.find(
+    (other) =>
+      !keep.idMarcControlNumber &&
+      other.idMarcControlNumber &&
+      other.idMarcControlNumber == result.record.idMarcControlNumber
+  );
+  // The other merged records' MARC files are removed, as their stubs have no page to show them:
+  others.forEach(function (other) {
+    const marcPath = nznShared.getNewspaperMarcPath(other.id);
+    if (!fs.existsSync(marcPath)) return;
+    if (other === marcOwner) {
+      fs.renameSync(marcPath, nznShared.getNewspaperMarcPath(keepId));
+    } else {
+      fs.unlinkSync(marcPath);
+    }
+  });
+
+  nznShared.writeNewspaper(
+    keepId,
+    result.record,
+    "Merged records " + mergeIds.join(", ") + " using the nzn-merge.js script."
+  );
+
+  // Every other record that links to a merged record now links to the kept record:
+  let linksMoved = 0;
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    if (id == keepId || mergeIds.includes(id)) continue;
+    const moved = mergeIds.filter((mergeId) =>
+      moveLink(newspaper, mergeId, keepId, keep.title)
+    );
+    if (moved.length > 0) {
+      linksMoved += moved.length;
+      nznShared.writeNewspaper(
+        id,
+        newspaper,
+        "Moved links from " +
+          moved.join(", ") +
+          " to " +
+          keepId +
+          " using the nzn-merge.js script."
+      );
+    }
+  }
+
+  // Leave a stub for each merged record, and point the older stubs straight at the kept record.
+  // A stub keeps its MARC number (unless the kept record took it), so the National Bibliography
+  // updater knows the record was merged and doesn't add it again:
+  others.forEach(function (other) {
+    nznShared.writeNewspaper(
+      other.id,
+      {
+        id: other.id,
+        title: other.title,
+        genre: "Redirect",
+        redirect: parseInt(keepId),
+        idMarcControlNumber:
+          other === marcOwner ? undefined : other.idMarcControlNumber,
+        sources: other.sources,
+        revision: other.revision,
+      },
+      "Merged into " + keepId + " using the nzn-merge.js script."
+    );
+  });
+  let redirectsUpdated = 0;
+  for (const [id, stub] of Object.entries(nznShared.getRedirectRecords())) {
+    if (mergeIds.includes(String(stub.redirect))) {
+      stub.redirect = parseInt(keepId);
+      nznShared.writeNewspaper(
+        id,
+        stub,
+        "Redirected to " + keepId + " using the nzn-merge.js script."
+      );
+      redirectsUpdated += 1;
+    }
+  }
+
+  // The 2015 ids of the merged records now belong to the kept record:
+  let oldIdsUpdated = 0;
+  let oldIdToNewId = nznShared.readOldIdtoNewId();
+  for (const [oldId, newId] of Object.entries(oldIdToNewId)) {
+    if (mergeIds.includes(String(newId))) {
+      oldIdToNewId[oldId] = parseInt(keepId);
+      oldIdsUpdated += 1;
+    }
+  }
+  if (oldIdsUpdated > 0) {
+    nznShared.writeJsonDict(oldIdToNewId, nznShared.oldIdtoNewIdFilename);
+  }
+
+  nznShared.generateIdToGenreFile();
+
+  console.log(
+    "Merged " +
+      mergeIds.length +
+      " records into " +
+      keepId +
+      " (" +
+      linksMoved +
+      " links moved, " +
+      redirectsUpdated +
+      " redirects updated, " +
+      oldIdsUpdated +
+      " old ids updated)"
+  );
+  return {
+    keep: keepId,
+    merged: mergeIds,
+    conflicts: result.conflicts,
+    linksMoved: linksMoved,
+    redirectsUpdated: redirectsUpdated,
+    oldIdsUpdated: oldIdsUpdated,
+  };
+};
+
+/**
+ * Turn a value from the command line into the type the schema expects for the field.
+ * @param {*} field The field name.
+ * @param {*} text The value, as text. An empty value removes the field.
+ * @returns The value, or undefined to remove the field.
+ */
+function parseFieldValue(field, text) {
+  const rule = nznSchema.newspaperSchema[field];
+  if (!rule || ["id", "sources", "revision"].includes(field)) {
+    throw new Error("Field '" + field + "' can't be set by a split");
+  }
+  if (text === "") return undefined;
+  if (rule.type == "string") return text;
+  if (rule.type == "boolean" && (text == "true" || text == "false")) {
+    return text == "true";
+  }
+  throw new Error(
+    "Field '" + field + "' should be " + rule.type + ", not '" + text + "'"
+  );
+}
+
+/**
+ * Set the fields of a record from a dict of values from the command line.
+ * @param {*} newspaper The newspaper record, which is updated in place.
+ * @param {*} values A dict that maps from field name to a value as text.
+ */
+function setFields(newspaper, values) {
+  for (const [field, text] of Object.entries(values)) {
+    const value = parseFieldValue(field, text);
+    if (value === undefined) {
+      delete newspaper[field];
+    } else {
+      newspaper[field] = value;
+    }
+  }
+}
+
+/**
+ * Split a record in two: the new record is a copy of the original (without the identifiers
+ * that belong to the original, or its links) with some fields changed.
+ * @param {*} id The id of the record to split.
+ * @param {*} newValues A dict of the fields to set in the new record, as text. An empty value
+ *   removes the field.
+ * @param {*} options A dict with an optional "dataDir", optional "originalValues" (the fields
+ *   to change in the original record, like newValues), and optional "moveLinks" (a list of the
+ *   link targets that belong to the new record instead of the original).
+ * @returns A dict with the original "id", the "newId", and the number of "linksMoved".
+ */
+exports.splitNewspaper = function (id, newValues, options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.idToGenrePath)) {
+    throw new Error("Missing genre index: " + nznShared.idToGenrePath);
+  }
+  id = String(id);
+  let newspaperRecords = nznShared.getNewspaperRecords();
+  let original = newspaperRecords[id];
+  if (!original)
+    throw new Error("Unknown newspaper (or already merged): " + id);
+  const moveLinks = (options.moveLinks || []).map(String);
+  moveLinks.forEach(function (targetId) {
+    if (!original.links || !original.links[targetId]) {
+      throw new Error("Newspaper " + id + " has no link to " + targetId);
+    }
+  });
+
+  let copy = JSON.parse(JSON.stringify(original));
+  splitOnlyFields
+    .concat(["links", "sources", "revision"])
+    .forEach((field) => delete copy[field]);
+  setFields(copy, newValues);
+  setFields(original, options.originalValues || {});
+
+  const newId = nznShared.getNextNewspaperId();
+  copy.id = newId;
+  console.log(
+    "Splitting " +
+      newId +
+      " (" +
+      copy.title +
+      ") from " +
+      id +
+      " (" +
+      original.title +
+      ")"
+  );
+
+  // The moved links go with the new record, and the records they point to link back to it:
+  moveLinks.forEach(function (targetId) {
+    if (!copy.links) copy.links = {};
+    copy.links[targetId] = original.links[targetId];
+    delete original.links[targetId];
+    let target = newspaperRecords[targetId];
+    if (target && moveLink(target, id, newId, copy.title)) {
+      nznShared.writeNewspaper(
+        targetId,
+        target,
+        "Moved links from " +
+          id +
+          " to " +
+          newId +
+          " using the nzn-merge.js script."
+      );
+    }
+  });
+  if (original.links && Object.keys(original.links).length == 0) {
+    delete original.links;
+  }
+
+  copy.sources = Object.assign({}, original.sources);
+  nznShared.writeNewspaper(
+    newId,
+    copy,
+    "Split from " + id + " using the nzn-merge.js script."
+  );
+  nznShared.writeNewspaper(
+    id,
+    original,
+    "Split " + newId + " from this record using the nzn-merge.js script."
+  );
+
+  nznShared.generateIdToGenreFile();
+
+  console.log(
+    "Split " + newId + " from " + id + " (" + moveLinks.length + " links moved)"
+  );
+  return { id: id, newId: String(newId), linksMoved: moveLinks.length };
+};
+
+/**
+ * Apply the merges in the merge plan that have the decision "merge", and mark them "merged".
+ * @param {*} options A dict with an optional "dataDir", and an optional "planFile" (instead of
+ *   mergePlan.json in the data dir).
+ * @returns A list of the results of mergeNewspapers(), one for each merge.
+ */
+exports.applyMergePlan = function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+  const planFile =
+    options.planFile || path.join(nznShared.jsonDir, "mergePlan.json");
+  if (!fs.existsSync(planFile)) {
+    throw new Error(
+      "Missing merge plan (run nzn-dedupe.js first): " + planFile
+    );
+  }
+  console.log("Merge plan: " + planFile);
+
+  let plan = JSON.parse(fs.readFileSync(planFile, "utf8"));
+  let results = [];
+  for (const [key, merge] of Object.entries(plan.merges || {})) {
+    if (merge.decision != "merge") continue;
+    console.log("Planned merge " + key + ":");
+    results.push(exports.mergeNewspapers(merge.keep, merge.merge));
+
+    // Save the plan after each merge, so a failed merge doesn't lose the ones before it:
+    merge.decision = "merged";
+    nznShared.writeJsonDict(plan, planFile);
+  }
+
+  console.log("Applied " + results.length + " planned merges");
+  return results;
+};
+
+/**
+ * Read the arguments of a split from the command line: "field=value" sets a field in the new
+ * record, "original.field=value" sets a field in the original, and "links=1005,1007" moves links.
+ * @param {*} args The arguments after the id.
+ * @returns A dict with the "newValues", "originalValues" and "moveLinks".
+ */
+function parseSplitArgs(args) {
+  let result = { newValues: {}, originalValues: {}, moveLinks: [] };
+  args.forEach(function (arg) {
+    const match = arg.match(/^(original\.)?(\w+)=(.*)$/s);
+    if (!match) throw new Error("Expected field=value, not: " + arg);
+    if (match[2] == "links" && !match[1]) {
+      result.moveLinks = match[3].split(",").filter((targetId) => targetId);
+    } else if (match[1]) {
+      result.originalValues[match[2]] = match[3];
+    } else {
+      result.newValues[match[2]] = match[3];
+    }
+  });
+  return result;
+}
+
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+  const commandArgs = nznShared.commandArgs;
+  try {
+    switch ((commandArgs[0] || "").toLowerCase()) {
+      case "merge":
+        if (commandArgs.length < 3) {
+          throw new Error("Usage: merge <keep-id> <merge-id> [merge-id...]");
+        }
+        exports.mergeNewspapers(commandArgs[1], commandArgs.slice(2));
+        break;
+      case "split": {
+        if (commandArgs.length < 3) {
+          throw new Error(
+            "Usage: split <id> field=value [original.field=value] [links=id,id]"
+          );
+        }
+        const split = parseSplitArgs(commandArgs.slice(2));
+        exports.splitNewspaper(commandArgs[1], split.newValues, {
+          originalValues: split.originalValues,
+          moveLinks: split.moveLinks,
+        });
+        break;
+      }
+      case "merge-plan":
+        exports.applyMergePlan();
+        break;
+      default:
+        throw new Error("Unknown mode (expected merge, split, or merge-plan)");
+    }
+    console.log("Ending: " + process.argv[1]);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
@@ -1,107 +1,118 @@
-// nzn-summarise.js
+// nzn-nat-bib-updater.js
 
 // This script reads a New Zealand National Bibliography MARC file
 // and updates the website data for any newspapers it finds.
+//
+// It can be run from the command line, or required as a module and run with
+// updateFromNatBib(options), which returns a promise that resolves when the MARC file has
+// been read and every change written.
 
 const fs = require("fs");
 const path = require("path");
 const nznShared = require("./nzn-shared");
+const nznMarcFields = require("./nzn-marc-fields");
 const { Marc } = require("marcjs");
 //const { Console } = require("console");
 
-// Confirm the required paths and input files:
-if (!fs.existsSync(nznShared.oldIdtoNewIdFilename)) {
-  console.error("Missing identifier map: " + nznShared.oldIdtoNewIdFilename);
-  process.exit(1);
-}
-
-const marcFilePath = path.join(nznShared.scriptDir, "PubsNZ.mrc");
-if (!fs.existsSync(marcFilePath)) {
-  console.error("Missing MARC file: " + marcFilePath);
-  process.exit(1);
-}
-
-console.log("Running: " + process.argv[1]);
-console.log(" * MARC input:    " + marcFilePath);
-console.log(" * Newspaper dir: " + nznShared.paperDir);
-
-console.log(" * MARC outputs:  " + nznShared.paperDir);
-if (!fs.existsSync(nznShared.marcDir)) {
-  fs.mkdirSync(nznShared.marcDir, { recursive: true });
-}
+/** The modes of operation, from the command line argument to the mode name used below. */
+const modes = {
+  report: "report",
+  "dry-run": "dry-run",
+  "add-new-records": "ADD_NEW_RECORDS",
+  "update-existing-records": "UPDATE_EXISTING_RECORDS",
+  "update-marc-files": "update-marc-files",
+};
 
-// Figure out a mode of operation...
-const commandArgs = process.argv.slice(2);
-let mode = "add-new-records";
-console.log(" * Args: ", commandArgs);
-switch (commandArgs[0].toLowerCase()) {
-  case "report":
-    mode = "report";
-    break;
-  case "add-new-records":
-    mode = "ADD_NEW_RECORDS";
-    break;
-  case "update-existing-records":
-    mode = "UPDATE_EXISTING_RECORDS";
-    break;
-  case "update-marc-files":
-    mode = "update-marc-files";
-    break;
-  default:
-    console.log("Warning: mode not specified, defaulting to 'report'");
-    mode = "report";
-}
-console.log(" * Mode: ", mode);
+/**
+ * Figure out a mode of operation from a command line argument like "add-new-records".
+ * @param {*} arg The argument (case is ignored).
+ * @returns The mode, or null if the argument isn't a known mode.
+ */
+exports.parseMode = function (arg) {
+  return modes[(arg || "").toLowerCase()] || null;
+};
 
-// Find the records that newspaper data now...
-console.log("Scanning existing nznewspapers.org records");
+// Where the dry-run report is written, as JSON and as Markdown:
+let dryRunJsonPath = path.join(nznShared.scriptDir, "nat-bib-dry-run.json");
+let dryRunMarkdownPath = path.join(nznShared.scriptDir, "nat-bib-dry-run.md");
 
-let newspaperRecords = nznShared.getNewspaperRecords();
+// The mode of the current run, and the existing records it is compared with:
+let mode = "report";
+let newspaperRecords = {};
 let marcNumberToNewspaperId = {};
+let marcNumberToMergedId = {};
 let placeData = {};
 
-for (const [id, newspaper] of Object.entries(newspaperRecords)) {
-  // Grab the MARC number:
-  marcNumber = newspaper.idMarcControlNumber;
-  if (!marcNumber) {
-    // No MARC number on this record, ignore for now.
-  } else if (!marcNumberToNewspaperId[marcNumber]) {
-    marcNumberToNewspaperId[marcNumber] = id;
-  } else {
-    let message =
-      "Error: Duplicate MARC number '" +
-      marcNumber +
-      "': " +
-      id +
-      " (" +
-      newspaper.title +
-      " / " +
-      newspaper.genre +
-      ")" +
-      " matches " +
-      marcNumberToNewspaperId[marcNumber] +
-      " (" +
-      newspaperRecords[marcNumberToNewspaperId[marcNumber]].title +
-      ")";
-    console.log(message);
-    throw message;
+/** The next id to show for a new record in the modes that don't add records. */
+let nextProposedId = null;
+
+/**
+ * Find the records that newspaper data now, and index them by MARC number and placename.
+ */
+function loadNewspaperRecords() {
+  console.log("Scanning existing nznewspapers.org records");
+
+  newspaperRecords = nznShared.getNewspaperRecords();
+  marcNumberToNewspaperId = {};
+  placeData = {};
+
+  // Ids are worked out afresh on each run, in case records were added since the last one:
+  nznShared.resetNextNewspaperId();
+  nextProposedId =
+    Math.max(0, ...nznShared.getNewspaperIds().map((id) => parseInt(id))) + 1;
+
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    // Grab the MARC number:
+    const marcNumber = newspaper.idMarcControlNumber;
+    if (!marcNumber) {
+      // No MARC number on this record, ignore for now.
+    } else if (!marcNumberToNewspaperId[marcNumber]) {
+      marcNumberToNewspaperId[marcNumber] = id;
+    } else {
+      let message =
+        "Error: Duplicate MARC number '" +
+        marcNumber +
+        "': " +
+        id +
+        " (" +
+        newspaper.title +
+        " / " +
+        newspaper.genre +
+        ")" +
+        " matches " +
+        marcNumberToNewspaperId[marcNumber] +
+        " (" +
+        newspaperRecords[marcNumberToNewspaperId[marcNumber]].title +
+        ")";
+      console.log(message);
+      throw new Error(message);
+    }
+
+    // Log placename data for later lookups:
+    var pname = newspaper.placename;
+    if (!placeData[pname]) {
+      placeData[pname] = {};
+      placeData[pname]["placecode"] = newspaper.placecode;
+      placeData[pname]["district"] = newspaper.district;
+      placeData[pname]["region"] = newspaper.region;
+    }
   }
 
-  // Log placename data for later lookups:
-  var pname = newspaper.placename;
-  if (!placeData[pname]) {
-    placeData[pname] = {};
-    placeData[pname]["placecode"] = newspaper.placecode;
-    placeData[pname]["district"] = newspaper.district;
-    placeData[pname]["region"] = newspaper.region;
+  // Records that were merged into another keep their MARC numbers, so they aren't added again:
+  marcNumberToMergedId = {};
+  for (const stub of Object.values(nznShared.getRedirectRecords())) {
+    const marcNumber = stub.idMarcControlNumber;
+    if (marcNumber && !marcNumberToNewspaperId[marcNumber]) {
+      marcNumberToMergedId[marcNumber] = String(stub.redirect);
+    }
   }
-}
 
-console.log(
-  " * Read " +
-    Object.keys(newspaperRecords).length +
-    " records with MARC numbers"
-);
+  console.log(
+    " * Read " +
+      Object.keys(newspaperRecords).length +
+      " records with MARC numbers"
+  );
+}
 
 // Gather some stats as we go...
 let stats = {};
@@ -141,100 +152,192 @@ function logStats() {
   console.log(statsToString());
 }
 
+// Record what each mode would change, so we can review it in dry-run mode:
+let changeReport = {};
+
 /**
- * Given a placename from a MARC record, return a tidier version of a placename of interest.
- *
- * @param {*} rawName The unprocessed place name read from the MARC file.
- * @returns A cleaner version of the name, or null if it not a location we are intereted in.
+ * Start the stats and change report afresh for a new run.
+ * @param {*} marcFileName The MARC file being read.
  */
-function placeCleanUp(rawName) {
-  if (!rawName) return null;
-
-  let name = rawName;
-  if (
-    name.includes("Apia") ||
-    name.includes("Egypt") ||
-    name.includes("London") ||
-    name.includes("Sydney")
-  )
-    return null;
-
-  if (name.charAt(0) == "[") name = name.substring(1);
-  if (name.search("N.Z") != -1) {
-    const comma = name.indexOf(",");
-    if (comma > 1) name = name.substring(0, comma);
-    const nz = name.search("N.Z");
-    if (nz > 1) name = name.substring(0, nz);
-    const sqb = name.indexOf("[");
-    if (sqb > 1) name = name.substring(0, sqb);
-    const sqb2 = name.indexOf("]");
-    if (sqb2 > 1) name = name.substring(0, sqb2);
-  }
+function resetStats(marcFileName) {
+  stats = {};
+  recordCounter = 0;
+  serialCounter = 0;
+  newspaperCounter = 0;
+  changeReport = {
+    marcFile: marcFileName,
+    generated: new Date().toISOString(),
+    newRecords: [],
+    updatedRecords: [],
+    skippedRecords: [],
+  };
+}
 
-  name = name.replace(/\?/, "");
-  name = nznShared.titleCleanup(name);
-  return name;
+/**
+ * Note a MARC record that we are not going to add or update, and why.
+ * @param {*} marcControlNumber The (Nz) control number of the MARC record.
+ * @param {*} title The title from the MARC record.
+ * @param {*} reason A short reason, like "microform" or "overseas placename".
+ * @param {*} detail The value that caused the record to be skipped, if there is one.
+ */
+function addSkippedRecord(marcControlNumber, title, reason, detail = null) {
+  let skipped = {
+    marcControlNumber: marcControlNumber,
+    title: title,
+    reason: reason,
+  };
+  if (detail) skipped.detail = detail;
+  changeReport.skippedRecords.push(skipped);
 }
 
 /**
- * Helper function for comparing two MARC dates to determine if the new date is more specific than the current.
- * @param {*} currentDate
- * @param {*} newDate
- * @returns
+ * Escape a value for use in a Markdown table cell.
+ * @param {*} value The value to show.
+ * @returns A string without pipes or line breaks.
  */
-function isNewDateMoreSpecific(currentDate, newDate) {
-  // Trivial case 1 -> Current date is fully specific -> false:
-  if (!currentDate.endsWith("u")) return false;
-
-  // Trivial case 2 -> New date is not at all specific -> false:
-  if (newDate == "9999" || newDate == "uuuu") return false;
-
-  // Trivial case 3 -> Current date is not at all specific -> true:
-  if (currentDate == "9999" || currentDate == "uuuu") return true;
-
-  // Current date is a millenia:
-  // "1uuu", "19uu" -> true
-  // "1uuu", "1uuu" -> true
-  // "1uuu", "uuuu" -> false (but caught above)
-  if (currentDate.endsWith("uuu")) return true;
-
-  // Current date is a century:
-  // "19uu", "1970" -> true
-  // "19uu", "197u" -> true
-  // "19uu", "19uu" -> true
-  // "19uu", "1uuu" -> false
-  if (currentDate.endsWith("uu")) return !newDate.endsWith("uuu");
-
-  // Current date is a decade:
-  // "197u", "1970" -> true
-  // "197u", "197u" -> true
-  // "197u", "19uu" -> false
-  // "197u", "1uuu" -> false
-  if (currentDate.endsWith("u")) return !newDate.endsWith("uu");
-
-  // Should never get here:
-  return false;
+function markdownCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value == "object") value = JSON.stringify(value);
+  return String(value).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+/**
+ * Convert the change report into a Markdown document for reviewers.
+ * @returns The report as a Markdown string.
+ */
+function changeReportToMarkdown() {
+  let md = "# National Bibliography dry run\n\n";
+  md += "* MARC file: `" + changeReport.marcFile + "`\n";
+  md += "* Generated: " + changeReport.generated + "\n";
+  md += "* New records: " + changeReport.newRecords.length + "\n";
+  md += "* Updated records: " + changeReport.updatedRecords.length + "\n";
+  md += "* Skipped records: " + changeReport.skippedRecords.length + "\n";
+
+  md += "\n## New records\n\n";
+  md += "| MARC | Proposed id | Title | Genre | Years | Place |\n";
+  md += "| --- | --- | --- | --- | --- | --- |\n";
+  changeReport.newRecords.forEach(function (entry) {
+    const record = entry.record;
+    md +=
+      "| " +
+      [
+        entry.marcControlNumber,
+        entry.newspaperId,
+        record.title,
+        record.genre,
+        record.firstYear + "-" + record.finalYear,
+        record.placename + " (" + record.placecode + ")",
+      ]
+        .map(markdownCell)
+        .join(" | ") +
+      " |\n";
+  });
+
+  md += "\n## Updated records\n\n";
+  md += "| MARC | Id | Title | Field | Before | After |\n";
+  md += "| --- | --- | --- | --- | --- | --- |\n";
+  changeReport.updatedRecords.forEach(function (entry) {
+    for (const [field, change] of Object.entries(entry.changes)) {
+      md +=
+        "| " +
+        [
+          entry.marcControlNumber,
+          entry.newspaperId,
+          entry.title,
+          field,
+          change.before,
+          change.after,
+        ]
+          .map(markdownCell)
+          .join(" | ") +
+        " |\n";
+    }
+  });
+
+  md += "\n## Skipped records\n\n";
+  md += "| MARC | Title | Reason | Detail |\n";
+  md += "| --- | --- | --- | --- |\n";
+  changeReport.skippedRecords.forEach(function (entry) {
+    md +=
+      "| " +
+      [entry.marcControlNumber, entry.title, entry.reason, entry.detail]
+        .map(markdownCell)
+        .join(" | ") +
+      " |\n";
+  });
+
+  return md;
+}
+
+/**
+ * Write the change report as JSON and as Markdown.
+ */
+function writeChangeReport() {
+  nznShared.writeJsonDict(changeReport, dryRunJsonPath);
+  fs.writeFileSync(dryRunMarkdownPath, changeReportToMarkdown());
+  console.log(
+    "Wrote dry-run report: " +
+      changeReport.newRecords.length +
+      " new / " +
+      changeReport.updatedRecords.length +
+      " updated / " +
+      changeReport.skippedRecords.length +
+      " skipped"
+  );
 }
 
 /**
  * Read a MARC file and compare it to the existing nznewspaper records.
  *
  * @param {str} marcFileName The path of the MRC file to read.
+ * @param {str} operatingMode The mode, e.g. "report" or "ADD_NEW_RECORDS" (see parseMode).
+ * @returns A promise that resolves when the file has been read, with a dict of the "mode",
+ *   the "records", "serials" and "newspapers" counts, the "stats", and the "changeReport".
  */
-function readMarcFile(marcFileName, operatingMode) {
+exports.readMarcFile = function (marcFileName, operatingMode) {
+  return new Promise(function (resolve, reject) {
+    mode = operatingMode;
+    resetStats(marcFileName);
+    loadNewspaperRecords();
+    readMarcRecords(marcFileName, resolve, reject);
+  });
+};
+
+/**
+ * Read each record in a MARC file, and add or update the newspaper records to match.
+ * @param {str} marcFileName The path of the MRC file to read.
+ * @param {*} resolve Called with the results when the whole file has been read.
+ * @param {*} reject Called with an error if the file can't be read.
+ */
+function readMarcRecords(marcFileName, resolve, reject) {
   // Set up a MARC reader for the NatBib records
-  let reader = Marc.stream(fs.createReadStream(marcFileName), "Iso2709");
+  const input = fs.createReadStream(marcFileName);
+  let reader = Marc.stream(input, "Iso2709");
 
   // Every 5 seconds, a progress update:
   let tick = setInterval(() => {
     logStats();
   }, 5000);
 
+  input.on("error", (err) => {
+    clearInterval(tick);
+    reject(err);
+  });
+
   // At the end, a final message:
   reader.on("end", () => {
     console.log("Finished processing MARC record...");
     logStats();
     clearInterval(tick);
+    if (mode == "dry-run") writeChangeReport();
+    resolve({
+      mode: mode,
+      records: recordCounter,
+      serials: serialCounter,
+      newspapers: newspaperCounter,
+      stats: stats,
+      changeReport: changeReport,
+    });
   });
 
   // Read each MARC record, and write it:
@@ -269,6 +372,8 @@ function readMarcFile(marcFileName, operatingMode) {
         // MARC Control Number:
         // TODO: Check for duplicate MARC Control Numbers (e.g. 8000996)
         let newspaperId = null;
+        let mergedId = null;
+        let isNewRecord = false;
         let marcControlNumber = null;
         let marcControlNumberList = [];
         record.get(/035/).forEach((field) => {
@@ -279,6 +384,9 @@ function readMarcFile(marcFileName, operatingMode) {
               if (marcNumberToNewspaperId[marcControlNumber]) {
                 newspaperId = marcNumberToNewspaperId[marcControlNumber];
               }
+              if (marcNumberToMergedId[marcControlNumber]) {
+                mergedId = marcNumberToMergedId[marcControlNumber];
+              }
             }
           });
         });
@@ -374,10 +482,12 @@ function readMarcFile(marcFileName, operatingMode) {
 
         // Placename:
         let placename = null;
+        let rawPlacename = null;
         record.get(/260/).forEach((field) => {
           field["subf"].forEach((pair) => {
             if (pair[0] == "a") {
-              placename = placeCleanUp(pair[1]);
+              rawPlacename = pair[1];
+              placename = nznMarcFields.placeCleanUp(pair[1]);
             }
           });
         });
@@ -418,9 +528,12 @@ function readMarcFile(marcFileName, operatingMode) {
               relationship = "Separated from";
           }
           let title = "Unknown";
+          let controlNumber = null;
           field["subf"].forEach((pair) => {
             if (pair[0] == "t") {
               title = pair[1];
+            } else if (pair[0] == "w") {
+              controlNumber = pair[1].replace(/^\([^)]*\)/, "");
             }
           });
           const key = "unknown-" + (Object.keys(links).length + 1);
@@ -429,6 +542,8 @@ function readMarcFile(marcFileName, operatingMode) {
             relationship: relationship,
             "target-description": title,
           };
+          if (controlNumber)
+            links[key]["target-control-number"] = controlNumber;
         });
         record.get(/785/).forEach((field) => {
           /*
@@ -469,9 +584,12 @@ function readMarcFile(marcFileName, operatingMode) {
               relationship = "Changed back to";
           }
           let title = "Unknown";
+          let controlNumber = null;
           field["subf"].forEach((pair) => {
             if (pair[0] == "t") {
               title = pair[1];
+            } else if (pair[0] == "w") {
+              controlNumber = pair[1].replace(/^\([^)]*\)/, "");
             }
           });
           const key = "unknown-" + (Object.keys(links).length + 1);
@@ -480,41 +598,57 @@ function readMarcFile(marcFileName, operatingMode) {
             relationship: relationship,
             "target-description": title,
           };
+          if (controlNumber)
+            links[key]["target-control-number"] = controlNumber;
         });
 
-        if (newspaperCounter < 0) {
-          console.log("Sample Newspaper Record (" + marcControlNumber + "):");
-          console.log(" * Leader:     " + record.leader);
-          console.log(" * Title:      " + title);
-          console.log(" * Date Range: " + date1 + "-" + date2);
-          console.log(" * Genre:      " + genre);
-          console.log(" * Placename:  " + placename);
-          console.log("");
-        }
+        // Publisher, varying titles, numbering, notes, subjects and other formats:
+        const marcFields = nznMarcFields.extractMarcFields(record);
 
         // Does this Marc Control Number match a known record?
         if (!marcControlNumber) {
           addStats("count-skipped-no-nz-control-number");
+          addSkippedRecord(null, title, "no (Nz) control number");
         } else if (isMicroformResource) {
           // Ignore records for micrfilm and mocroform materials:
           addStats("count-skipped-micoform");
+          addSkippedRecord(
+            marcControlNumber,
+            title,
+            "microform",
+            medium || physicalExtent
+          );
         } else if (isElectronicResource) {
           // Ignore records for digitised and born-digital materials:
           addStats("count-skipped-electronic");
+          addSkippedRecord(
+            marcControlNumber,
+            title,
+            "electronic",
+            medium || physicalExtent
+          );
         } else if (infrequent) {
           // Ignore records that are published too infrequently:
           addStats("count-skipped-infrequent");
+          addSkippedRecord(marcControlNumber, title, "infrequent", frequency);
         } else if (!placename) {
           // Ignore records for overseas and unknown places:
           addStats("count-skipped-placename");
+          addSkippedRecord(
+            marcControlNumber,
+            title,
+            "overseas or unknown placename",
+            rawPlacename
+          );
         } else if (newspaperId) {
           // We've matched an existing newspaper record to a MARC record... are there updates we can make?
           addStats("count-existing-record-found");
 
-          newspaper = nznShared.readNewspaper(newspaperId);
-          updated = false;
+          let newspaper = nznShared.readNewspaper(newspaperId);
+          let updated = false;
+          let changes = {};
 
-          let debug = false;
+          let debug = process.env.NZN_VERBOSE == "1";
           if (debug) {
             console.log("Marc record:");
             console.log(" * MARC Ctrl#: " + marcControlNumber);
@@ -522,17 +656,20 @@ function readMarcFile(marcFileName, operatingMode) {
             console.log(" * Title:      " + title);
             console.log(" * Date Range: " + date1 + "-" + date2);
             console.log(newspaper.firstYear + " - " + newspaper.finalYear);
-            console.log(isNewDateMoreSpecific(newspaper.firstYear, date1));
-            console.log(isNewDateMoreSpecific(newspaper.finalYear, date2));
-            console.log("Test");
-            console.log(!newspaper.finalYear.endsWith("u"));
+            console.log(
+              nznMarcFields.isNewDateMoreSpecific(newspaper.firstYear, date1)
+            );
+            console.log(
+              nznMarcFields.isNewDateMoreSpecific(newspaper.finalYear, date2)
+            );
           }
 
           // Update the first year:
           if (
             newspaper.firstYear != date1 &&
-            isNewDateMoreSpecific(newspaper.firstYear, date1)
+            nznMarcFields.isNewDateMoreSpecific(newspaper.firstYear, date1)
           ) {
+            changes.firstYear = { before: newspaper.firstYear, after: date1 };
             newspaper.firstYear = date1;
             updated = true;
           }
@@ -540,8 +677,9 @@ function readMarcFile(marcFileName, operatingMode) {
           // Update the final year:
           if (
             newspaper.finalYear != date2 &&
-            isNewDateMoreSpecific(newspaper.finalYear, date2)
+            nznMarcFields.isNewDateMoreSpecific(newspaper.finalYear, date2)
           ) {
+            changes.finalYear = { before: newspaper.finalYear, after: date2 };
             newspaper.finalYear = date2;
             updated = true;
           }
@@ -549,13 +687,35 @@ function readMarcFile(marcFileName, operatingMode) {
           // Update the isCurrentlyPublished to match final year:
           isCurrentlyPublished = newspaper.finalYear == "9999";
           if (newspaper.isCurrent != isCurrentlyPublished) {
+            changes.isCurrent = {
+              before: newspaper.isCurrent,
+              after: isCurrentlyPublished,
+            };
             newspaper.isCurrent = isCurrentlyPublished;
             updated = true;
           }
 
+          // Add descriptive fields, keeping any values that are already in the record:
+          const fieldChanges = nznMarcFields.mergeMarcFields(
+            newspaper,
+            marcFields,
+            marcControlNumber
+          );
+          if (Object.keys(fieldChanges).length > 0) {
+            Object.assign(changes, fieldChanges);
+            updated = true;
+          }
+
           // We're not ging to update the links because the old metadata tends to be better
 
           if (updated) {
+            changeReport.updatedRecords.push({
+              marcControlNumber: marcControlNumber,
+              newspaperId: newspaperId,
+              title: newspaper.title,
+              changes: changes,
+            });
+
             if (mode == "UPDATE_EXISTING_RECORDS") {
               addStats("count-existing-record-updated");
               // console.log("Updating record " + id);
@@ -563,26 +723,42 @@ function readMarcFile(marcFileName, operatingMode) {
               nznShared.writeNewspaper(
                 newspaperId,
                 newspaper,
-                "Date updated from the New Zealand National Bibliography " +
+                "Updated " +
+                  Object.keys(changes).join(", ") +
+                  " from the New Zealand National Bibliography " +
                   "(MARC record " +
                   marcControlNumber +
                   ") downloaded June 2022."
               );
             }
           }
+        } else if (mergedId) {
+          // This record was merged into another one (see nzn-merge.js), so don't add it again:
+          addStats("count-skipped-merged");
+          addSkippedRecord(
+            marcControlNumber,
+            title,
+            "merged",
+            "merged into " + mergedId
+          );
         } else {
           // We've found an unrecognized MARC record, so let's add a new NZNewspapers record:
           addStats("count-new-record-found");
-          newspaperId = nznShared.getNextNewspaperId();
+
+          // Only take a new id when the record is added; the other modes just report one:
+          isNewRecord = true;
+          newspaperId =
+            mode == "ADD_NEW_RECORDS"
+              ? nznShared.getNextNewspaperId()
+              : nextProposedId++;
 
           // Debug mode: dump out a record
-          var verbose = false;
+          var verbose = process.env.NZN_VERBOSE == "1";
 
           if (verbose) {
             console.log("Marc record:");
             console.log(" * MARC Ctrl#: " + marcControlNumber);
             console.log(" * Date added: " + dateOnFile);
-            if (newRecordSinceLastLoad) console.log("   * NEW RECORD!!!");
             console.log(" * Title:      " + title);
             if (edition) console.log("   * Edition: " + edition);
             if (uniformTitle)
@@ -608,7 +784,7 @@ function readMarcFile(marcFileName, operatingMode) {
           }
 
           // Add the entries we want to appear first:
-          newRecord = {};
+          let newRecord = {};
           newRecord.id = newspaperId;
           newRecord.title = nznShared.titleCleanup(title);
           newRecord.genre = "Undetermined";
@@ -630,10 +806,21 @@ function readMarcFile(marcFileName, operatingMode) {
           }
 
           if (links && Object.keys(links).length > 0) newRecord.links = links;
+          nznMarcFields.mergeMarcFields(
+            newRecord,
+            marcFields,
+            marcControlNumber
+          );
 
           // Make this an official newspaper record if the data quality checks out:
           if (newRecord.placecode != "unknown") newRecord.genre = "Newspaper";
 
+          changeReport.newRecords.push({
+            marcControlNumber: marcControlNumber,
+            newspaperId: newspaperId,
+            record: newRecord,
+          });
+
           // Write the newspaper (sometimes):
           if (mode == "ADD_NEW_RECORDS") {
             addStats("count-new-record-added");
@@ -641,22 +828,25 @@ function readMarcFile(marcFileName, operatingMode) {
             nznShared.writeNewspaper(
               newspaperId,
               newRecord,
-              (source =
-                "Extracted from the New Zealand National Bibliography " +
+              "Extracted from the New Zealand National Bibliography " +
                 "(MARC record " +
                 marcControlNumber +
-                ") downloaded June 2022.")
+                ") downloaded June 2022."
             );
           }
         }
 
-        // Write out the MARC record:
-        if (newspaperId && marcControlNumber) {
+        // Write out the MARC record (but change nothing in a dry run, and only write new records'
+        // MARC files when they are added). This is written synchronously, so the file is
+        // complete when the reader finishes:
+        if (
+          newspaperId &&
+          marcControlNumber &&
+          mode != "dry-run" &&
+          (!isNewRecord || mode == "ADD_NEW_RECORDS")
+        ) {
           let filename = nznShared.getNewspaperMarcPath(newspaperId);
-
-          let writer = Marc.stream(fs.createWriteStream(filename), "text");
-          writer.write(record);
-          writer.end();
+          fs.writeFileSync(filename, record.as("text") + "\n");
         }
       }
     }
@@ -664,5 +854,72 @@ function readMarcFile(marcFileName, operatingMode) {
   });
 }
 
-console.log("Launching MARC Parser for " + marcFilePath);
-readMarcFile(marcFilePath, mode);
+/**
+ * Update the newspaper records from a National Bibliography MARC file.
+ * @param {*} options A dict with the "mode" (a command line mode like "report" or
+ *   "add-new-records"; report by default), an optional "dataDir" (instead of the usual data
+ *   directory), an optional "inputFile" (instead of PubsNZ.mrc in the scripts folder), and an
+ *   optional "reportFile" (instead of nat-bib-dry-run.json in the scripts folder; the Markdown
+ *   report is written next to it).
+ * @returns A promise of the results (see readMarcFile).
+ */
+exports.updateFromNatBib = async function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.oldIdtoNewIdFilename)) {
+    throw new Error(
+      "Missing identifier map: " + nznShared.oldIdtoNewIdFilename
+    );
+  }
+
+  const marcFilePath =
+    options.inputFile || path.join(nznShared.scriptDir, "PubsNZ.mrc");
+  if (!fs.existsSync(marcFilePath)) {
+    throw new Error("Missing MARC file: " + marcFilePath);
+  }
+
+  dryRunJsonPath =
+    options.reportFile ||
+    path.join(nznShared.scriptDir, "nat-bib-dry-run.json");
+  dryRunMarkdownPath = dryRunJsonPath.replace(/\.json$/, "") + ".md";
+
+  const operatingMode = exports.parseMode(options.mode || "report");
+  if (!operatingMode) throw new Error("Unknown mode: " + options.mode);
+
+  console.log(" * MARC input:    " + marcFilePath);
+  console.log(" * Newspaper dir: " + nznShared.paperDir);
+  console.log(" * MARC outputs:  " + nznShared.marcDir);
+  if (!fs.existsSync(nznShared.marcDir)) {
+    fs.mkdirSync(nznShared.marcDir, { recursive: true });
+  }
+  console.log(" * Mode: ", operatingMode);
+  if (operatingMode == "dry-run") {
+    console.log(" * Dry-run report: " + dryRunJsonPath);
+    console.log(" * Dry-run report: " + dryRunMarkdownPath);
+  }
+
+  console.log("Launching MARC Parser for " + marcFilePath);
+  return exports.readMarcFile(marcFilePath, operatingMode);
+};
+
+// Run from the command line:
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+
+  // Figure out a mode of operation...
+  const commandArgs = nznShared.commandArgs;
+  console.log(" * Args: ", commandArgs);
+  let commandMode = commandArgs[0];
+  if (!exports.parseMode(commandMode)) {
+    console.log("Warning: mode not specified, defaulting to 'report'");
+    commandMode = "report";
+  }
+
+  exports
+    .updateFromNatBib({ mode: commandMode, inputFile: nznShared.inputFile })
+    .catch(function (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -1,71 +1,56 @@
-// nzn-summarise.js
+// nzn-paperspast-updater.js
 
 // This script reads the Papers Past website to build a Papers Past
-// coverage datasetm then updates the relevant newspaper data files.
+// coverage datasetm then updates the relevant newspaper data files with the
+// Papers Past code, URL, and digitised coverage of each title.
+//
+// It can be run from the command line, or required as a module and run with
+// updateFromPapersPast(options), which returns a promise.
 
 const fs = require("fs");
 const path = require("path");
 const parse = require("csv-parse");
 const nznShared = require("./nzn-shared");
 
-// Confirm the required paths and input files:
-if (!fs.existsSync(nznShared.oldIdtoNewIdFilename)) {
-  console.error("Missing identifier map: " + nznShared.oldIdtoNewIdFilename);
-  process.exit(1);
-}
-
-const ppFile = path.join(nznShared.scriptDir, "PapersPastNewspaperData.tsv");
-if (!fs.existsSync(ppFile)) {
-  console.error("Missing Papers Past data: " + ppFile);
-  process.exit(1);
-}
-
-console.log("Running: " + process.argv[1]);
-console.log(" * Papers Past file: " + ppFile);
-console.log(" * Newspaper data dir: " + nznShared.paperDir);
-
-function logObjectKeys(theObject, label = "Unknown") {
-  console.log("Examining " + label + " (" + typeof theObject + "):");
-
-  if (typeof theObject == "object") {
-    let theKeys = Object.keys(theObject);
-    console.log(theKeys);
-    theKeys.forEach(function (key) {
-      console.log(" * " + key + " -> " + typeof theObject[key]);
-    });
-  } else if (typeof theObject == "string") {
-    console.log(
-      "string, " +
-        theObject.length +
-        "chars, starts " +
-        theObject.substring(0, 16)
-    );
-  }
-}
-
 /**
- * Make a Papers Past URL from a Papers Past newspaper title.
+ * Read the digitised coverage from a row of the Papers Past data file. The years are always
+ * there; the first and last issue dates, the number of issues, and the gaps (a list of years or
+ * ranges of years, separated by semicolons) are only used if the file has those columns.
+ * @param {*} row A row from the Papers Past data file.
+ * @returns A dict with the coverage, or null if the row has none.
  */
-function makePapersPastUrl(title) {
-  let baseUrl = "https://paperspast.natlib.govt.nz/newspapers/";
-  const space = " +";
-  const dash = "-";
-  let key = title
-    .toLowerCase()
-    .replace(/[\W_]+/g, " ")
-    .trim()
-    .replaceAll(" ", dash);
-  return baseUrl + key;
-}
+exports.parseCoverage = function (row) {
+  let coverage = {};
+  if (/^\d{4}$/.test(row["First year"])) coverage.firstYear = row["First year"];
+  if (/^\d{4}$/.test(row["Last year"])) coverage.finalYear = row["Last year"];
+  if (/^\d{4}-\d{2}-\d{2}$/.test(row["First issue"])) {
+    coverage.firstIssueDate = row["First issue"];
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(row["Last issue"])) {
+    coverage.finalIssueDate = row["Last issue"];
+  }
+  if (/^\d+$/.test(row.Issues)) coverage.issues = parseInt(row.Issues);
+  if (row.Gaps) {
+    const gaps = row.Gaps.split(";")
+      .map((gap) => gap.trim().replace(/\s*[-\u2013]\s*/, "-"))
+      .filter((gap) => gap);
+    if (gaps.length > 0) coverage.gaps = gaps;
+  }
+  return Object.keys(coverage).length > 0 ? coverage : null;
+};
 
 /**
- * Update a newspaper record with new Papers Past information.
+ * Update a newspaper record with new Papers Past information. A URL that is already in the
+ * record is kept (it may have been curated by hand) unless urlOptions.replaceUrls is set; if it
+ * differs from the Papers Past URL, the record is added to urlOptions.mismatches.
  * @param {*} id
  * @param {*} papersPastCode
- * @param {*} url
+ * @param {*} url The Papers Past URL, from findPapersPastUrl(), or null if it isn't known.
+ * @param {*} coverage The digitised coverage, from parseCoverage().
+ * @param {*} urlOptions A dict with "replaceUrls", and a list of URL "mismatches" to add to.
  * @returns True if the newspaper record was updated.
  */
-function addPapersPastData(id, papersPastCode, url) {
+function addPapersPastData(id, papersPastCode, url, coverage, urlOptions) {
   let record = nznShared.readNewspaper(id);
   let isUpdated = false;
 
@@ -76,11 +61,42 @@ function addPapersPastData(id, papersPastCode, url) {
     record.idPapersPastCode = papersPastCode;
     isUpdated = true;
   }
-  if (record.urlDigitized && record.urlDigitized == url) {
+  if (!url || record.urlDigitized == url) {
     // do nothing
-  } else {
+  } else if (!record.urlDigitized) {
     record.urlDigitized = url;
     isUpdated = true;
+  } else {
+    console.log(
+      "URL differs for " +
+        id +
+        " (" +
+        papersPastCode +
+        "): " +
+        record.urlDigitized +
+        " -> " +
+        url +
+        (urlOptions.replaceUrls ? " (replaced)" : " (kept)")
+    );
+    urlOptions.mismatches.push({
+      id: id,
+      code: papersPastCode,
+      stored: record.urlDigitized,
+      papersPast: url,
+    });
+    if (urlOptions.replaceUrls) {
+      record.urlDigitized = url;
+      isUpdated = true;
+    }
+  }
+
+  // Update the digitised coverage, unless this row doesn't have any:
+  if (
+    coverage &&
+    JSON.stringify(record.digitisedCoverage) != JSON.stringify(coverage)
+  ) {
+    record.digitisedCoverage = coverage;
+    isUpdated = true;
   }
 
   // Update the paper if we made any changes.
@@ -98,13 +114,21 @@ function addPapersPastData(id, papersPastCode, url) {
  * Update a list of newspaper records with new Papers Past information.
  * @param {*} idList The list of newspaper ids to be updated.
  * @param {*} papersPastCode
- * @param {*} url
+ * @param {*} url The Papers Past URL, or null if it isn't known.
+ * @param {*} coverage The digitised coverage, from parseCoverage().
+ * @param {*} urlOptions A dict with "replaceUrls" and a list of URL "mismatches".
  * @returns The number of newspaper records updated.
  */
-function addPapersPastDataList(idList, papersPastCode, url) {
-  updates = 0;
-  for (id of idList) {
-    if (addPapersPastData(id, papersPastCode, url)) {
+function addPapersPastDataList(
+  idList,
+  papersPastCode,
+  url,
+  coverage,
+  urlOptions
+) {
+  let updates = 0;
+  for (const id of idList) {
+    if (addPapersPastData(id, papersPastCode, url, coverage, urlOptions)) {
       updates++;
     }
   }
@@ -112,16 +136,208 @@ function addPapersPastDataList(idList, papersPastCode, url) {
 }
 
 /**
- * Process the Papers Past information records that have been extracted from the data file.
+ * Reduce a title, or the last part of a Papers Past URL, to a key for comparing the two. Papers
+ * Past URLs drop macrons and punctuation, and sometimes "the" or "and".
+ * @param {*} text A title, or a URL slug like "te-waka-maori-o-niu-tirani".
+ * @returns The key, e.g. "te waka maori o niu tirani".
  */
-function parsePapersPastRows(err, records) {
-  console.log("Start parsePapersPastRows()");
+function urlKey(text) {
+  return nznShared
+    .normaliseTitle(text.replace(/-/g, " "))
+    .replace(/\b(the|and)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  if (err) {
-    console.log("Error parsing TSV data.");
-    console.log(err);
-    return;
+/**
+ * Work out the Papers Past URL for a row of the Papers Past data file. A URL or Slug column in
+ * the data file is used first, then the list of known Papers Past URLs. If there is no list,
+ * the URL is guessed from the title, which can be wrong.
+ * @param {*} row A row from the Papers Past data file.
+ * @param {*} urlList A list of known Papers Past title URLs, or null if there isn't one.
+ * @returns The URL, or null if the list doesn't have it.
+ */
+exports.findPapersPastUrl = function (row, urlList) {
+  if (row.URL) return row.URL;
+  if (row.Slug) return nznShared.papersPastBaseUrl + row.Slug;
+
+  const guess = nznShared.makePapersPastUrl(row.Title);
+  if (!urlList || urlList.includes(guess)) return guess;
+
+  const key = urlKey(row.Title);
+  return urlList.find((url) => urlKey(url.split("/").pop()) == key) || null;
+};
+
+/**
+ * Read a list of known Papers Past title URLs, one per line. Blank lines, and lines starting
+ * with #, are ignored.
+ * @param {*} filename The path of the URL list.
+ * @returns A list of URLs.
+ */
+exports.readPapersPastUrls = function (filename) {
+  return fs
+    .readFileSync(filename, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().replace(/\/$/, ""))
+    .filter((line) => line && !line.startsWith("#"));
+};
+
+/** The smallest title similarity (0 to 100) for a record to be proposed as a fuzzy match. */
+const minimumFuzzyScore = 60;
+
+/** The most candidates to list for each proposed match in the review file. */
+const maximumCandidates = 5;
+
+/**
+ * Papers Past regions that are called something else on this site. Papers Past regions that
+ * aren't listed here or used on the site, like "National" and "Samoa", match any region.
+ */
+const papersPastRegionAliases = {
+  Marlborough: ["Top of the South"],
+  Nelson: ["Top of the South"],
+  Otago: ["Otago", "Southland"],
+};
+
+/**
+ * Could a Papers Past region be the region of a newspaper record?
+ * @param {*} papersPastRegion The Region column of the Papers Past data file.
+ * @param {*} regions The set of regions used by newspaper records.
+ * @param {*} newspaper The newspaper record.
+ * @returns False if the regions are known and different, true otherwise.
+ */
+function regionMatches(papersPastRegion, regions, newspaper) {
+  if (!papersPastRegion || !newspaper.region) return true;
+  const aliases = papersPastRegionAliases[papersPastRegion] || [
+    papersPastRegion,
+  ];
+  if (!aliases.some((region) => regions.has(region))) return true;
+  return aliases.includes(newspaper.region);
+}
+
+/**
+ * Split a normalised title into pairs of letters, for fuzzy matching.
+ * @param {*} normalisedTitle A title from nznShared.normaliseTitle().
+ * @returns A list of the letter pairs in each word.
+ */
+function letterPairs(normalisedTitle) {
+  let pairs = [];
+  normalisedTitle.split(" ").forEach(function (word) {
+    for (let i = 0; i < word.length - 1; i++) {
+      pairs.push(word.substring(i, i + 2));
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Score how alike two normalised titles are, using the letter pairs they share (the Dice
+ * coefficient), so spelling variants like "Luminary" and "Luminery" still score well.
+ * @param {*} a A normalised title.
+ * @param {*} b Another normalised title.
+ * @returns A score from 0 (nothing in common) to 100 (the same).
+ */
+function titleSimilarity(a, b) {
+  if (a == b) return 100;
+  const pairsA = letterPairs(a);
+  let pairsB = letterPairs(b);
+  const total = pairsA.length + pairsB.length;
+  if (total == 0) return 0;
+
+  let shared = 0;
+  pairsA.forEach(function (pair) {
+    const i = pairsB.indexOf(pair);
+    if (i >= 0) {
+      shared++;
+      pairsB.splice(i, 1);
+    }
+  });
+  return Math.round((200 * shared) / total);
+}
+
+/**
+ * Find the newspaper records that could be a Papers Past title: records in a matching region
+ * whose years overlap, with a normalised title (or alternate title) like the Papers Past one.
+ * @param {*} row A row from the Papers Past data file.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record.
+ * @param {*} regions The set of regions used by newspaper records.
+ * @returns A list of candidates, best first, each a dict with the "id", "title", "placename",
+ *   "firstYear", "finalYear" and "score" (100 for a normalised title that is the same).
+ */
+function findCandidates(row, newspaperRecords, regions) {
+  const title = nznShared.normaliseTitle(row.Title);
+  const years = nznShared.yearRange(row["First year"], row["Last year"]);
+
+  let candidates = [];
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    if (newspaper.idPapersPastCode) continue;
+    if (!regionMatches(row.Region, regions, newspaper)) continue;
+
+    // Papers Past years are the issues it holds rather than the whole run, so allow a year:
+    if (
+      !nznShared.yearsOverlap(
+        years,
+        nznShared.yearRange(newspaper.firstYear, newspaper.finalYear),
+        1
+      )
+    ) {
+      continue;
+    }
+
+    const titles = [newspaper.title].concat(
+      Object.values(newspaper.alternateTitle || {})
+    );
+    const score = Math.max(
+      ...titles.map((t) => titleSimilarity(title, nznShared.normaliseTitle(t)))
+    );
+    if (score >= minimumFuzzyScore) {
+      candidates.push({
+        id: id,
+        title: newspaper.title,
+        placename: newspaper.placename,
+        firstYear: newspaper.firstYear,
+        finalYear: newspaper.finalYear,
+        score: score,
+      });
+    }
   }
+  return candidates.sort((a, b) => b.score - a.score || a.id - b.id);
+}
+
+/**
+ * Read the review file, with the matches that have been proposed, accepted or rejected.
+ * @param {*} filename The path of the review file.
+ * @returns A dict that maps from Papers Past code to a proposed match.
+ */
+function readReviewFile(filename) {
+  if (!fs.existsSync(filename)) return {};
+  return JSON.parse(fs.readFileSync(filename, "utf8")).proposals || {};
+}
+
+/**
+ * Process the Papers Past information records that have been extracted from the data file.
+ *
+ * Each row is matched to newspaper records by its Papers Past code, then by a decision in the
+ * review file, then by its exact title, then by its normalised title (if only one record in a
+ * matching region with overlapping years has it). Rows with several normalised matches, or only
+ * fuzzy matches, are listed in the review file so someone can accept or reject them; accepted
+ * matches are applied the next time the rows are processed.
+ * @param {*} records A list of rows from the Papers Past data file, each a dict with a Code,
+ *   Title, Region, First year and Last year, and optionally the First issue, Last issue, Issues
+ *   and Gaps.
+ * @param {*} options A dict with an optional "reviewFile" (instead of paperspast-review.json in
+ *   the data dir), an optional "urlList" of known Papers Past URLs (see findPapersPastUrl), and
+ *   "replaceUrls" to replace the URLs already in the records.
+ * @returns A dict of counts: records, codeMatches, acceptedMatches, titleMatches,
+ *   normalisedMatches, proposedMatches, rejectedMatches, noMatches, updates, urlMismatches
+ *   (records with a different URL to Papers Past) and unknownUrls (rows with no URL).
+ */
+exports.parsePapersPastRows = function (records, options = {}) {
+  console.log("Start parsePapersPastRows()");
+  const reviewFile =
+    options.reviewFile ||
+    path.join(nznShared.jsonDir, "paperspast-review.json");
+  const urlList = options.urlList || null;
+  let urlOptions = { replaceUrls: options.replaceUrls, mismatches: [] };
 
   // Find the records that newspaper data now
   console.log("Scanning existing records for Papers Past ids");
@@ -129,9 +345,10 @@ function parsePapersPastRows(err, records) {
   let newspaperRecords = nznShared.getNewspaperRecords();
   let papersPastTitles = {};
   let papersPastCodes = {};
+  let regions = new Set();
   for (const [key, value] of Object.entries(newspaperRecords)) {
     // Save the title:
-    title = newspaperRecords[key].title;
+    const title = newspaperRecords[key].title;
     if (!papersPastTitles[title]) {
       papersPastTitles[title] = [];
     }
@@ -139,12 +356,21 @@ function parsePapersPastRows(err, records) {
 
     // Save the code:
     if (newspaperRecords[key].idPapersPastCode) {
-      code = newspaperRecords[key].idPapersPastCode;
+      const code = newspaperRecords[key].idPapersPastCode;
       if (!papersPastCodes[code]) {
         papersPastCodes[code] = [];
       }
       papersPastCodes[code].push(key);
     }
+
+    if (value.region) regions.add(value.region);
+  }
+
+  // The decisions that have already been made are kept; the other proposals are made afresh:
+  const reviewed = readReviewFile(reviewFile);
+  let proposals = {};
+  for (const [code, proposal] of Object.entries(reviewed)) {
+    if (proposal.decision) proposals[code] = proposal;
   }
 
   // Read and re-write the newspaper Json:
@@ -152,51 +378,259 @@ function parsePapersPastRows(err, records) {
 
   let count = 0;
   let countCodeMatch = 0;
+  let countAcceptedMatch = 0;
   let countTitleMatch = 0;
+  let countNormalisedMatch = 0;
+  let countProposedMatch = 0;
+  let countRejectedMatch = 0;
   let countNoMatch = 0;
   let countUpdates = 0;
+  let countUnknownUrls = 0;
 
   records.forEach(function (arrayItem) {
     count += 1;
 
     let code = arrayItem.Code;
     let title = arrayItem.Title;
-    let url = makePapersPastUrl(title);
+    let url = exports.findPapersPastUrl(arrayItem, urlList);
+    if (!url) {
+      console.log("No Papers Past URL in the URL list for: " + title);
+      countUnknownUrls++;
+    }
+    const coverage = exports.parseCoverage(arrayItem);
+    const decision = proposals[code] ? proposals[code].decision : null;
     // console.log(code + " -> " + url);
 
     if (papersPastCodes[code]) {
       console.log("Match code, update URL for " + code + " (" + title + ")");
       countCodeMatch++;
-      countUpdates += addPapersPastDataList(papersPastCodes[code], code, url);
+      countUpdates += addPapersPastDataList(
+        papersPastCodes[code],
+        code,
+        url,
+        coverage,
+        urlOptions
+      );
+    } else if (decision == "accept") {
+      const proposal = proposals[code];
+      const id = proposal.id || proposal.candidates[0].id;
+      if (newspaperRecords[id]) {
+        console.log(
+          "Accepted match, add code and URL for: " + title + " -> " + id
+        );
+        countAcceptedMatch++;
+        countUpdates += addPapersPastDataList(
+          [id],
+          code,
+          url,
+          coverage,
+          urlOptions
+        );
+      } else {
+        console.log(
+          "Accepted match to a missing record: " + code + " -> " + id
+        );
+        countNoMatch++;
+      }
+    } else if (decision == "reject") {
+      console.log("Rejected match: " + code + " / " + title);
+      countRejectedMatch++;
     } else if (papersPastTitles[title]) {
       console.log("Match title, add code and URL for: " + title);
       countTitleMatch++;
-      countUpdates += addPapersPastDataList(papersPastTitles[title], code, url);
+      countUpdates += addPapersPastDataList(
+        papersPastTitles[title],
+        code,
+        url,
+        coverage,
+        urlOptions
+      );
     } else {
-      console.log("New code / new title: " + code + " / " + title);
-      countNoMatch++;
+      const candidates = findCandidates(arrayItem, newspaperRecords, regions);
+      const sameTitles = candidates.filter((c) => c.score == 100);
+
+      if (sameTitles.length == 1) {
+        console.log(
+          "Match normalised title, add code and URL for: " +
+            title +
+            " -> " +
+            sameTitles[0].id
+        );
+        countNormalisedMatch++;
+        countUpdates += addPapersPastDataList(
+          [sameTitles[0].id],
+          code,
+          url,
+          coverage,
+          urlOptions
+        );
+      } else if (candidates.length > 0) {
+        console.log(
+          "Proposed match: " +
+            code +
+            " / " +
+            title +
+            " -> " +
+            candidates.map((c) => c.id + " (" + c.score + ")").join(", ")
+        );
+        countProposedMatch++;
+        proposals[code] = {
+          title: title,
+          region: arrayItem.Region,
+          years: arrayItem["First year"] + "-" + arrayItem["Last year"],
+          candidates: candidates.slice(0, maximumCandidates),
+          decision: null,
+          id: null,
+        };
+      } else {
+        console.log("New code / new title: " + code + " / " + title);
+        countNoMatch++;
+      }
     }
   });
 
+  nznShared.writeJsonDict(
+    {
+      about:
+        "Proposed matches between Papers Past titles and newspaper records. Set a decision to " +
+        '"accept" (optionally with the "id" of a candidate other than the first) or "reject", ' +
+        "then run nzn-paperspast-updater.js again.",
+      proposals: proposals,
+    },
+    reviewFile
+  );
+
   console.log("End parsePapersPastRows(): " + count + " records");
   console.log("* Code matches: " + countCodeMatch + " records");
+  console.log("* Accepted matches: " + countAcceptedMatch + " records");
   console.log("* Title matches: " + countTitleMatch + " records");
+  console.log(
+    "* Normalised title matches: " + countNormalisedMatch + " records"
+  );
+  console.log("* Proposed matches: " + countProposedMatch + " records");
+  console.log("* Rejected matches: " + countRejectedMatch + " records");
   console.log("* No match: " + countNoMatch + " records");
   console.log("* Total updates: " + countUpdates + " records");
-}
+  console.log("* URL mismatches: " + urlOptions.mismatches.length + " records");
+  console.log("* Unknown URLs: " + countUnknownUrls + " records");
+  console.log("* Review file: " + reviewFile);
+
+  return {
+    records: count,
+    codeMatches: countCodeMatch,
+    acceptedMatches: countAcceptedMatch,
+    titleMatches: countTitleMatch,
+    normalisedMatches: countNormalisedMatch,
+    proposedMatches: countProposedMatch,
+    rejectedMatches: countRejectedMatch,
+    noMatches: countNoMatch,
+    updates: countUpdates,
+    urlMismatches: urlOptions.mismatches.length,
+    unknownUrls: countUnknownUrls,
+  };
+};
+
+/**
+ * Read the rows of a Papers Past data file (tab-separated, with a header row).
+ * @param {*} filename The path of the data file.
+ * @returns A promise of a list of rows, each a dict from column name to value.
+ */
+exports.readPapersPastFile = function (filename) {
+  return new Promise(function (resolve, reject) {
+    const newspaperParser = parse(
+      {
+        columns: true,
+        delimiter: "\t",
+        trim: true,
+        skip_empty_lines: true,
+      },
+      function (err, records) {
+        if (err) {
+          reject(new Error("Error parsing TSV data: " + err.message));
+        } else {
+          resolve(records);
+        }
+      }
+    );
+
+    const input = fs.createReadStream(filename);
+    input.on("error", reject);
+    input.pipe(newspaperParser);
+  });
+};
+
+/**
+ * Update the newspaper records from a Papers Past data file.
+ * @param {*} options A dict with an optional "dataDir" (instead of the usual data directory) and
+ *   an optional "inputFile" (instead of PapersPastNewspaperData.tsv in the scripts folder), and
+ *   an optional "reviewFile" (instead of paperspast-review.json in the data dir), an optional
+ *   "urlFile" (instead of PapersPastTitleUrls.txt in the scripts folder, if there is one), and
+ *   "replaceUrls" to replace the URLs already in the records.
+ * @returns A promise of a dict of counts (see parsePapersPastRows).
+ */
+exports.updateFromPapersPast = async function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.oldIdtoNewIdFilename)) {
+    throw new Error(
+      "Missing identifier map: " + nznShared.oldIdtoNewIdFilename
+    );
+  }
+
+  const ppFile =
+    options.inputFile ||
+    path.join(nznShared.scriptDir, "PapersPastNewspaperData.tsv");
+  if (!fs.existsSync(ppFile)) {
+    throw new Error("Missing Papers Past data: " + ppFile);
+  }
+
+  console.log(" * Papers Past file: " + ppFile);
+  console.log(" * Newspaper data dir: " + nznShared.paperDir);
+
+  const urlFile =
+    options.urlFile ||
+    path.join(nznShared.scriptDir, "PapersPastTitleUrls.txt");
+  let urlList = null;
+  if (fs.existsSync(urlFile)) {
+    urlList = exports.readPapersPastUrls(urlFile);
+    console.log(" * Papers Past URL list: " + urlFile);
+  } else if (options.urlFile) {
+    throw new Error("Missing Papers Past URL list: " + urlFile);
+  } else {
+    console.log(
+      " * No Papers Past URL list, so URLs will be guessed from titles"
+    );
+  }
+  console.log(
+    " * Replace existing URLs: " + (options.replaceUrls ? "yes" : "no")
+  );
+
+  console.log("Starting Parser");
+  const records = await exports.readPapersPastFile(ppFile);
+  return exports.parsePapersPastRows(records, {
+    reviewFile: options.reviewFile,
+    urlList: urlList,
+    replaceUrls: options.replaceUrls,
+  });
+};
 
-const newspaperParser = parse(
-  {
-    columns: true,
-    delimiter: "\t",
-    trim: true,
-    skip_empty_lines: true,
-  },
-  parsePapersPastRows
-);
-
-console.log("Starting");
-console.log("Starting Parser");
-fs.createReadStream(ppFile).pipe(newspaperParser);
-
-console.log("Ending: " + process.argv[1]);
+// Run from the command line:
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+
+  // The "replace-urls" mode replaces the URLs already in the records with the Papers Past ones:
+  const replaceUrls = nznShared.commandArgs.includes("replace-urls");
+  exports
+    .updateFromPapersPast({
+      inputFile: nznShared.inputFile,
+      replaceUrls: replaceUrls,
+    })
+    .then(function () {
+      console.log("Ending: " + process.argv[1]);
+    })
+    .catch(function (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,170 @@
+// nzn-reciprocal-links.js
+
+// This script checks that links between newspapers go both ways: if paper A is "Continued by"
+// paper B, then paper B should say that it "Continues" paper A. It reports the links that are
+// missing or disagree, and can add the missing links to the target records.
+
+const fs = require("fs");
+const nznShared = require("./nzn-shared");
+
+// Confirm the required paths and input files:
+if (!fs.existsSync(nznShared.idToGenrePath)) {
+  console.error("Missing genre index: " + nznShared.idToGenrePath);
+  process.exit(1);
+}
+
+console.log("Running: " + process.argv[1]);
+console.log(" * Newspaper dir: " + nznShared.paperDir);
+
+// Figure out a mode of operation...
+const commandArgs = nznShared.commandArgs;
+let mode = "report";
+switch ((commandArgs[0] || "").toLowerCase()) {
+  case "report":
+    mode = "report";
+    break;
+  case "add-missing-links":
+    mode = "add-missing-links";
+    break;
+  default:
+    console.log("Warning: mode not specified, defaulting to 'report'");
+}
+console.log(" * Mode: " + mode);
+
+/**
+ * Describe a link in a few words, for the report.
+ * @param {*} link A link record.
+ * @returns A string like "Succeeding / Continued by".
+ */
+function describeLink(link) {
+  if (link.relationship) return link.direction + " / " + link.relationship;
+  return link.direction;
+}
+
+/**
+ * Check every link in every newspaper record for a matching link back.
+ */
+function checkReciprocalLinks() {
+  console.log("Start checkReciprocalLinks()");
+
+  let newspaperRecords = nznShared.getNewspaperRecords();
+
+  let count = 0;
+  let countReciprocal = 0;
+  let countMissing = 0;
+  let countMismatch = 0;
+  let countNoInverse = 0;
+  let countUnknownTarget = 0;
+  let countSelf = 0;
+  let missingLinks = [];
+  let updatedIds = new Set();
+  let mismatchedPairs = new Set();
+
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    if (!newspaper.links) continue;
+
+    for (const [targetId, link] of Object.entries(newspaper.links)) {
+      count++;
+
+      // A record that links to itself is its own back link, so there is nothing to check:
+      if (targetId == id) {
+        countSelf++;
+        continue;
+      }
+
+      const target = newspaperRecords[targetId];
+      if (!target) {
+        // Placeholder keys are handled by nzn-link-resolver.js:
+        countUnknownTarget++;
+        continue;
+      }
+
+      const inverse = nznShared.inverseLink(link, newspaper, target);
+      if (!inverse) {
+        countNoInverse++;
+        continue;
+      }
+
+      const backLink = target.links ? target.links[id] : null;
+      if (backLink) {
+        // A "Merged" link can point to a partner title or to the merged title, so either is fine:
+        const isMerged = (link.relationship || "").toLowerCase() == "merged";
+        const pair = [id, targetId].sort().join("-");
+        if (
+          isMerged ||
+          nznShared.linkSide(backLink) == nznShared.linkSide(inverse)
+        ) {
+          countReciprocal++;
+        } else if (!mismatchedPairs.has(pair)) {
+          mismatchedPairs.add(pair);
+          countMismatch++;
+          console.log(
+            "Mismatch: " +
+              id +
+              " -> " +
+              targetId +
+              " is '" +
+              describeLink(link) +
+              "' but " +
+              targetId +
+              " -> " +
+              id +
+              " is '" +
+              describeLink(backLink) +
+              "'"
+          );
+        }
+        continue;
+      }
+
+      countMissing++;
+      console.log(
+        "Missing: " +
+          targetId +
+          " (" +
+          target.title +
+          ") should link to " +
+          id +
+          " (" +
+          newspaper.title +
+          ") as '" +
+          describeLink(inverse) +
+          "'"
+      );
+
+      inverse["target-description"] = newspaper.title;
+      missingLinks.push({ sourceId: id, targetId: targetId, link: inverse });
+    }
+  }
+
+  // Add the missing links to the target records:
+  missingLinks.forEach(function (missing) {
+    let target = newspaperRecords[missing.targetId];
+    if (!target.links) target.links = {};
+    target.links[missing.sourceId] = missing.link;
+    updatedIds.add(missing.targetId);
+  });
+
+  if (mode == "add-missing-links") {
+    updatedIds.forEach(function (targetId) {
+      nznShared.writeNewspaper(
+        targetId,
+        newspaperRecords[targetId],
+        "Added reciprocal links using the nzn-reciprocal-links.js script."
+      );
+    });
+  }
+
+  console.log("End checkReciprocalLinks(): " + count + " links");
+  console.log("* Reciprocal: " + countReciprocal + " links");
+  console.log("* Missing: " + countMissing + " links");
+  console.log("* Mismatched: " + countMismatch + " links");
+  console.log("* No inverse relationship: " + countNoInverse + " links");
+  console.log("* Unknown target: " + countUnknownTarget + " links");
+  console.log("* Links to itself: " + countSelf + " links");
+  if (mode == "add-missing-links") {
+    console.log("* Records updated: " + updatedIds.size + " records");
+  }
+}
+
+checkReciprocalLinks();
@@ -0,0 +1,281 @@
+// nzn-schema.js
+// The schema for the newspaper JSON files, and a function to check records against it.
+
+/**
+ * The genres used in newspaperIdToGenre.json. Only "Newspaper" records are published on the site.
+ * "Redirect" records are stubs left behind when a record is merged into another (nzn-merge.js).
+ */
+exports.genres = [
+  "Newspaper",
+  "Masthead",
+  "Weekly Edition",
+  "Alternate Edition",
+  "Weekend Edition",
+  "Minor Edition",
+  "Periodical",
+  "Other",
+  "Unknown",
+  "Undetermined",
+  "Duplicate",
+  "Redirect",
+];
+
+/** A MARC-style year: "1840", or partially unknown like "184u", "18uu", "1uuu", "uuuu". */
+const yearPattern = /^(\d{4}|\d{3}u|\d{2}uu|\duuu|uuuu)$/;
+
+/** An ISO date: "1840-06-15". */
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+/** A website address. */
+const urlPattern = /^https?:\/\/[^\s\/]+\.[^\s]+$/;
+
+/** A placecode like "01-01", sometimes with a suffix like "02-01-auckland". */
+const placecodePattern = /^(\d{2}-\d{2}(-[a-z]+)?|unknown)$/;
+
+/**
+ * The fields allowed in a newspaper record. Each field has a type, and can be required,
+ * restricted to a pattern, or restricted to a list of values.
+ */
+exports.newspaperSchema = {
+  id: { type: "integer", required: true },
+  title: { type: "string", required: true },
+  genre: { type: "string", required: true, values: exports.genres },
+  firstYear: { type: "string", required: true, pattern: yearPattern },
+  finalYear: { type: "string", required: true, pattern: yearPattern },
+  alternateTitle: { type: "object", valueType: "string" },
+  description: { type: "string" },
+  digitisedCoverage: { type: "object" },
+  district: { type: "string", required: true },
+  finalIssueDate: { type: "string", pattern: datePattern },
+  firstIssueDate: { type: "string", pattern: datePattern },
+  frequency: { type: "string" },
+  numbering: { type: "string" },
+  idMarcControlNumber: { type: "string", pattern: /^\d+$/ },
+  idNZNewspapersV1: { type: "string", pattern: /^\d+$/ },
+  idPapersPastCode: { type: "string", pattern: /^[A-Z]+$/ },
+  isCurrent: { type: "boolean", required: true },
+  mastheadURL: { type: "string", pattern: urlPattern },
+  placecode: { type: "string", required: true, pattern: placecodePattern },
+  placename: { type: "string", required: true },
+  otherFormats: { type: "array", valueType: "object" },
+  price: { type: "string" },
+  publisher: { type: "string" },
+  region: { type: "string", required: true },
+  subjects: { type: "array", valueType: "string" },
+  urlCurrent: { type: "string", pattern: urlPattern },
+  urlDigitized: { type: "string", pattern: urlPattern },
+  notes: { type: "object", valueType: "string" },
+  links: { type: "object", valueType: "object" },
+  sources: { type: "object", valueType: "string", required: true },
+  revision: { type: "integer", required: true },
+};
+
+/**
+ * The fields allowed in a redirect stub, which points to the record it was merged into. The
+ * title is kept so people can tell which record the stub was, and the MARC number so the record
+ * isn't added again from the National Bibliography.
+ */
+exports.redirectSchema = {
+  id: { type: "integer", required: true },
+  title: { type: "string", required: true },
+  genre: { type: "string", required: true, values: ["Redirect"] },
+  redirect: { type: "integer", required: true },
+  idMarcControlNumber: { type: "string", pattern: /^\d+$/ },
+  sources: { type: "object", valueType: "string", required: true },
+  revision: { type: "integer", required: true },
+};
+
+/**
+ * Describe the type of a JSON value in the same terms as the schema.
+ * @param {*} value Any value read from a JSON file.
+ * @returns One of "integer", "number", "string", "boolean", "array", "object" or "null".
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check one newspaper record against the schema.
+ * @param {*} record The newspaper record read from disk.
+ * @param {*} idToGenre Optional map of known newspaper ids to genres, used to check link targets.
+ * @returns A dict with a list of "errors" and a list of "warnings", each a human-readable string.
+ */
+exports.validateNewspaper = function (record, idToGenre = null) {
+  let errors = [];
+  let warnings = [];
+
+  if (typeOf(record) != "object") {
+    errors.push("Record is not a JSON object");
+    return { errors: errors, warnings: warnings };
+  }
+
+  // Redirect stubs only have a few fields, and point to a record that isn't itself a stub:
+  const isRedirect = record.genre == "Redirect";
+  const schema = isRedirect ? exports.redirectSchema : exports.newspaperSchema;
+  if (isRedirect && idToGenre && Number.isInteger(record.redirect)) {
+    const targetGenre = idToGenre[record.redirect];
+    if (!targetGenre) {
+      errors.push(
+        "Redirect '" + record.redirect + "' does not match a known newspaper id"
+      );
+    } else if (targetGenre == "Redirect") {
+      errors.push("Redirect '" + record.redirect + "' is another redirect");
+    }
+  }
+
+  // Check each field against the schema:
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = record[field];
+    if (value === undefined) {
+      if (rule.required) errors.push("Missing required field '" + field + "'");
+      continue;
+    }
+
+    const valueType = typeOf(value);
+    if (valueType != rule.type) {
+      errors.push(
+        "Field '" + field + "' should be " + rule.type + ", not " + valueType
+      );
+      continue;
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push("Field '" + field + "' has a bad format: '" + value + "'");
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+      errors.push(
+        "Field '" + field + "' has an unknown value: '" + value + "'"
+      );
+    }
+
+    if (rule.valueType) {
+      for (const [key, entry] of Object.entries(value)) {
+        if (typeOf(entry) != rule.valueType) {
+          errors.push(
+            "Entry '" + field + "." + key + "' should be " + rule.valueType
+          );
+        }
+      }
+    }
+  }
+
+  // Fields that aren't in the schema are probably typos:
+  for (const field of Object.keys(record)) {
+    if (!schema[field]) {
+      warnings.push("Unexpected field '" + field + "'");
+    }
+  }
+
+  // Papers that are still published have a final year of 9999:
+  if (
+    typeOf(record.isCurrent) == "boolean" &&
+    typeOf(record.finalYear) == "string"
+  ) {
+    const finalYearIsCurrent = record.finalYear == "9999";
+    if (record.isCurrent != finalYearIsCurrent) {
+      errors.push(
+        "Field 'isCurrent' is " +
+          record.isCurrent +
+          " but 'finalYear' is '" +
+          record.finalYear +
+          "'"
+      );
+    }
+  }
+
+  // Years should be in order, ignoring the unknown digits:
+  if (
+    yearPattern.test(record.firstYear) &&
+    yearPattern.test(record.finalYear)
+  ) {
+    const first = record.firstYear.replace(/u/g, "0");
+    const final = record.finalYear.replace(/u/g, "9");
+    if (first > final) {
+      errors.push(
+        "Field 'firstYear' (" +
+          record.firstYear +
+          ") is after 'finalYear' (" +
+          record.finalYear +
+          ")"
+      );
+    }
+  }
+
+  // Digitised coverage comes from Papers Past, and should fit within the years of publication:
+  if (typeOf(record.digitisedCoverage) == "object") {
+    const coverage = record.digitisedCoverage;
+    const patterns = {
+      firstYear: /^\d{4}$/,
+      finalYear: /^\d{4}$/,
+      firstIssueDate: datePattern,
+      finalIssueDate: datePattern,
+    };
+    for (const [field, pattern] of Object.entries(patterns)) {
+      if (coverage[field] !== undefined && !pattern.test(coverage[field])) {
+        errors.push(
+          "Field 'digitisedCoverage." +
+            field +
+            "' has a bad format: '" +
+            coverage[field] +
+            "'"
+        );
+      }
+    }
+    if (coverage.issues !== undefined && typeOf(coverage.issues) != "integer") {
+      errors.push("Field 'digitisedCoverage.issues' should be integer");
+    }
+    if (coverage.gaps !== undefined && typeOf(coverage.gaps) != "array") {
+      errors.push("Field 'digitisedCoverage.gaps' should be array");
+    }
+    if (
+      yearPattern.test(record.firstYear) &&
+      /^\d{4}$/.test(coverage.firstYear) &&
+      coverage.firstYear < record.firstYear.replace(/u/g, "0")
+    ) {
+      warnings.push(
+        "Digitised coverage starts (" +
+          coverage.firstYear +
+          ") before 'firstYear' (" +
+          record.firstYear +
+          ")"
+      );
+    }
+    if (
+      yearPattern.test(record.finalYear) &&
+      /^\d{4}$/.test(coverage.finalYear) &&
+      coverage.finalYear > record.finalYear.replace(/u/g, "9")
+    ) {
+      warnings.push(
+        "Digitised coverage ends (" +
+          coverage.finalYear +
+          ") after 'finalYear' (" +
+          record.finalYear +
+          ")"
+      );
+    }
+  }
+
+  // Links should have a description, and point to records we know about:
+  if (typeOf(record.links) == "object") {
+    for (const [key, link] of Object.entries(record.links)) {
+      if (typeOf(link) != "object") continue;
+      if (!link["target-description"]) {
+        warnings.push("Link '" + key + "' has no target-description");
+      }
+      if (!link.direction && !link.relationship) {
+        warnings.push("Link '" + key + "' has no direction or relationship");
+      }
+      if (idToGenre && !idToGenre[key]) {
+        warnings.push("Link '" + key + "' does not match a known newspaper id");
+      } else if (idToGenre && idToGenre[key] == "Redirect") {
+        warnings.push("Link '" + key + "' points to a merged record");
+      }
+    }
+  }
+
+  return { errors: errors, warnings: warnings };
+};
@@ -3,19 +3,46 @@
 
 const fs = require("fs");
 const path = require("path");
+const { Record } = require("marcjs");
+const nznConfig = require("./nzn-config");
 
-exports.docsDir = path.join(process.cwd(), "docs");
-exports.jsonDir = path.join(exports.docsDir, "data");
-exports.paperDir = path.join(exports.jsonDir, "papers");
-exports.marcDir = path.join(exports.jsonDir, "marc");
-exports.scriptDir = path.join(process.cwd(), "scripts");
+exports.scriptDir = __dirname;
 
-exports.oldIdtoNewIdFilename = path.join(
-  exports.jsonDir,
-  "old_id_to_new_id.json"
-);
+/**
+ * Point the shared paths (jsonDir, paperDir, marcDir, and so on) at a data directory. Scripts
+ * that are used as modules call this when they are given a dataDir option.
+ * @param {*} dir The data directory, laid out like docs/data.
+ * @param {*} source Where the directory came from, for logging.
+ */
+exports.setDataDir = function (dir, source = "option") {
+  exports.jsonDir = path.resolve(dir);
+  exports.jsonDirSource = source;
+  exports.docsDir = path.dirname(exports.jsonDir);
+  exports.paperDir = path.join(exports.jsonDir, "papers");
+  exports.marcDir = path.join(exports.jsonDir, "marc");
+  exports.oldIdtoNewIdFilename = path.join(
+    exports.jsonDir,
+    "old_id_to_new_id.json"
+  );
+  exports.idToGenrePath = path.join(exports.jsonDir, "newspaperIdToGenre.json");
+  exports.gazetteerPath = path.join(exports.jsonDir, "gazetteer.json");
+
+  // The highest id belongs to the old data directory:
+  maxNewspaperId = null;
+};
+
+// The data folder is docs/data unless it is set with --data-dir, NZN_DATA_DIR, or nzn.config.json:
+const dataDir = nznConfig.getDataDir();
+exports.setDataDir(dataDir.dataDir, dataDir.source);
+
+// An input file given with --input, used instead of the script's usual input file:
+exports.inputFile = nznConfig.getInputFile();
+
+// The base URL of the site, for sitemaps and canonical links:
+exports.baseUrl = nznConfig.getBaseUrl();
 
-exports.idToGenrePath = path.join(exports.jsonDir, "newspaperIdToGenre.json");
+// The command line arguments for the script, without the --data-dir and --input options:
+exports.commandArgs = nznConfig.stripPathArgs(process.argv.slice(2));
 
 /**
  * Get the JSON filename for newspaper data.
@@ -72,6 +99,205 @@ exports.titleCleanup = function (str) {
   return exports.titleCase(tidyStr);
 };
 
+/** The address of the Papers Past newspapers, which each have a page under it. */
+exports.papersPastBaseUrl = "https://paperspast.natlib.govt.nz/newspapers/";
+
+/**
+ * Guess a Papers Past URL from a Papers Past newspaper title. The guess can be wrong (e.g. for
+ * titles that have been renamed), so use a known URL instead where there is one. Macrons are
+ * dropped, as Papers Past does, rather than splitting the word ("maori", not "m-ori").
+ */
+exports.makePapersPastUrl = function (title) {
+  let baseUrl = exports.papersPastBaseUrl;
+  const dash = "-";
+  let key = title
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[\W_]+/g, " ")
+    .trim()
+    .replaceAll(" ", dash);
+  return baseUrl + key;
+};
+
+/**
+ * Reduce a title to a form that can be compared with other titles, ignoring case, accents,
+ * punctuation, a leading "The", and qualifiers in brackets like "Star (Hawera, N.Z.)".
+ * @param {string} str The title to normalise.
+ * @returns The normalised title, e.g. "star".
+ */
+exports.normaliseTitle = function (str) {
+  return str
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/&/g, " and ")
+    .replace(/[\W_]+/g, " ")
+    .trim()
+    .replace(/^the /, "");
+};
+
+/**
+ * Convert a MARC "year" to a number, treating unknown digits as zeros and 9999 as this year.
+ * @param {string} year The concise form of the year (may be partially unknown, e.g. "19uu").
+ * @returns The year as a number, or null if the year is completely unknown.
+ */
+exports.yearToNumber = function (year) {
+  if (!year || year == "uuuu" || !/^\d/.test(year)) return null;
+  if (year == "9999") return new Date().getFullYear();
+  return parseInt(year.replace(/u/g, "0"));
+};
+
+/**
+ * Get the range of years covered by a newspaper (or a Papers Past title), as numbers.
+ * @param {string} firstYear The first year (may be partially unknown, e.g. "18uu").
+ * @param {string} finalYear The final year (may be partially unknown, or 9999 for current).
+ * @returns A dict with the "first" and "final" year, either of which may be null if unknown.
+ */
+exports.yearRange = function (firstYear, finalYear) {
+  // An unknown digit in the final year could be as late as a 9:
+  const final = finalYear ? String(finalYear).replace(/u/g, "9") : null;
+  return {
+    first: exports.yearToNumber(firstYear ? String(firstYear) : null),
+    final:
+      final == "9999" ? exports.yearToNumber(final) : parseInt(final) || null,
+  };
+};
+
+/**
+ * Do two ranges of years overlap? Unknown years are treated as overlapping.
+ * @param {*} a A range from yearRange().
+ * @param {*} b A range from yearRange().
+ * @param {number} slack How many years apart the ranges can be and still count as overlapping.
+ * @returns True if they overlap.
+ */
+exports.yearsOverlap = function (a, b, slack = 0) {
+  if (a.first && b.final && a.first > b.final + slack) return false;
+  if (b.first && a.final && b.first > a.final + slack) return false;
+  return true;
+};
+
+/**
+ * The relationships used in newspaper links. Each one says which side of the link table it
+ * belongs on, and the relationship that the target newspaper should use to link back.
+ * Links from the 2015 import sometimes have no relationship, just an old-style direction.
+ */
+const linkRelationships = {
+  continues: { side: "Preceding", inverse: "Continued by" },
+  "continued by": { side: "Succeeding", inverse: "Continues" },
+  "continues in part": { side: "Preceding", inverse: "Continued in part by" },
+  "continued in part by": { side: "Succeeding", inverse: "Continues in part" },
+  supersedes: { side: "Preceding", inverse: "Superseded by" },
+  "superseded by": { side: "Succeeding", inverse: "Supersedes" },
+  absorbed: { side: "Preceding", inverse: "Absorbed by" },
+  incorporates: { side: "Preceding", inverse: "Incorporated by" },
+  incorporated: { side: "Preceding", inverse: "Incorporated by" },
+  "absorbed by": { side: "Succeeding", inverse: "Absorbed" },
+  "absorbed into": { side: "Succeeding", inverse: "Absorbed" },
+  "incorporated by": { side: "Succeeding", inverse: "Incorporates" },
+  "formed by the union": { side: "Preceding", inverse: "Merged into" },
+  "formed by union": { side: "Preceding", inverse: "Merged into" },
+  "formed by merger": { side: "Preceding", inverse: "Merged into" },
+  "merged into": { side: "Succeeding", inverse: "Formed by the union" },
+  "merged to form": { side: "Succeeding", inverse: "Formed by the union" },
+  merged: { side: "Succeeding", inverse: null },
+  split: { side: "Succeeding", inverse: "Separated from" },
+  "separated from": { side: "Preceding", inverse: "Split" },
+  "spun off from": { side: "Preceding", inverse: "Split" },
+  "changed back to": { side: "Succeeding", inverse: "Continues" },
+};
+
+/** Misspelled relationships that are in the data, and the relationships they stand for. */
+const misspelledRelationships = {
+  "incoporated by": "incorporated by",
+  "separted from": "separated from",
+};
+
+/**
+ * Get the relationship of a link in lower case, with any misspelling corrected.
+ * @param {*} link A link record.
+ * @returns The relationship, or "" if there isn't one.
+ */
+function relationshipKey(link) {
+  const relationship = (link.relationship || "").toLowerCase();
+  return misspelledRelationships[relationship] || relationship;
+}
+
+const linkDirections = {
+  preceding: { side: "Preceding", inverse: "Succeeding" },
+  succeeding: { side: "Succeeding", inverse: "Preceding" },
+  continues: { side: "Preceding", inverse: "Continued By" },
+  "continued by": { side: "Succeeding", inverse: "Continues" },
+  "is masthead of": { side: "Related", inverse: "Has Masthead" },
+  "has masthead": { side: "Related", inverse: "Is Masthead Of" },
+  "is edition of": { side: "Related", inverse: "Has Edition" },
+  "has edition": { side: "Related", inverse: "Is Edition Of" },
+};
+
+/**
+ * Work out which side of the link table a link belongs on, as newspaper.html does.
+ * @param {*} link A link record, with a direction and (usually) a relationship.
+ * @returns "Preceding", "Succeeding", "Related", or null if we can't tell.
+ */
+exports.linkSide = function (link) {
+  const direction = (link.direction || "").toLowerCase();
+  const relationship = relationshipKey(link);
+  if (direction == "preceding" || direction == "succeeding") {
+    return linkDirections[direction].side;
+  }
+  if (linkDirections[direction]) return linkDirections[direction].side;
+  if (linkRelationships[relationship]) {
+    return linkRelationships[relationship].side;
+  }
+  return null;
+};
+
+/**
+ * Work out the link that a target newspaper should have back to the source newspaper.
+ * @param {*} link The link record from the source to the target.
+ * @param {*} source The source newspaper record.
+ * @param {*} target The target newspaper record.
+ * @returns A dict with the inverse direction (and relationship), or null if there isn't one.
+ */
+exports.inverseLink = function (link, source, target) {
+  const direction = (link.direction || "").toLowerCase();
+  let relationship = relationshipKey(link);
+  if (relationship == direction) relationship = "";
+
+  // "Merged" links point to both the other merging titles and the title they formed:
+  let inverseRelationship = null;
+  if (relationship == "merged") {
+    const finalYear = exports.yearToNumber(source.finalYear);
+    const firstYear = exports.yearToNumber(target.firstYear);
+    if (finalYear && firstYear && firstYear >= finalYear) {
+      inverseRelationship = "Formed by the union";
+    } else {
+      inverseRelationship = "Merged";
+    }
+  } else if (linkRelationships[relationship]) {
+    inverseRelationship = linkRelationships[relationship].inverse;
+  } else if (relationship) {
+    // Relationships like "Unrelated" or "Main edition" don't have an inverse:
+    return null;
+  }
+
+  // Links with a relationship use "Preceding" and "Succeeding" as the direction:
+  if (direction == "preceding" || direction == "succeeding") {
+    if (!inverseRelationship) {
+      return { direction: linkDirections[direction].inverse };
+    }
+    const side = linkRelationships[inverseRelationship.toLowerCase()].side;
+    return { direction: side, relationship: inverseRelationship };
+  }
+
+  // Old-style links use the direction to describe the relationship:
+  if (!linkDirections[direction]) return null;
+  let result = { direction: linkDirections[direction].inverse };
+  if (inverseRelationship) result.relationship = inverseRelationship;
+  return result;
+};
+
 /**
  * Read a JSON file to a dict or die trying.
  */
@@ -92,9 +318,10 @@ exports.readJsonDictSync = function (filename) {
  * Write a dict to a JSON file or die trying (async).
  * @param {*} dict The Javascript object  to write.
  * @param {string} filename The path to write to.
+ * @param {number} indent The indent to use, or 0 for compact JSON.
  */
-exports.writeJsonDict = function (dict, filename) {
-  const jsonString = JSON.stringify(dict, null, 2);
+exports.writeJsonDict = function (dict, filename, indent = 2) {
+  const jsonString = JSON.stringify(dict, null, indent);
 
   // Make sure the folder exists:
   var dirName = path.dirname(filename);
@@ -111,6 +338,17 @@ exports.writeJsonDict = function (dict, filename) {
   });
 };
 
+/**
+ * Check whether a file already has the given content, so we can avoid rewriting it.
+ * @param {string} filename The path of the file.
+ * @param {string} content The content we would write.
+ * @returns True if the file exists and has exactly this content.
+ */
+exports.isFileContentSame = function (filename, content) {
+  if (!fs.existsSync(filename)) return false;
+  return fs.readFileSync(filename, "utf8") === content;
+};
+
 /**
  * Write a set to a text file, one line at a time. Useful for sitemaps.
  * @param {*} data A set of strings.
@@ -139,6 +377,36 @@ exports.readNewspaper = function (id) {
   return exports.readJsonDictSync(filename);
 };
 
+/**
+ * Read the MARC record for one newspaper from the text files in the MARC dir.
+ * @param {*} id The newspaper identifier
+ * @returns A marcjs Record, or null if there is no MARC file for this newspaper.
+ */
+exports.readNewspaperMarc = function (id) {
+  const filename = exports.getNewspaperMarcPath(id);
+  if (!fs.existsSync(filename)) return null;
+
+  // Each line is a leader, a control field "001 value", or a data field "245 04 $a value $b value":
+  let record = new Record();
+  const lines = fs.readFileSync(filename, "utf8").split("\n");
+  record.leader = lines[0];
+  lines.slice(1).forEach(function (line) {
+    if (line.length < 5) return;
+    const tag = line.substring(0, 3);
+    if (tag < "010") {
+      record.fields.push([tag, line.substring(4)]);
+    } else {
+      let field = [tag, line.substring(4, 6)];
+      const parts = line.substring(7).split(/ ?\$([a-z0-9]) /);
+      for (let i = 1; i < parts.length; i += 2) {
+        field.push(parts[i], parts[i + 1]);
+      }
+      record.fields.push(field);
+    }
+  });
+  return record;
+};
+
 /**
  * Make a copy of an object that has its keys sorted in descending order.
  * @param {*} inputObject The object withunsorted keys.
@@ -232,8 +500,24 @@ exports.generateIdToGenreFile = function () {
     }
   }
 
+  // Leave the file alone if nothing has changed:
   const filename = path.join(exports.jsonDir, "newspaperIdToGenre.json");
-  exports.writeJsonDict(genreInfo, filename);
+  if (
+    !exports.isFileContentSame(filename, JSON.stringify(genreInfo, null, 2))
+  ) {
+    exports.writeJsonDict(genreInfo, filename);
+  }
+};
+
+/**
+ * Does a record of this genre get its own page on the site? Only Newspaper records are listed
+ * on the title, place, district and region pages, so only they are in the sitemaps and the
+ * static site. (Mastheads and editions can still be viewed by following a link.)
+ * @param {*} genre The genre of the record.
+ * @returns True if the record should have a page.
+ */
+exports.hasNewspaperPage = function (genre) {
+  return genre == "Newspaper";
 };
 
 /**
@@ -244,6 +528,14 @@ exports.readIdToGenreFile = function () {
   return exports.readJsonDictSync(exports.idToGenrePath);
 };
 
+/**
+ * Read the gazetteer, which gives the location of each place.
+ * @returns A dict that maps from placename to a dict with a "latitude" and "longitude".
+ */
+exports.readGazetteer = function () {
+  return exports.readJsonDictSync(exports.gazetteerPath);
+};
+
 /**
  * Read the mapping from old ids to new ids.
  */
@@ -261,12 +553,25 @@ exports.getNewspaperIds = function () {
 };
 
 /**
- * Get the complete set of newspaper records.
+ * Is this record a redirect stub, left behind when it was merged into another record?
+ * @param {*} newspaper The newspaper record.
+ * @returns True if the record points to another record instead of describing a newspaper.
+ */
+exports.isRedirect = function (newspaper) {
+  return newspaper.genre == "Redirect";
+};
+
+/**
+ * Get the complete set of newspaper records. Redirect stubs are left out, as they don't
+ * describe a newspaper.
  * @returns A dict that maps from newspaper Id to a newspaper record.
  */
 exports.getNewspaperRecords = function () {
   let results = {};
-  const newspaperIdList = exports.getNewspaperIds();
+  const idToGenre = exports.readIdToGenreFile();
+  const newspaperIdList = Object.keys(idToGenre)
+    .filter((id) => idToGenre[id] != "Redirect")
+    .sort();
   for (const id of newspaperIdList) {
     let result = exports.readNewspaper(id);
     if (result && Object.keys(result).length > 0) {
@@ -276,9 +581,28 @@ exports.getNewspaperRecords = function () {
   return results;
 };
 
+/**
+ * Get the redirect stubs left behind by merges (see getNewspaperRecords for the other records).
+ * @returns A dict that maps from newspaper Id to a redirect stub.
+ */
+exports.getRedirectRecords = function () {
+  let results = {};
+  for (const [id, genre] of Object.entries(exports.readIdToGenreFile())) {
+    if (genre == "Redirect") results[id] = exports.readNewspaper(id);
+  }
+  return results;
+};
+
 /** The highest newspaper ID in the current dataset, if known. */
 var maxNewspaperId = null;
 
+/**
+ * Forget the highest newspaper Id, so the next one is worked out afresh from the files on disk.
+ */
+exports.resetNextNewspaperId = function () {
+  maxNewspaperId = null;
+};
+
 /**
  * Get the next available newspaper Id so we can create a new record.
  * @returns The next available Id.
@@ -0,0 +1,360 @@
+// nzn-static.js
+
+// This script pre-renders the website as static HTML, so crawlers and people without Javascript
+// can read it. It runs the same page scripts that the browser runs (html-functions.js,
+// newspaper.js, place.js, and so on) against a small stand-in for the DOM (nzn-dom.js), and
+// writes a page for each newspaper, place, district and region, plus the title and place lists,
+// into docs/static. Links between the static pages point to other static pages; the
+// query-string pages (like newspaper.html?id=1001) are unchanged and still work.
+//
+// It can be run from the command line, or required as a module and run with
+// generateStaticPages(options).
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const nznShared = require("./nzn-shared");
+const nznDom = require("./nzn-dom");
+
+// The page templates and scripts are always the ones in this repo:
+const siteDir = path.join(__dirname, "..", "docs");
+
+/**
+ * The kinds of page with one static page per item. Each one has a template, the query-string
+ * parameter that names the item, and a function to list the items.
+ */
+const pageTypes = {
+  newspaper: {
+    template: "newspaper.html",
+    param: "id",
+    list: () =>
+      Object.entries(nznShared.readIdToGenreFile())
+        .filter(([id, genre]) => nznShared.hasNewspaperPage(genre))
+        .map(([id, genre]) => id),
+  },
+  place: {
+    template: "place.html",
+    param: "place",
+    list: () => listDataFiles("places"),
+  },
+  district: {
+    template: "district.html",
+    param: "district",
+    list: () => listDataFiles("districts"),
+  },
+  region: {
+    template: "region.html",
+    param: "region",
+    list: () => listDataFiles("regions"),
+  },
+};
+
+/** The pages that are rendered once, without a query string. */
+const singlePages = ["titles.html", "places.html"];
+
+/**
+ * List the names of the JSON files in a folder of the data dir, e.g. the places.
+ * @param {*} folder The folder in the data dir.
+ * @returns A list of names, without the .json extension.
+ */
+function listDataFiles(folder) {
+  const dir = path.join(nznShared.jsonDir, folder);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((filename) => filename.endsWith(".json"))
+    .map((filename) => filename.slice(0, -".json".length))
+    .sort();
+}
+
+/**
+ * Get the path of a static page, relative to the docs folder.
+ * @param {*} pageType The kind of page, e.g. "place", or null for a single page.
+ * @param {*} name The item name, e.g. "Russell", or the single page filename.
+ * @returns The relative path.
+ */
+function staticPath(pageType, name) {
+  if (!pageType) return path.join("static", name);
+  return path.join("static", pageType, name + ".html");
+}
+
+/**
+ * Get the URL of a static page, relative to the docs folder.
+ * @param {*} pageType The kind of page, e.g. "place", or null for a single page.
+ * @param {*} name The item name, e.g. "Russell", or the single page filename.
+ * @returns The relative URL.
+ */
+function staticUrl(pageType, name) {
+  if (!pageType) return "static/" + name;
+  return "static/" + pageType + "/" + encodeURIComponent(name) + ".html";
+}
+
+/**
+ * Work out which static page a link on the site points to.
+ * @param {*} href The link, e.g. "place.html?place=Russell".
+ * @param {*} staticPages The set of static page URLs that are being generated.
+ * @returns The URL of the static page, or null if the link isn't to one of them.
+ */
+function rewriteLink(href, staticPages) {
+  if (/^[a-z]+:/i.test(href) || href.startsWith("/") || href.startsWith("#")) {
+    return null;
+  }
+
+  const url = new URL(href, "https://www.nznewspapers.org/");
+  const page = url.pathname.substring(1);
+  let result = null;
+  if (singlePages.includes(page) && !url.search) {
+    result = staticUrl(null, page);
+  }
+  for (const [pageType, info] of Object.entries(pageTypes)) {
+    if (page == info.template && url.searchParams.get(info.param)) {
+      result = staticUrl(pageType, url.searchParams.get(info.param));
+    }
+  }
+  return result && staticPages.has(result) ? result : null;
+}
+
+/**
+ * Pretend to fetch a URL from the site, by reading the file from the docs folder.
+ * @param {*} url A URL relative to the docs folder, like "data/papers/1001.json".
+ * @returns A promise of a response, with json() and text() like the browser's.
+ */
+function fetchFile(url) {
+  const relative = decodeURIComponent(url.split("?")[0]);
+  const filename = relative.startsWith("data/")
+    ? path.join(nznShared.jsonDir, relative.substring("data/".length))
+    : path.join(siteDir, relative);
+
+  if (!fs.existsSync(filename)) {
+    return Promise.resolve({
+      ok: false,
+      status: 404,
+      json: () => Promise.reject(new SyntaxError("Not found: " + url)),
+      text: () => Promise.resolve(""),
+    });
+  }
+  const content = fs.readFileSync(filename, "utf8");
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(JSON.parse(content)),
+    text: () => Promise.resolve(content),
+  });
+}
+
+/**
+ * Read a page template, and compile the local scripts that it runs.
+ * @param {*} templateName The template filename, e.g. "place.html".
+ * @returns A dict with the template "html", the "scripts", and the banner heading details.
+ */
+function readTemplate(templateName) {
+  const html = fs.readFileSync(path.join(siteDir, templateName), "utf8");
+
+  const heading = html.match(
+    /<div class="bannerbox">\s*<h2 id="([^"]+)">([^<]*)<\/h2>\s*<\/div>/
+  );
+  if (!heading) {
+    throw new Error("No banner heading in template: " + templateName);
+  }
+
+  // The last script is the page's own script, which ends by calling render():
+  const scriptNames = Array.from(
+    html.matchAll(/<script src="([^":]+)"><\/script>/g)
+  ).map((match) => match[1]);
+  const scripts = scriptNames.map(function (scriptName, i) {
+    let code = fs.readFileSync(path.join(siteDir, scriptName), "utf8");
+    if (i == scriptNames.length - 1) {
+      if (!/^render\(\);\s*$/m.test(code)) {
+        throw new Error("No render() call in script: " + scriptName);
+      }
+      code = code.replace(/^render\(\);\s*$/m, "");
+    }
+    return new vm.Script(code, { filename: scriptName });
+  });
+
+  return {
+    html: html,
+    scripts: scripts,
+    bannerHtml: heading[0],
+    headingId: heading[1],
+    headingText: heading[2],
+  };
+}
+
+/**
+ * Render one page by running its scripts against a fresh document.
+ * @param {*} template The template, from readTemplate().
+ * @param {*} search The query string, e.g. "?place=Russell".
+ * @returns The document, once the page's render() has finished.
+ */
+async function renderDocument(template, search) {
+  const document = new nznDom.Document();
+  let banner = document.body.appendChild(document.createElement("div"));
+  banner.className = "bannerbox";
+  let heading = banner.appendChild(document.createElement("h2"));
+  heading.id = template.headingId;
+  heading.textContent = template.headingText;
+  document.body.appendChild(document.createElement("div")).className =
+    "contentbox";
+
+  const context = vm.createContext({
+    document: document,
+    window: { location: { search: search } },
+    siteBaseUrl: nznShared.baseUrl,
+    URLSearchParams: URLSearchParams,
+    fetch: fetchFile,
+    console: { log: () => {}, error: () => {} },
+  });
+  template.scripts.forEach((script) => script.runInContext(context));
+  await vm.runInContext("render()", context);
+  return document;
+}
+
+/**
+ * Turn a rendered document into the HTML of a static page.
+ * @param {*} template The template, from readTemplate().
+ * @param {*} document The rendered document.
+ * @param {*} page The page, with the "path" of the static page (relative to the docs folder),
+ *   and the "template" and "search" of the query-string page it copies.
+ * @param {*} staticPages The set of static page URLs, for rewriting links.
+ * @returns The HTML.
+ */
+function pageHtml(template, document, page, staticPages) {
+  const pageUrl = page.path.split(path.sep).join("/");
+  const depth = pageUrl.split("/").length - 1;
+
+  // The query-string page is the canonical one (as in the structured data and the sitemaps),
+  // on the live site (or NZN_BASE_URL):
+  let headHtml = "";
+  document.head.childNodes.forEach(function (node) {
+    if (node.getAttribute && node.getAttribute("rel") == "canonical") {
+      node.href = nznShared.baseUrl + page.template + page.search;
+    }
+    headHtml += "    " + node.toHtml() + "\n";
+  });
+
+  let html = template.html
+    .replace(
+      "<head>\n",
+      "<head>\n" + '    <base href="' + "../".repeat(depth) + '" />\n'
+    )
+    .replace(
+      /<title>[^<]*<\/title>/,
+      "<title>" + nznDom.escapeHtml(document.title) + "</title>"
+    )
+    .replace("  </head>", headHtml + "  </head>")
+    .replace(template.bannerHtml, document.querySelector(".bannerbox").toHtml())
+    .replace(
+      '<div class="contentbox"></div>',
+      document.querySelector(".contentbox").toHtml()
+    )
+    .replace(/\s*<script src="[^":]+"><\/script>/g, "");
+
+  // Point the links at the other static pages:
+  return html.replace(/href="([^"]*)"/g, function (match, href) {
+    const link = rewriteLink(href.replace(/&amp;/g, "&"), staticPages);
+    return link ? 'href="' + nznDom.escapeAttribute(link) + '"' : match;
+  });
+}
+
+/**
+ * Render every static page and write the ones that have changed. Old pages for items that no
+ * longer exist are removed.
+ * @param {*} options A dict with an optional "dataDir".
+ * @returns A dict with the number of pages of each type, and how many were "written",
+ *   "unchanged" and "removed".
+ */
+exports.generateStaticPages = async function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(path.join(nznShared.jsonDir, "placeInfo.json"))) {
+    throw new Error(
+      "Missing summary data (run nzn-summarise.js first): " + nznShared.jsonDir
+    );
+  }
+  const outputDir = path.join(nznShared.docsDir, "static");
+  console.log("Data dir: " + nznShared.jsonDir);
+  console.log("Output dir: " + outputDir);
+
+  // Work out every page first, so the links can be rewritten:
+  let pages = singlePages.map((page) => ({
+    template: page,
+    search: "",
+    path: staticPath(null, page),
+    url: staticUrl(null, page),
+  }));
+  for (const [pageType, info] of Object.entries(pageTypes)) {
+    info.list().forEach(function (name) {
+      pages.push({
+        template: info.template,
+        search: "?" + info.param + "=" + encodeURIComponent(name),
+        path: staticPath(pageType, name),
+        url: staticUrl(pageType, name),
+      });
+    });
+  }
+  const staticPages = new Set(pages.map((page) => page.url));
+
+  let templates = {};
+  let counts = { written: 0, unchanged: 0, removed: 0 };
+  for (const page of pages) {
+    if (!templates[page.template]) {
+      templates[page.template] = readTemplate(page.template);
+    }
+    const template = templates[page.template];
+    const document = await renderDocument(template, page.search);
+    const html = pageHtml(template, document, page, staticPages);
+
+    const filename = path.join(nznShared.docsDir, page.path);
+    if (nznShared.isFileContentSame(filename, html)) {
+      counts.unchanged += 1;
+    } else {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+      fs.writeFileSync(filename, html);
+      counts.written += 1;
+    }
+
+    const pageType = page.template.replace(".html", "");
+    counts[pageType] = (counts[pageType] || 0) + 1;
+  }
+
+  // Remove the pages for newspapers and places that have gone:
+  const pagePaths = new Set(pages.map((page) => page.path));
+  for (const pageType of Object.keys(pageTypes)) {
+    const dir = path.join(outputDir, pageType);
+    if (!fs.existsSync(dir)) continue;
+    fs.readdirSync(dir).forEach(function (filename) {
+      if (!pagePaths.has(path.join("static", pageType, filename))) {
+        fs.unlinkSync(path.join(dir, filename));
+        counts.removed += 1;
+      }
+    });
+  }
+
+  console.log(
+    "Static pages: " +
+      pages.length +
+      " (" +
+      counts.written +
+      " written, " +
+      counts.unchanged +
+      " unchanged, " +
+      counts.removed +
+      " removed)"
+  );
+  return counts;
+};
+
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+  exports
+    .generateStaticPages()
+    .then(function () {
+      console.log("Ending: " + process.argv[1]);
+    })
+    .catch(function (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
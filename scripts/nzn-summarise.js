@@ -3,21 +3,75 @@
 // This script reads the individual newspaper JSON files, filters them down the Newspaper files only,
 // pulls out information required by the site navigation pages, then creates a set of JSON files that
 // are used to generate the website. These are stored in the ouput directory.
+//
+// It can be run from the command line, or required as a module and run with summarise(options).
+//
+// In incremental mode, it keeps a build manifest with a hash of each paper file, regenerates only
+// the place files for the records that changed, and only writes output files whose content has
+// changed, so untouched outputs stay byte-identical.
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const nznShared = require("./nzn-shared");
 
-// Confirm the required paths and input files:
-if (!fs.existsSync(nznShared.oldIdtoNewIdFilename)) {
-  console.error("Missing identifier map: " + nznShared.oldIdtoNewIdFilename);
-  process.exit(1);
+// The scripts that decide what summarise writes. If they change, everything is rebuilt:
+const summariseScripts = [__filename, path.join(__dirname, "nzn-shared.js")];
+
+// Whether this run is incremental, and how many output files it has written, left alone or removed:
+let isIncremental = false;
+let outputCounts = { written: 0, unchanged: 0, removed: 0 };
+
+// Whether this run is only for some ids, so it can't tell which output files are stale:
+let isSubsetRun = false;
+
+/**
+ * Write an output JSON file. In incremental mode, leave it alone if the content is the same.
+ * @param {*} dict The Javascript object to write.
+ * @param {string} filename The path to write to.
+ * @param {number} indent The indent to use, or 0 for compact JSON.
+ */
+function writeJsonOutput(dict, filename, indent = 2) {
+  const content = JSON.stringify(dict, null, indent);
+  if (isIncremental && nznShared.isFileContentSame(filename, content)) {
+    outputCounts.unchanged += 1;
+    return;
+  }
+  nznShared.writeJsonDict(dict, filename, indent);
+  outputCounts.written += 1;
 }
 
-console.log("Running: " + process.argv[1]);
-console.log("Id file: " + nznShared.oldIdtoNewIdFilename);
-console.log("Paper dir: " + nznShared.paperDir);
-console.log("Output dir: " + nznShared.jsonDir);
+/**
+ * Remove the output files in a folder of the data dir that are no longer made, like the file for
+ * a title family that has been split up. The names are every file that should be there, not
+ * just the ones written by this run, so this works in incremental mode too.
+ * @param {*} folder The folder in the data dir, e.g. "families".
+ * @param {*} names A set of the names that should have a file, without the .json extension.
+ */
+function removeStaleOutputs(folder, names) {
+  const dir = path.join(nznShared.jsonDir, folder);
+  if (!fs.existsSync(dir)) return;
+  fs.readdirSync(dir).forEach(function (filename) {
+    if (filename.endsWith(".json") && !names.has(filename.slice(0, -5))) {
+      fs.unlinkSync(path.join(dir, filename));
+      outputCounts.removed += 1;
+    }
+  });
+}
+
+/**
+ * Write an output file as it is. In incremental mode, leave it alone if the content is the same.
+ * @param {string} content The text to write.
+ * @param {string} filename The path to write to.
+ */
+function writeFileOutput(content, filename) {
+  if (isIncremental && nznShared.isFileContentSame(filename, content)) {
+    outputCounts.unchanged += 1;
+    return;
+  }
+  fs.writeFileSync(filename, content);
+  outputCounts.written += 1;
+}
 
 /**
  * Generate the homeInfo.json file from the newpaper data
@@ -50,7 +104,7 @@ function generateHomeInfo(newspaperList, placenames, newspaperCount) {
   homeInfo.stats.regions = Object.keys(homeInfo.lists).length;
 
   const homeInfoPath = path.join(nznShared.jsonDir, "homeInfo.json");
-  nznShared.writeJsonDict(homeInfo, homeInfoPath);
+  writeJsonOutput(homeInfo, homeInfoPath);
 }
 
 /**
@@ -92,7 +146,7 @@ function generateTitleInfo(newspaperList, placenames, newspaperCount) {
   titleInfo.stats.headings = Object.keys(titleInfo.lists).length;
 
   const titleInfoPath = path.join(nznShared.jsonDir, "titleInfo.json");
-  nznShared.writeJsonDict(titleInfo, titleInfoPath);
+  writeJsonOutput(titleInfo, titleInfoPath);
 }
 
 /**
@@ -110,7 +164,7 @@ function generatePlaceInfo(newspaperList, placenames) {
   placeInfo.stats.countDigitized = 0;
   placeInfo.stats.places = placenames.size;
   placeInfo.lists.regionList = [];
-  fullDistrictList = new Set();
+  let fullDistrictList = new Set();
 
   newspaperList.sort(function (a, b) {
     return a.sortPlace.localeCompare(b.sortPlace);
@@ -137,6 +191,7 @@ function generatePlaceInfo(newspaperList, placenames) {
       placename: newspaper.placename,
       urlCurrent: newspaper.urlCurrent,
       urlDigitized: newspaper.urlDigitized,
+      digitisedCoverage: newspaper.digitisedCoverage,
     };
     if (newspaper.finalYear == "9999") {
       placeInfo.stats.countCurrent += 1;
@@ -150,19 +205,23 @@ function generatePlaceInfo(newspaperList, placenames) {
   placeInfo.stats.regions = placeInfo.lists.regionList.length;
   placeInfo.stats.districts = fullDistrictList.size;
   const placeInfoPath = path.join(nznShared.jsonDir, "placeInfo.json");
-  nznShared.writeJsonDict(placeInfo, placeInfoPath);
+  writeJsonOutput(placeInfo, placeInfoPath);
 }
 
 /**
  * Generate one JSON file for each place in the dataset.
  * @param {*} newspaperList A list records, each describihg one newspaper.
+ * @param {*} placeFilter A set of the placenames to generate, or null for every place.
  */
-function generatePlaceData(newspaperList) {
+function generatePlaceData(newspaperList, placeFilter = null) {
+  const gazetteer = nznShared.readGazetteer();
   var placeData = {};
+  var placeAreas = {};
   var placenameList = [];
 
   newspaperList.forEach(function (newspaper) {
     var pname = newspaper.placename;
+    if (placeFilter && !placeFilter.has(pname)) return;
     if (!placeData[pname]) {
       placeData[pname] = {};
       placenameList.push(pname);
@@ -173,6 +232,10 @@ function generatePlaceData(newspaperList) {
     placeData[pname][newspaper.id]["finalYear"] = newspaper.finalYear;
     placeData[pname][newspaper.id]["urlCurrent"] = newspaper.urlCurrent;
     placeData[pname][newspaper.id]["urlDigitized"] = newspaper.urlDigitized;
+    placeAreas[pname] = {
+      district: newspaper.district,
+      region: newspaper.region,
+    };
   });
 
   placenameList.forEach(function (pname) {
@@ -181,6 +244,12 @@ function generatePlaceData(newspaperList) {
       papers: [],
     };
     data.stats.placename = pname;
+    data.stats.district = placeAreas[pname].district;
+    data.stats.region = placeAreas[pname].region;
+    if (gazetteer[pname]) {
+      data.stats.latitude = gazetteer[pname].latitude;
+      data.stats.longitude = gazetteer[pname].longitude;
+    }
 
     var decades = new Set();
     for (var id in placeData[pname]) {
@@ -203,66 +272,627 @@ function generatePlaceData(newspaperList) {
     });
 
     const filename = path.join(nznShared.jsonDir, "places", pname + ".json");
-    nznShared.writeJsonDict(data, filename);
+    writeJsonOutput(data, filename);
   });
+
+  // Remove the places that no longer have any papers:
+  if (!isSubsetRun) {
+    removeStaleOutputs(
+      "places",
+      new Set(newspaperList.map((newspaper) => newspaper.placename))
+    );
+  }
 }
 
 /**
- * Generate sitemaps as simple text files.
+ * Generate one JSON file for each region or district, with its towns, its papers (in order of
+ * first year, so they can be grouped by decade), and counts of current and digitised papers.
+ * @param {*} newspaperList A list records, each describihg one newspaper.
+ * @param {*} areaType The kind of area, either "region" or "district".
+ * @param {*} areaFilter A set of the areas to generate, or null for every area.
+ * @returns The number of area files generated.
+ */
+function generateAreaData(newspaperList, areaType, areaFilter = null) {
+  let areaPapers = {};
+  newspaperList.forEach(function (newspaper) {
+    const area = newspaper[areaType];
+    if (areaFilter && !areaFilter.has(area)) return;
+    if (!areaPapers[area]) areaPapers[area] = [];
+    areaPapers[area].push(newspaper);
+  });
+
+  for (const [area, papers] of Object.entries(areaPapers)) {
+    let data = {
+      stats: {},
+      places: [],
+      papers: [],
+    };
+    data.stats[areaType] = area;
+
+    let places = {};
+    let districts = {};
+    let regions = new Set();
+    let decades = new Set();
+    let countCurrent = 0;
+    let countDigitized = 0;
+
+    papers.forEach(function (newspaper) {
+      data.papers.push({
+        id: newspaper.id,
+        title: newspaper.title,
+        firstYear: newspaper.firstYear,
+        finalYear: newspaper.finalYear,
+        placename: newspaper.placename,
+        district: newspaper.district,
+        urlCurrent: newspaper.urlCurrent,
+        urlDigitized: newspaper.urlDigitized,
+      });
+
+      if (!places[newspaper.placename]) {
+        places[newspaper.placename] = {
+          placename: newspaper.placename,
+          district: newspaper.district,
+          count: 0,
+        };
+      }
+      places[newspaper.placename].count += 1;
+      districts[newspaper.district] = (districts[newspaper.district] || 0) + 1;
+      regions.add(newspaper.region);
+      decades.add(newspaper.firstYear.substring(0, 3) + "0s");
+      if (newspaper.finalYear == "9999") countCurrent += 1;
+      if (newspaper.urlDigitized) countDigitized += 1;
+    });
+
+    data.places = Object.values(places).sort((a, b) =>
+      a.placename.localeCompare(b.placename)
+    );
+    data.papers.sort(function (a, b) {
+      return (
+        a.firstYear.localeCompare(b.firstYear) || a.title.localeCompare(b.title)
+      );
+    });
+
+    data.stats.count = data.papers.length;
+    data.stats.countCurrent = countCurrent;
+    data.stats.countDigitized = countDigitized;
+    data.stats.places = data.places.length;
+    data.stats.decades = decades.size;
+
+    // A region lists its districts. A district lists its region (a few, like Waitaki, have two):
+    if (areaType == "region") {
+      data.districts = Object.keys(districts)
+        .sort()
+        .map((district) => ({
+          district: district,
+          count: districts[district],
+        }));
+      data.stats.districts = data.districts.length;
+    } else {
+      data.stats.regions = Array.from(regions).sort();
+    }
+
+    const filename = path.join(
+      nznShared.jsonDir,
+      areaType == "region" ? "regions" : "districts",
+      area + ".json"
+    );
+    writeJsonOutput(data, filename);
+  }
+
+  // Remove the areas that no longer have any papers:
+  if (!isSubsetRun) {
+    removeStaleOutputs(
+      areaType == "region" ? "regions" : "districts",
+      new Set(newspaperList.map((newspaper) => newspaper[areaType]))
+    );
+  }
+
+  return Object.keys(areaPapers).length;
+}
+
+/**
+ * Generate the mapInfo.json file, which locates each place using the gazetteer and lists its
+ * papers, so the map page can filter them by decade and by digitised or current.
+ * @param {*} newspaperList A list records, each describihg one newspaper.
+ * @returns The number of places that are missing from the gazetteer.
+ */
+function generateMapInfo(newspaperList) {
+  const gazetteer = nznShared.readGazetteer();
+
+  let places = {};
+  let missing = new Set();
+  newspaperList.forEach(function (newspaper) {
+    const pname = newspaper.placename;
+    if (!gazetteer[pname]) {
+      missing.add(pname);
+      return;
+    }
+    if (!places[pname]) {
+      places[pname] = {
+        placename: pname,
+        district: newspaper.district,
+        region: newspaper.region,
+        latitude: gazetteer[pname].latitude,
+        longitude: gazetteer[pname].longitude,
+        papers: [],
+      };
+    }
+    places[pname].papers.push({
+      id: newspaper.id,
+      firstYear: newspaper.firstYear,
+      finalYear: newspaper.finalYear,
+      isDigitized: newspaper.urlDigitized ? true : false,
+    });
+  });
+
+  let mapInfo = {
+    stats: {},
+    places: Object.values(places).sort((a, b) =>
+      a.placename.localeCompare(b.placename)
+    ),
+    missing: Array.from(missing).sort(),
+  };
+  mapInfo.places.forEach(function (place) {
+    place.papers.sort((a, b) => a.firstYear.localeCompare(b.firstYear));
+  });
+  mapInfo.stats.places = mapInfo.places.length;
+  mapInfo.stats.missing = mapInfo.missing.length;
+
+  const mapInfoPath = path.join(nznShared.jsonDir, "mapInfo.json");
+  writeJsonOutput(mapInfo, mapInfoPath);
+  return mapInfo.missing.length;
+}
+
+/**
+ * Escape text for use in an XML document.
+ * @param {*} text The text.
+ * @returns The escaped text.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Generate the newspapers.geojson and newspapers.kml files, with a point for each newspaper at
+ * its place in the gazetteer, for loading into GIS tools like QGIS and Google Earth.
+ * @param {*} newspaperList A list records, each describihg one newspaper.
+ * @returns The number of newspapers with a location.
+ */
+function generateGeoExports(newspaperList) {
+  const gazetteer = nznShared.readGazetteer();
+
+  let features = [];
+  newspaperList.forEach(function (newspaper) {
+    const location = gazetteer[newspaper.placename];
+    if (!location) return;
+    features.push({
+      type: "Feature",
+      geometry: {
+        type: "Point",
+        coordinates: [location.longitude, location.latitude],
+      },
+      properties: {
+        id: newspaper.id,
+        title: newspaper.title,
+        genre: newspaper.genre,
+        firstYear: newspaper.firstYear,
+        finalYear: newspaper.finalYear,
+        placename: newspaper.placename,
+        district: newspaper.district,
+        region: newspaper.region,
+        urlDigitized: newspaper.urlDigitized || null,
+        urlCurrent: newspaper.urlCurrent || null,
+        url: nznShared.baseUrl + "newspaper.html?id=" + newspaper.id,
+      },
+    });
+  });
+  features.sort((a, b) => a.properties.id - b.properties.id);
+
+  const geojson = { type: "FeatureCollection", features: features };
+  writeJsonOutput(geojson, path.join(nznShared.jsonDir, "newspapers.geojson"));
+
+  // The KML has the same points, with the properties as ExtendedData:
+  let kml =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    "  <Document>\n" +
+    "    <name>Newspapers of New Zealand</name>\n";
+  features.forEach(function (feature) {
+    const [longitude, latitude] = feature.geometry.coordinates;
+    kml +=
+      "    <Placemark>\n" +
+      "      <name>" +
+      escapeXml(feature.properties.title) +
+      "</name>\n" +
+      "      <ExtendedData>\n";
+    for (const [name, value] of Object.entries(feature.properties)) {
+      if (value === null) continue;
+      kml +=
+        '        <Data name="' +
+        name +
+        '"><value>' +
+        escapeXml(value) +
+        "</value></Data>\n";
+    }
+    kml +=
+      "      </ExtendedData>\n" +
+      "      <Point><coordinates>" +
+      longitude +
+      "," +
+      latitude +
+      "</coordinates></Point>\n" +
+      "    </Placemark>\n";
+  });
+  kml += "  </Document>\n</kml>\n";
+  writeFileOutput(kml, path.join(nznShared.jsonDir, "newspapers.kml"));
+
+  console.log("  Wrote " + features.length + " newspapers to GeoJSON and KML");
+  return features.length;
+}
+
+/**
+ * Generate one JSON file for each family of titles, i.e. each group of newspapers that are
+ * connected by preceding/succeeding links, plus an index from newspaper id to family id.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record (any genre).
+ * @param {*} familyFilter A set of ids whose families should be written, or null for every family.
+ * @returns The number of families.
+ */
+function generateFamilyData(newspaperRecords, familyFilter = null) {
+  console.log("Writing Title Families");
+
+  // Build an undirected graph from the links between known records:
+  let neighbours = {};
+  for (const [id, newspaper] of Object.entries(newspaperRecords)) {
+    if (!neighbours[id]) neighbours[id] = new Set();
+    if (!newspaper.links) continue;
+
+    for (const [targetId, link] of Object.entries(newspaper.links)) {
+      const side = nznShared.linkSide(link);
+      if (!newspaperRecords[targetId] || targetId == id) continue;
+      if (side != "Preceding" && side != "Succeeding") continue;
+
+      if (!neighbours[targetId]) neighbours[targetId] = new Set();
+      neighbours[id].add(targetId);
+      neighbours[targetId].add(id);
+    }
+  }
+
+  // Find the connected components, and name each one after its lowest id:
+  let familyIndex = {};
+  let familyCount = 0;
+  const ids = Object.keys(neighbours).sort((a, b) => a - b);
+  for (const startId of ids) {
+    if (familyIndex[startId] || neighbours[startId].size == 0) continue;
+
+    let members = [];
+    let queue = [startId];
+    familyIndex[startId] = startId;
+    while (queue.length > 0) {
+      const id = queue.shift();
+      members.push(id);
+      neighbours[id].forEach(function (targetId) {
+        if (!familyIndex[targetId]) {
+          familyIndex[targetId] = startId;
+          queue.push(targetId);
+        }
+      });
+    }
+    familyCount += 1;
+    if (familyFilter && !members.some((id) => familyFilter.has(id))) continue;
+
+    // List the titles in chronological order:
+    let data = {
+      stats: {},
+      papers: [],
+    };
+    members.forEach(function (id) {
+      const newspaper = newspaperRecords[id];
+      let record = {
+        id: newspaper.id,
+        title: newspaper.title,
+        genre: newspaper.genre,
+        firstYear: newspaper.firstYear,
+        finalYear: newspaper.finalYear,
+        placename: newspaper.placename,
+        urlCurrent: newspaper.urlCurrent,
+        urlDigitized: newspaper.urlDigitized,
+        links: [],
+      };
+      for (const [targetId, link] of Object.entries(newspaper.links || {})) {
+        if (!neighbours[id].has(targetId)) continue;
+        record.links.push({
+          id: targetId,
+          side: nznShared.linkSide(link),
+          relationship: link.relationship || link.direction,
+        });
+      }
+      data.papers.push(record);
+    });
+    data.papers.sort(function (a, b) {
+      return (
+        a.firstYear.localeCompare(b.firstYear) ||
+        (a.finalYear || "").localeCompare(b.finalYear || "")
+      );
+    });
+
+    const latest = data.papers[data.papers.length - 1];
+    data.stats.familyId = startId;
+    data.stats.title = latest.title;
+    data.stats.count = data.papers.length;
+    data.stats.firstYear = data.papers[0].firstYear;
+    data.stats.finalYear = data.papers
+      .map((paper) => paper.finalYear || "uuuu")
+      .sort()
+      .pop();
+
+    const filename = path.join(
+      nznShared.jsonDir,
+      "families",
+      startId + ".json"
+    );
+    writeJsonOutput(data, filename);
+  }
+
+  if (!isSubsetRun) {
+    removeStaleOutputs("families", new Set(Object.values(familyIndex)));
+  }
+
+  const familyIndexPath = path.join(nznShared.jsonDir, "familyIndex.json");
+  writeJsonOutput(familyIndex, familyIndexPath);
+  console.log("  Wrote " + familyCount + " title families");
+  return familyCount;
+}
+
+/**
+ * Generate a compact search index for the search page, with one row for each record.
+ * @param {*} newspaperRecords A dict that maps from newspaper Id to a newspaper record (any genre).
+ * @returns The number of search records.
+ */
+function generateSearchIndex(newspaperRecords) {
+  console.log("Writing Search Index");
+
+  // Each record is an array of values in the order of the fields list, to keep the file small:
+  var searchIndex = {
+    fields: [
+      "id",
+      "title",
+      "alternateTitles",
+      "firstYear",
+      "finalYear",
+      "genre",
+      "placename",
+      "district",
+      "region",
+      "notes",
+      "idPapersPastCode",
+      "idMarcControlNumber",
+      "urlDigitized",
+      "urlCurrent",
+    ],
+    records: [],
+  };
+
+  for (const newspaper of Object.values(newspaperRecords)) {
+    searchIndex.records.push([
+      newspaper.id,
+      newspaper.title,
+      Object.values(newspaper.alternateTitle || {}).join(" | "),
+      newspaper.firstYear,
+      newspaper.finalYear || "uuuu",
+      newspaper.genre,
+      newspaper.placename,
+      newspaper.district,
+      newspaper.region,
+      Object.values(newspaper.notes || {}).join(" | "),
+      newspaper.idPapersPastCode || "",
+      newspaper.idMarcControlNumber || "",
+      newspaper.urlDigitized || "",
+      newspaper.urlCurrent || "",
+    ]);
+  }
+
+  const searchIndexPath = path.join(nznShared.jsonDir, "searchIndex.json");
+  writeJsonOutput(searchIndex, searchIndexPath, 0);
+  console.log("  Wrote " + searchIndex.records.length + " search records");
+  return searchIndex.records.length;
+}
+
+/**
+ * Find when a newspaper record was last changed, from the latest timestamp in its sources.
+ * @param {*} newspaper The newspaper record.
+ * @returns The date as YYYY-MM-DD, or null if the record has no sources.
+ */
+function lastModified(newspaper) {
+  const timestamps = Object.keys(newspaper.sources || {}).sort();
+  if (timestamps.length == 0) return null;
+  return timestamps[timestamps.length - 1].substring(0, 10);
+}
+
+/**
+ * The later of two dates, either of which might be missing.
+ * @param {*} a A date as YYYY-MM-DD, or null.
+ * @param {*} b A date as YYYY-MM-DD, or null.
+ * @returns The later date, or null.
+ */
+function laterDate(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+/**
+ * Write one XML sitemap.
+ * @param {*} entries A dict that maps from a URL (relative to the base URL) to its lastmod date.
+ * @param {*} filename The name of the sitemap file in the docs dir.
+ */
+function writeSitemap(entries, filename) {
+  let xml =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  Object.keys(entries)
+    .sort()
+    .forEach(function (url) {
+      xml += "  <url>\n";
+      xml += "    <loc>" + escapeXml(nznShared.baseUrl + url) + "</loc>\n";
+      if (entries[url]) xml += "    <lastmod>" + entries[url] + "</lastmod>\n";
+      xml += "  </url>\n";
+    });
+  xml += "</urlset>\n";
+  writeFileOutput(xml, path.join(nznShared.docsDir, filename));
+}
+
+/**
+ * Generate the XML sitemaps, and a sitemap index that lists them. Each newspaper's lastmod is
+ * the latest timestamp in its sources, and each place, district, region or list page has the
+ * lastmod of its latest newspaper. The pages are the ones the site renders: the newspapers
+ * that have a page (see hasNewspaperPage), and the places, districts and regions they are in.
+ * Only the canonical query-string URLs are listed, not the static copies made by nzn-static.js.
  * @param {*} newspaperList A list records, each describihg one newspaper.
  */
 function generateSitemaps(newspaperList) {
   console.log("Writing SiteMaps");
 
-  // Extract the valid newspaper ids and placenames:
-  let paperUrlSet = new Set();
-  let placeUrlSet = new Set();
+  const areaUrl = (areaType, name) =>
+    areaType + ".html?" + areaType + "=" + encodeURIComponent(name);
 
+  let paperEntries = {};
+  let placeEntries = {};
+  let latest = null;
   newspaperList.forEach(function (newspaper) {
-    let id = newspaper.id;
-    let genre = newspaper.genre;
-
-    if (
-      genre == "Newspaper" ||
-      genre == "Masthead" ||
-      genre.includes("Edition")
-    ) {
-      let paperUrl = "https://www.nznewspapers.org/newspaper.html?id=" + id;
-      paperUrlSet.add(paperUrl);
-
-      let placename = newspaper.placename;
-      let placeUrl =
-        "https://www.nznewspapers.org/place.html?place=" + placename;
-      placeUrlSet.add(placeUrl);
-    }
+    if (!nznShared.hasNewspaperPage(newspaper.genre)) return;
+
+    const lastmod = lastModified(newspaper);
+    latest = laterDate(latest, lastmod);
+    paperEntries["newspaper.html?id=" + newspaper.id] = lastmod;
+
+    [
+      ["place", newspaper.placename],
+      ["district", newspaper.district],
+      ["region", newspaper.region],
+    ].forEach(function ([areaType, name]) {
+      const url = areaUrl(areaType, name);
+      placeEntries[url] = laterDate(placeEntries[url], lastmod);
+    });
   });
 
-  // Write the data:
-  const paperFilename = path.join(nznShared.docsDir, "sitemap-papers.txt");
-  nznShared.writeDataToTextFile(paperUrlSet, paperFilename);
+  // The pages in the menus. The ones that list the newspapers change when they do:
+  let pageEntries = {
+    "": latest,
+    "titles.html": latest,
+    "places.html": latest,
+    "places.html?mode=digitised": latest,
+    "places.html?mode=current": latest,
+    "search.html": latest,
+    "map.html": latest,
+    "download.html": null,
+    "about.html": null,
+    "scope.html": null,
+  };
+
+  const sitemaps = {
+    "sitemap-pages.xml": pageEntries,
+    "sitemap-papers.xml": paperEntries,
+    "sitemap-places.xml": placeEntries,
+  };
+  let index =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  for (const [filename, entries] of Object.entries(sitemaps)) {
+    writeSitemap(entries, filename);
+    index += "  <sitemap>\n";
+    index += "    <loc>" + escapeXml(nznShared.baseUrl + filename) + "</loc>\n";
+    if (latest) index += "    <lastmod>" + latest + "</lastmod>\n";
+    index += "  </sitemap>\n";
+  }
+  index += "</sitemapindex>\n";
+  writeFileOutput(index, path.join(nznShared.docsDir, "sitemap.xml"));
+
+  console.log(
+    "  Wrote sitemaps for " +
+      Object.keys(paperEntries).length +
+      " newspapers and " +
+      Object.keys(placeEntries).length +
+      " places, districts and regions"
+  );
+}
+
+/**
+ * Get the path of the build manifest, which records what the last summarise run was built from.
+ * @returns The path of the manifest.
+ */
+function getManifestPath() {
+  return path.join(nznShared.jsonDir, "summariseManifest.json");
+}
+
+/**
+ * Hash a string or buffer.
+ * @param {*} content The content to hash.
+ * @returns The SHA-1 hash, as a hex string.
+ */
+function hashContent(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
 
-  const placeFilename = path.join(nznShared.docsDir, "sitemap-places.txt");
-  nznShared.writeDataToTextFile(placeUrlSet, placeFilename);
+/**
+ * Hash the scripts that decide what summarise writes, and the gazetteer.
+ * @returns The SHA-1 hash of the scripts and gazetteer, as a hex string.
+ */
+function hashScripts() {
+  let hash = crypto.createHash("sha1");
+  summariseScripts.forEach((filename) =>
+    hash.update(fs.readFileSync(filename))
+  );
+
+  // The place files include coordinates, so a gazetteer edit rebuilds them too:
+  if (fs.existsSync(nznShared.gazetteerPath)) {
+    hash.update(fs.readFileSync(nznShared.gazetteerPath));
+  }
+  return hash.digest("hex");
 }
 
 /**
  * Read the newspaper data and create summary JSON files.
- * @param {*} idList A list of the newspaper identifier that we're going to summarise.
+ * @param {*} idList A list of every newspaper identifier.
+ * @param {*} manifest The build manifest from the last run, or null to rebuild every place file.
+ * @param {*} onlyIds A set of the identifiers whose place, district, region and family files
+ *   should be rebuilt, or null. The other summary files always describe every record.
+ * @returns A dict with the "counts" (newspapers, skipped, places, families, searchRecords,
+ *   changedRecords, rebuiltPlaces, rebuiltRegions, and rebuiltDistricts) and the new "papers"
+ *   for the build manifest.
  */
-function summarise(idList) {
+function summariseNewspapers(idList, manifest = null, onlyIds = null) {
   console.log("Start summarise()");
 
   // Read and re-write the newspaper Json:
-  newspaperList = [];
-  placenames = new Set();
+  let newspaperList = [];
+  let placenames = new Set();
   var newspaperCount = 0;
   var skipped = 0;
 
-  // Extract the newspaper records we're interested in:
+  // Extract the newspaper records we're interested in, noting a hash of each one:
+  var newspaperRecords = {};
+  var manifestPapers = {};
   idList.forEach(function (newspaperId) {
     var newspaper = nznShared.readNewspaper(newspaperId);
+    if (newspaper && newspaper.id) {
+      // Redirect stubs are still in the manifest, so a merged record's place is rebuilt:
+      if (!nznShared.isRedirect(newspaper)) {
+        newspaperRecords[newspaperId] = newspaper;
+      }
+      manifestPapers[newspaperId] = {
+        hash: hashContent(JSON.stringify(newspaper)),
+        genre: newspaper.genre,
+        placename: newspaper.placename,
+        district: newspaper.district,
+        region: newspaper.region,
+      };
+    }
 
-    if (newspaper && newspaper.genre == "Newspaper") {
+    if (newspaper && nznShared.hasNewspaperPage(newspaper.genre)) {
       newspaperCount += 1;
       const sortKey = newspaper.title
         .toLowerCase()
@@ -283,6 +913,40 @@ function summarise(idList) {
   console.log("  Kept by summarise(): " + newspaperCount + " records");
   console.log("  Skipped in summarise(): " + skipped + " records.");
 
+  // Find the records that have been added, changed or removed since the last run (or the
+  // records we were asked for), and the places, districts and regions they were in before and after:
+  const isFiltered = manifest || onlyIds ? true : false;
+  let changedIds = new Set();
+  let changedPlaces = new Set();
+  let changedDistricts = new Set();
+  let changedRegions = new Set();
+  if (isFiltered) {
+    const oldPapers = (manifest && manifest.papers) || {};
+    const allIds = onlyIds
+      ? onlyIds
+      : new Set(Object.keys(oldPapers).concat(Object.keys(manifestPapers)));
+    allIds.forEach(function (id) {
+      const before = oldPapers[id];
+      const after = manifestPapers[id];
+      if (!onlyIds && before && after && before.hash == after.hash) return;
+
+      changedIds.add(id);
+      [before, after].forEach(function (entry) {
+        if (!entry || !nznShared.hasNewspaperPage(entry.genre)) return;
+        changedPlaces.add(entry.placename);
+        changedDistricts.add(entry.district);
+        changedRegions.add(entry.region);
+      });
+    });
+    console.log(
+      "  Changed since the last run: " +
+        changedIds.size +
+        " records in " +
+        changedPlaces.size +
+        " places"
+    );
+  }
+
   // Generate data for the "Home" page:
   generateHomeInfo(newspaperList, placenames, newspaperCount);
 
@@ -290,21 +954,153 @@ function summarise(idList) {
   generateTitleInfo(newspaperList, placenames, newspaperCount);
   generatePlaceInfo(newspaperList, placenames, newspaperCount);
 
-  // Generate data about each place:
-  generatePlaceData(newspaperList);
+  // Generate data about each place (or just the places that changed):
+  generatePlaceData(newspaperList, isFiltered ? changedPlaces : null);
+
+  // Generate data about each region and district (or just the ones that changed):
+  const regionCount = generateAreaData(
+    newspaperList,
+    "region",
+    isFiltered ? changedRegions : null
+  );
+  const districtCount = generateAreaData(
+    newspaperList,
+    "district",
+    isFiltered ? changedDistricts : null
+  );
+
+  // Generate data for the map page:
+  const missingPlaceCount = generateMapInfo(newspaperList);
+  if (missingPlaceCount > 0) {
+    console.log(
+      "  " +
+        missingPlaceCount +
+        " places are missing from the gazetteer (see nzn-gazetteer.js)"
+    );
+  }
+
+  // Generate the GeoJSON and KML exports:
+  generateGeoExports(newspaperList);
+
+  // Generate data about each family of titles:
+  const familyCount = generateFamilyData(newspaperRecords, onlyIds);
+
+  // Generate the index for the search page:
+  const searchRecordCount = generateSearchIndex(newspaperRecords);
 
   // Generate up-to-date sitemaps:
   generateSitemaps(newspaperList);
 
   console.log("End summarise(): " + newspaperCount + " newspaper records");
   console.log("End summarise(): " + skipped + " skipped records");
+
+  return {
+    counts: {
+      newspapers: newspaperCount,
+      skipped: skipped,
+      places: placenames.size,
+      families: familyCount,
+      searchRecords: searchRecordCount,
+      changedRecords: isFiltered ? changedIds.size : idList.length,
+      rebuiltPlaces: isFiltered ? changedPlaces.size : placenames.size,
+      rebuiltRegions: regionCount,
+      rebuiltDistricts: districtCount,
+    },
+    papers: manifestPapers,
+  };
+}
+
+/**
+ * Read the build manifest from the last run, if it can be used for an incremental run.
+ * @param {*} scriptHash The hash of the current summarise scripts.
+ * @returns The manifest, or null if there isn't one or the scripts have changed since.
+ */
+function readManifest(scriptHash) {
+  const manifestPath = getManifestPath();
+  if (!fs.existsSync(manifestPath)) {
+    console.log("No build manifest, so rebuilding every place");
+    return null;
+  }
+  const manifest = nznShared.readJsonDictSync(manifestPath);
+  if (manifest.scriptHash != scriptHash) {
+    console.log(
+      "The summarise scripts or gazetteer have changed, so rebuilding every place"
+    );
+    return null;
+  }
+  return manifest;
 }
 
-console.log("Starting Summarise");
-const newspaperIds = nznShared.getNewspaperIds();
-summarise(newspaperIds);
+/**
+ * Summarise the newspaper data and write the files used by the website.
+ * @param {*} options A dict with an optional "dataDir" (instead of the usual data directory), an
+ *   optional list of "ids" whose place, district, region and family files are rebuilt (the other
+ *   summary files still describe every record), and "incremental" to only rebuild what has
+ *   changed since the last run.
+ * @returns A dict of counts (see summariseNewspapers), plus the number of output files
+ *   "written" and left "unchanged".
+ */
+exports.summarise = function (options = {}) {
+  if (options.dataDir) nznShared.setDataDir(options.dataDir);
+
+  // Confirm the required paths and input files:
+  if (!fs.existsSync(nznShared.oldIdtoNewIdFilename)) {
+    throw new Error(
+      "Missing identifier map: " + nznShared.oldIdtoNewIdFilename
+    );
+  }
+  console.log("Id file: " + nznShared.oldIdtoNewIdFilename);
+  console.log("Paper dir: " + nznShared.paperDir);
+  console.log("Output dir: " + nznShared.jsonDir);
+
+  isIncremental = options.incremental ? true : false;
+  outputCounts = { written: 0, unchanged: 0, removed: 0 };
+  const scriptHash = hashScripts();
+  const manifest = isIncremental ? readManifest(scriptHash) : null;
 
-console.log("Rewriting Genre Index");
-nznShared.generateIdToGenreFile();
+  console.log("Starting Summarise" + (isIncremental ? " (incremental)" : ""));
+  const onlyIds = options.ids ? new Set(options.ids.map(String)) : null;
+  isSubsetRun = onlyIds ? true : false;
+  const result = summariseNewspapers(
+    nznShared.getNewspaperIds(),
+    manifest,
+    onlyIds
+  );
 
-console.log("Ending");
+  console.log("Rewriting Genre Index");
+  nznShared.generateIdToGenreFile();
+
+  // Record what this run was built from, for the next incremental run. A run for only some ids
+  // hasn't rebuilt everything that changed, so it leaves the manifest alone:
+  if (!onlyIds) {
+    nznShared.writeJsonDict(
+      { scriptHash: scriptHash, papers: result.papers },
+      getManifestPath()
+    );
+  }
+
+  console.log(
+    "Output files: " +
+      outputCounts.written +
+      " written, " +
+      outputCounts.unchanged +
+      " unchanged, " +
+      outputCounts.removed +
+      " removed"
+  );
+  console.log("Ending");
+  return Object.assign({}, result.counts, outputCounts);
+};
+
+// Run from the command line:
+if (require.main === module) {
+  console.log("Running: " + process.argv[1]);
+  try {
+    exports.summarise({
+      incremental: nznShared.commandArgs[0] == "incremental",
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,110 @@
+// nzn-validate.js
+
+// This script checks every newspaper JSON file against the schema in nzn-schema.js,
+// prints a report for each file with problems, and exits with an error code if
+// any record is invalid. Run it before the summarise script to catch bad edits.
+
+const fs = require("fs");
+const path = require("path");
+const nznShared = require("./nzn-shared");
+const nznSchema = require("./nzn-schema");
+
+// Confirm the required paths and input files:
+if (!fs.existsSync(nznShared.paperDir)) {
+  console.error("Missing newspaper dir: " + nznShared.paperDir);
+  process.exit(1);
+}
+
+console.log("Running: " + process.argv[1]);
+console.log(" * Newspaper dir: " + nznShared.paperDir);
+console.log(" * Genre index:   " + nznShared.idToGenrePath);
+
+/**
+ * Read and check one newspaper JSON file.
+ * @param {*} filename The name of the file in the newspaper dir, e.g. "1001.json".
+ * @param {*} idToGenre The map of known newspaper ids to genres.
+ * @returns A dict with a list of "errors" and a list of "warnings".
+ */
+function validateFile(filename, idToGenre) {
+  const filePath = path.join(nznShared.paperDir, filename);
+
+  let record = null;
+  try {
+    record = JSON.parse(fs.readFileSync(filePath));
+  } catch (err) {
+    return { errors: ["Cannot read JSON: " + err.message], warnings: [] };
+  }
+
+  let result = nznSchema.validateNewspaper(record, idToGenre);
+
+  // The filename and the genre index should agree with the record:
+  const id = path.basename(filename, ".json");
+  if (record.id !== undefined && String(record.id) != id) {
+    result.errors.push(
+      "Field 'id' (" + record.id + ") does not match filename"
+    );
+  }
+  if (!idToGenre[id]) {
+    result.warnings.push(
+      "Not listed in " + path.basename(nznShared.idToGenrePath)
+    );
+  } else if (record.genre && idToGenre[id] != record.genre) {
+    result.warnings.push(
+      "Genre index says '" +
+        idToGenre[id] +
+        "' but record says '" +
+        record.genre +
+        "'"
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Check the newspaper files and print a report.
+ * @param {*} idList Optional list of ids to check; all the files are checked if empty.
+ * @returns The number of files with errors.
+ */
+function validate(idList) {
+  const idToGenre = nznShared.readIdToGenreFile();
+
+  let filenames = [];
+  if (idList.length > 0) {
+    filenames = idList.map((id) => id + ".json");
+  } else {
+    filenames = fs
+      .readdirSync(nznShared.paperDir)
+      .filter((filename) => filename.endsWith(".json"))
+      .sort();
+  }
+
+  let countFiles = 0;
+  let countInvalid = 0;
+  let countErrors = 0;
+  let countWarnings = 0;
+
+  filenames.forEach(function (filename) {
+    countFiles += 1;
+    const result = validateFile(filename, idToGenre);
+    if (result.errors.length == 0 && result.warnings.length == 0) return;
+
+    console.log(path.join(nznShared.paperDir, filename) + ":");
+    result.errors.forEach((message) => console.log("  error:   " + message));
+    result.warnings.forEach((message) => console.log("  warning: " + message));
+
+    if (result.errors.length > 0) countInvalid += 1;
+    countErrors += result.errors.length;
+    countWarnings += result.warnings.length;
+  });
+
+  console.log("Checked " + countFiles + " files");
+  console.log("* Invalid files: " + countInvalid);
+  console.log("* Errors: " + countErrors);
+  console.log("* Warnings: " + countWarnings);
+
+  return countInvalid;
+}
+
+const invalid = validate(nznShared.commandArgs);
+process.exit(invalid > 0 ? 1 : 0);
@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+// nzn.js
+
+// A single command-line tool for all the nznewspapers jobs. Each subcommand runs one of the
+// scripts in this folder (or the data-import folder) with the right mode, and the shared
+// options (--data-dir, --dry-run, --verbose, --json) work the same way for every job.
+//
+// Exit codes: 0 if the job succeeded, 1 if the job failed, 2 if the command line was wrong.
+
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const repoDir = path.join(__dirname, "..");
+
+/**
+ * The subcommands. Each one runs a script with some arguments. Jobs that write data can
+ * have dryRunArgs, the arguments that report what the job would do without doing it. Jobs
+ * whose script prints extra detail when NZN_VERBOSE is set have hasVerboseDetail.
+ */
+const commands = {
+  summarise: {
+    script: "scripts/nzn-summarise.js",
+    description: "Regenerate the summary data files used by the website",
+  },
+  "summarise-incremental": {
+    script: "scripts/nzn-summarise.js",
+    args: ["incremental"],
+    description:
+      "Regenerate only the summary data files affected by changed records",
+  },
+  validate: {
+    script: "scripts/nzn-validate.js",
+    usage: "[id...]",
+    description: "Check newspaper records against the schema",
+    isReadOnly: true,
+  },
+  "nat-bib-add": {
+    script: "scripts/nzn-nat-bib-updater.js",
+    args: ["add-new-records"],
+    dryRunArgs: ["dry-run"],
+    description: "Add new records from the National Bibliography",
+    hasVerboseDetail: true,
+  },
+  "nat-bib-update": {
+    script: "scripts/nzn-nat-bib-updater.js",
+    args: ["update-existing-records"],
+    dryRunArgs: ["dry-run"],
+    description: "Update existing records from the National Bibliography",
+    hasVerboseDetail: true,
+  },
+  "nat-bib-report": {
+    script: "scripts/nzn-nat-bib-updater.js",
+    args: ["report"],
+    dryRunArgs: ["dry-run"],
+    description: "Count the National Bibliography records that would change",
+    hasVerboseDetail: true,
+  },
+  "nat-bib-dry-run": {
+    script: "scripts/nzn-nat-bib-updater.js",
+    args: ["dry-run"],
+    description: "Write a report of the National Bibliography changes",
+    isReadOnly: true,
+    hasVerboseDetail: true,
+  },
+  "paperspast-updater": {
+    script: "scripts/nzn-paperspast-updater.js",
+    description: "Update records from the Papers Past title list",
+  },
+  "paperspast-replace-urls": {
+    script: "scripts/nzn-paperspast-updater.js",
+    args: ["replace-urls"],
+    description: "Update records from Papers Past, replacing curated URLs",
+  },
+  "link-resolver": {
+    script: "scripts/nzn-link-resolver.js",
+    args: ["resolve"],
+    dryRunArgs: ["report"],
+    description: "Resolve placeholder link keys like unknown-1",
+  },
+  "link-resolver-report": {
+    script: "scripts/nzn-link-resolver.js",
+    args: ["report"],
+    description: "Report the placeholder links that could be resolved",
+    isReadOnly: true,
+  },
+  "reciprocal-links": {
+    script: "scripts/nzn-reciprocal-links.js",
+    args: ["add-missing-links"],
+    dryRunArgs: ["report"],
+    description: "Add missing reciprocal links",
+  },
+  "reciprocal-links-report": {
+    script: "scripts/nzn-reciprocal-links.js",
+    args: ["report"],
+    description: "Report missing and mismatched reciprocal links",
+    isReadOnly: true,
+  },
+  "issue-dates": {
+    script: "scripts/nzn-issue-dates.js",
+    args: ["update"],
+    dryRunArgs: ["report"],
+    description: "Fill in issue dates from MARC 362 statements",
+  },
+  "issue-dates-report": {
+    script: "scripts/nzn-issue-dates.js",
+    args: ["report"],
+    description: "Report the issue dates that could be filled in",
+    isReadOnly: true,
+  },
+  "gazetteer-report": {
+    script: "scripts/nzn-gazetteer.js",
+    description: "Report placenames that have no map coordinates",
+    isReadOnly: true,
+  },
+  "dedupe-report": {
+    script: "scripts/nzn-dedupe.js",
+    description: "Report duplicate records and write a merge plan",
+  },
+  merge: {
+    script: "scripts/nzn-merge.js",
+    args: ["merge"],
+    usage: "<keep-id> <merge-id...>",
+    description: "Merge records into one, leaving redirects for the merged ids",
+  },
+  split: {
+    script: "scripts/nzn-merge.js",
+    args: ["split"],
+    usage: "<id> <field=value...>",
+    description: "Split a new record from one that covers two newspapers",
+  },
+  "merge-plan": {
+    script: "scripts/nzn-merge.js",
+    args: ["merge-plan"],
+    description: 'Apply the merges in mergePlan.json marked "merge"',
+  },
+  export: {
+    script: "scripts/nzn-export.js",
+    usage: "[genre...]",
+    description: "Write the CSV and TSV downloads of the whole dataset",
+  },
+  static: {
+    script: "scripts/nzn-static.js",
+    description: "Pre-render the static HTML pages in docs/static",
+  },
+  "import-newspapers": {
+    script: "data-import/nzn-import-newspapers.js",
+    description: "Import newspapers from the 2015 dataset (historical)",
+  },
+  "import-links": {
+    script: "data-import/nzn-import-links.js",
+    description: "Import links from the 2015 dataset (historical)",
+  },
+  "import-fields": {
+    script: "data-import/nzn-import-fields.js",
+    description: "Import fields from the 2015 dataset (historical)",
+  },
+};
+
+/**
+ * Check whether a subcommand can be run with --dry-run.
+ * @param {*} command The subcommand's entry in commands.
+ * @returns True if it has dryRunArgs, or doesn't change anything anyway.
+ */
+function supportsDryRun(command) {
+  return command.dryRunArgs || command.isReadOnly ? true : false;
+}
+
+/**
+ * List some subcommands after a label, wrapped to fit the terminal.
+ * @param {*} label The label, e.g. "Commands that support --dry-run:".
+ * @param {*} names The subcommand names.
+ * @returns The lines of the list.
+ */
+function wrapNames(label, names) {
+  let str = label;
+  let line = "";
+  names.forEach(function (name, index) {
+    const word = name + (index < names.length - 1 ? "," : "");
+    if (line && line.length + word.length > 76) {
+      str += "\n  " + line;
+      line = "";
+    }
+    line += (line ? " " : "") + word;
+  });
+  return str + "\n  " + line + "\n";
+}
+
+/**
+ * The usage message for the tool, or for one subcommand.
+ * @param {*} commandName The subcommand, or null for the whole tool.
+ * @returns The usage message.
+ */
+function usage(commandName = null) {
+  const options =
+    "Options:\n" +
+    "  --data-dir <dir>  Read and write newspaper data in <dir> instead of docs/data\n" +
+    "  --input <file>    Read <file> instead of the job's usual input (MARC or Papers Past file)\n" +
+    "  --dry-run         Report what the job would change without changing anything (only\n" +
+    "                    some jobs, see below)\n" +
+    "  --verbose         Print the script being run, its exit code and time, and extra\n" +
+    "                    detail for some jobs (see below)\n" +
+    "  --json            Print a JSON summary of the job, including its log\n" +
+    "  --help            Print this message\n";
+
+  if (commandName) {
+    const command = commands[commandName];
+    return (
+      "Usage: nzn " +
+      commandName +
+      " [options]" +
+      (command.usage ? " " + command.usage : "") +
+      "\n\n" +
+      command.description +
+      " (runs " +
+      command.script +
+      (command.args ? " " + command.args.join(" ") : "") +
+      ").\n\n" +
+      options +
+      "\nThis command " +
+      (supportsDryRun(command) ? "supports" : "doesn't support") +
+      " --dry-run, and " +
+      (command.hasVerboseDetail ? "prints" : "doesn't print") +
+      " extra detail with --verbose.\n"
+    );
+  }
+
+  let str = "Usage: nzn <command> [options]\n\nCommands:\n";
+  const width = Math.max(...Object.keys(commands).map((name) => name.length));
+  for (const [name, command] of Object.entries(commands)) {
+    str += "  " + name.padEnd(width + 2) + command.description + "\n";
+  }
+  const names = Object.keys(commands);
+  return (
+    str +
+    "\n" +
+    options +
+    "\n" +
+    wrapNames(
+      "Commands that support --dry-run:",
+      names.filter((name) => supportsDryRun(commands[name]))
+    ) +
+    wrapNames(
+      "Commands that print extra detail with --verbose:",
+      names.filter((name) => commands[name].hasVerboseDetail)
+    )
+  );
+}
+
+/**
+ * Split the command line into a subcommand, options, and other arguments.
+ * @param {*} argv The command line arguments, without "node" and the script name.
+ * @returns A dict with the "command", "options", "args", and any usage "error".
+ */
+function parseArgs(argv) {
+  let result = {
+    command: null,
+    options: {
+      dataDir: null,
+      input: null,
+      dryRun: false,
+      verbose: false,
+      json: false,
+      help: false,
+    },
+    args: [],
+    error: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg == "--help" || arg == "-h") {
+      result.options.help = true;
+    } else if (arg == "--dry-run") {
+      result.options.dryRun = true;
+    } else if (arg == "--verbose" || arg == "-v") {
+      result.options.verbose = true;
+    } else if (arg == "--json") {
+      result.options.json = true;
+    } else if (arg == "--data-dir") {
+      if (i + 1 >= argv.length) {
+        result.error = "Option --data-dir needs a directory";
+      } else {
+        result.options.dataDir = argv[++i];
+      }
+    } else if (arg.startsWith("--data-dir=")) {
+      result.options.dataDir = arg.substring("--data-dir=".length);
+    } else if (arg == "--input") {
+      if (i + 1 >= argv.length) {
+        result.error = "Option --input needs a file";
+      } else {
+        result.options.input = argv[++i];
+      }
+    } else if (arg.startsWith("--input=")) {
+      result.options.input = arg.substring("--input=".length);
+    } else if (arg.startsWith("-")) {
+      result.error = "Unknown option: " + arg;
+    } else if (!result.command) {
+      result.command = arg;
+    } else {
+      result.args.push(arg);
+    }
+  }
+
+  if (result.command == "help") {
+    result.command = result.args.shift() || null;
+    result.options.help = true;
+  }
+  if (!result.error && result.command && !commands[result.command]) {
+    result.error = "Unknown command: " + result.command;
+  }
+  return result;
+}
+
+/**
+ * Run a subcommand's script in a child process.
+ * @param {*} commandName The subcommand.
+ * @param {*} options The shared options from parseArgs().
+ * @param {*} extraArgs Other arguments to pass to the script.
+ * @returns The exit code.
+ */
+function runCommand(commandName, options, extraArgs) {
+  const command = commands[commandName];
+
+  let args = command.args || [];
+  if (options.dryRun && !command.isReadOnly) {
+    if (command.dryRunArgs) {
+      args = command.dryRunArgs;
+    } else {
+      console.error(
+        "Command '" +
+          commandName +
+          "' does not support --dry-run (see nzn --help for the commands that do)"
+      );
+      return 2;
+    }
+  }
+  args = args.concat(extraArgs);
+  if (options.input)
+    args = args.concat(["--input", path.resolve(options.input)]);
+
+  let env = Object.assign({}, process.env);
+  if (options.dataDir) env.NZN_DATA_DIR = path.resolve(options.dataDir);
+  if (options.verbose) env.NZN_VERBOSE = "1";
+
+  const scriptPath = path.join(repoDir, command.script);
+  if (options.verbose && !options.json) {
+    console.log("nzn: running " + command.script + " " + args.join(" "));
+    if (env.NZN_DATA_DIR) console.log("nzn: data dir " + env.NZN_DATA_DIR);
+  }
+
+  const started = Date.now();
+  const child = spawnSync(process.execPath, [scriptPath].concat(args), {
+    cwd: repoDir,
+    env: env,
+    stdio: options.json ? "pipe" : "inherit",
+    encoding: "utf8",
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  const exitCode = child.status === null ? 1 : child.status;
+
+  if (options.json) {
+    const lines = (text) => (text || "").split("\n").filter((line) => line);
+    const summary = {
+      command: commandName,
+      script: command.script,
+      args: args,
+      dataDir: env.NZN_DATA_DIR || null,
+      dryRun: options.dryRun,
+      exitCode: exitCode,
+      durationMs: Date.now() - started,
+      log: lines(child.stdout),
+      errors: lines(child.stderr),
+    };
+    console.log(JSON.stringify(summary, null, 2));
+  } else if (options.verbose) {
+    console.log(
+      "nzn: " +
+        commandName +
+        " finished with exit code " +
+        exitCode +
+        " in " +
+        (Date.now() - started) +
+        "ms"
+    );
+  }
+
+  return exitCode;
+}
+
+/**
+ * Run the tool.
+ * @param {*} argv The command line arguments, without "node" and the script name.
+ * @returns The exit code.
+ */
+function main(argv) {
+  const parsed = parseArgs(argv);
+
+  if (parsed.error) {
+    console.error(parsed.error);
+    console.error(usage());
+    return 2;
+  }
+  if (parsed.options.help) {
+    console.log(usage(parsed.command));
+    return 0;
+  }
+  if (!parsed.command) {
+    console.error(usage());
+    return 2;
+  }
+
+  return runCommand(parsed.command, parsed.options, parsed.args);
+}
+
+process.exitCode = main(process.argv.slice(2));
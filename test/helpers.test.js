@@ -0,0 +1,583 @@
+// helpers.test.js
+// Unit tests for the helper functions in the scripts folder.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+
+// Write any newspaper files into a scratch copy of the fixture data:
+const fixtureDir = path.join(__dirname, "fixtures");
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nzn-helpers-"));
+fs.cpSync(path.join(fixtureDir, "data"), path.join(tempDir, "data"), {
+  recursive: true,
+});
+process.env.NZN_DATA_DIR = path.join(tempDir, "data");
+
+const nznShared = require("../scripts/nzn-shared");
+const nznMarcFields = require("../scripts/nzn-marc-fields");
+const nznSchema = require("../scripts/nzn-schema");
+const nznPapersPast = require("../scripts/nzn-paperspast-updater");
+const nznConfig = require("../scripts/nzn-config");
+const structuredData = require("../docs/structured-data");
+const nznDom = require("../scripts/nzn-dom");
+const nznMerge = require("../scripts/nzn-merge");
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test("titleCleanup tidies MARC titles into Title Case", () => {
+  assert.strictEqual(
+    nznShared.titleCleanup("Bay of Islands advocate."),
+    "Bay Of Islands Advocate"
+  );
+  assert.strictEqual(nznShared.titleCleanup(" Kawakawa : "), "Kawakawa");
+});
+
+test("normaliseTitle ignores case, accents, punctuation and qualifiers", () => {
+  assert.strictEqual(
+    nznShared.normaliseTitle("The Star (Hawera, N.Z.)"),
+    "star"
+  );
+  assert.strictEqual(
+    nznShared.normaliseTitle("Te Karere Māori"),
+    nznShared.normaliseTitle("te karere maori")
+  );
+  assert.strictEqual(
+    nznShared.normaliseTitle("Press & Advertiser"),
+    "press and advertiser"
+  );
+});
+
+test("yearToNumber handles unknown and current years", () => {
+  assert.strictEqual(nznShared.yearToNumber("1840"), 1840);
+  assert.strictEqual(nznShared.yearToNumber("18uu"), 1800);
+  assert.strictEqual(nznShared.yearToNumber("uuuu"), null);
+  assert.strictEqual(nznShared.yearToNumber("9999"), new Date().getFullYear());
+});
+
+test("yearsOverlap allows for unknown years", () => {
+  assert.deepStrictEqual(nznShared.yearRange("18uu", "184u"), {
+    first: 1800,
+    final: 1849,
+  });
+  const range = (first, final) => nznShared.yearRange(first, final);
+  assert.ok(
+    nznShared.yearsOverlap(range("1905", "1914"), range("1910", "1920"))
+  );
+  assert.ok(
+    !nznShared.yearsOverlap(range("1905", "1914"), range("1915", "1920"))
+  );
+  assert.ok(
+    nznShared.yearsOverlap(range("1905", "1914"), range("1915", "1920"), 1)
+  );
+  assert.ok(
+    nznShared.yearsOverlap(range("uuuu", "1914"), range("1880", "1890"))
+  );
+});
+
+test("makePapersPastUrl turns a Papers Past title into a URL", () => {
+  assert.strictEqual(
+    nznShared.makePapersPastUrl("Akaroa Mail and Banks Peninsula Advertiser"),
+    "https://paperspast.natlib.govt.nz/newspapers/akaroa-mail-and-banks-peninsula-advertiser"
+  );
+  assert.strictEqual(
+    nznShared.makePapersPastUrl("Pelorus Guardian and Miners' Advocate."),
+    "https://paperspast.natlib.govt.nz/newspapers/pelorus-guardian-and-miners-advocate"
+  );
+  assert.strictEqual(
+    nznShared.makePapersPastUrl("Te Waka Māori o Niu Tirani"),
+    "https://paperspast.natlib.govt.nz/newspapers/te-waka-maori-o-niu-tirani"
+  );
+});
+
+test("isNewDateMoreSpecific only accepts more specific dates", () => {
+  const cases = [
+    ["1840", "1841", false],
+    ["uuuu", "1840", true],
+    ["9999", "1990", false],
+    ["18uu", "uuuu", false],
+    ["18uu", "9999", false],
+    ["1uuu", "19uu", true],
+    ["19uu", "1970", true],
+    ["19uu", "197u", true],
+    ["19uu", "1uuu", false],
+    ["197u", "1975", true],
+    ["197u", "19uu", false],
+  ];
+  cases.forEach(([current, proposed, expected]) => {
+    assert.strictEqual(
+      nznMarcFields.isNewDateMoreSpecific(current, proposed),
+      expected,
+      current + " -> " + proposed
+    );
+  });
+});
+
+test("placeCleanUp extracts New Zealand placenames from MARC 260", () => {
+  assert.strictEqual(
+    nznMarcFields.placeCleanUp("[Kawakawa, N.Z. :"),
+    "Kawakawa"
+  );
+  assert.strictEqual(
+    nznMarcFields.placeCleanUp("Kororareka [N.Z.]"),
+    "Kororareka"
+  );
+  assert.strictEqual(
+    nznMarcFields.placeCleanUp("Mangonui, N.Z. :"),
+    "Mangonui"
+  );
+  assert.strictEqual(nznMarcFields.placeCleanUp("London :"), null);
+  assert.strictEqual(nznMarcFields.placeCleanUp(null), null);
+});
+
+test("writeNewspaper puts the keys in the standard order", () => {
+  nznShared.writeNewspaper(
+    9001,
+    {
+      zebra: "last alphabetically",
+      links: { 1001: { direction: "Preceding", "target-description": "X" } },
+      sources: { "2001-01-01T00:00:00.000Z": "Old source" },
+      notes: { 1: "A note" },
+      revision: 3,
+      empty: "",
+      region: "Northland",
+      finalYear: "1900",
+      firstYear: "1890",
+      genre: "Newspaper",
+      title: "Test Paper",
+      id: 9001,
+    },
+    "Written by the tests."
+  );
+
+  const written = nznShared.readNewspaper(9001);
+  assert.deepStrictEqual(Object.keys(written), [
+    "id",
+    "title",
+    "genre",
+    "firstYear",
+    "finalYear",
+    "region",
+    "zebra",
+    "notes",
+    "links",
+    "sources",
+    "revision",
+  ]);
+  assert.strictEqual(written.revision, 4);
+
+  // Sources are sorted newest first:
+  const sources = Object.keys(written.sources);
+  assert.strictEqual(sources.length, 2);
+  assert.ok(sources[0] > sources[1]);
+  assert.strictEqual(written.sources[sources[0]], "Written by the tests.");
+});
+
+test("inverseLink and linkSide work out the link back", () => {
+  const source = { firstYear: "1900", finalYear: "1910" };
+  const target = { firstYear: "1910", finalYear: "1920" };
+  const link = { direction: "Succeeding", relationship: "Continued by" };
+  const inverse = nznShared.inverseLink(link, source, target);
+  assert.deepStrictEqual(inverse, {
+    direction: "Preceding",
+    relationship: "Continues",
+  });
+  assert.strictEqual(nznShared.linkSide(link), "Succeeding");
+  assert.strictEqual(nznShared.linkSide(inverse), "Preceding");
+
+  // Misspelled relationships in the data mean the same as the correct spelling:
+  for (const relationship of ["Incorporated by", "Incoporated by"]) {
+    const incorporated = {
+      direction: "Succeeding",
+      relationship: relationship,
+    };
+    assert.strictEqual(nznShared.linkSide(incorporated), "Succeeding");
+    assert.deepStrictEqual(
+      nznShared.inverseLink(incorporated, source, target),
+      {
+        direction: "Preceding",
+        relationship: "Incorporates",
+      }
+    );
+  }
+  for (const relationship of ["Separated from", "Separted from"]) {
+    const separated = { direction: "Preceding", relationship: relationship };
+    assert.deepStrictEqual(nznShared.inverseLink(separated, target, source), {
+      direction: "Succeeding",
+      relationship: "Split",
+    });
+  }
+});
+
+test("extractMarcFields reads the descriptive MARC fields", () => {
+  const marc = nznShared.readNewspaperMarc(1001);
+  const fields = nznMarcFields.extractMarcFields(marc);
+  assert.strictEqual(fields.publisher, "G.A. Eager & Co");
+  assert.strictEqual(
+    fields.numbering,
+    "Vol. 1, no. 1 (June 15, 1840)-v. 1, no. 27 (Dec. 10, 1840)"
+  );
+  assert.deepStrictEqual(fields.subjects, [
+    "Islands, Bay of (N.Z.)",
+    "Northland (N.Z.)",
+  ]);
+  assert.strictEqual(fields.otherFormats[0].description, "Online version");
+  assert.strictEqual(fields.notes.length, 3);
+});
+
+test("mergeMarcFields doesn't overwrite curated values", () => {
+  let newspaper = {
+    title: "Test Paper",
+    publisher: "Curated Publisher",
+    alternateTitle: { 1: "Other Paper" },
+    notes: { 1: "Title from caption." },
+  };
+  const changes = nznMarcFields.mergeMarcFields(
+    newspaper,
+    {
+      publisher: "MARC Publisher",
+      numbering: "No. 1-",
+      alternateTitle: ["Other paper", "Test Paper", "New Paper"],
+      notes: ["Title from caption.", "A new note."],
+    },
+    "123"
+  );
+  assert.strictEqual(newspaper.publisher, "Curated Publisher");
+  assert.strictEqual(newspaper.numbering, "No. 1-");
+  assert.deepStrictEqual(newspaper.alternateTitle, {
+    1: "Other Paper",
+    "marc-123-246-3": "New Paper",
+  });
+  assert.deepStrictEqual(newspaper.notes, {
+    1: "Title from caption.",
+    "marc-123-5xx-2": "A new note.",
+  });
+  assert.deepStrictEqual(Object.keys(changes).sort(), [
+    "alternateTitle",
+    "notes",
+    "numbering",
+  ]);
+});
+
+test("parseIssueDates understands the common 362 styles", () => {
+  const cases = [
+    [
+      "Vol. 1, no. 1 (June 15, 1840)-v. 1, no. 27 (Dec. 10, 1840)",
+      "1840-06-15",
+      "1840-12-10",
+    ],
+    ["1968 May11-1979 Mar.24", "1968-05-11", "1979-03-24"],
+    ["1987 Apr.9-Sep.10", "1987-04-09", "1987-09-10"],
+    ["1843 Nov.4-1844 Jan.?", "1843-11-04", null],
+    ["1866 Jul.25-?", "1866-07-25", null],
+    [
+      "Began with July 17, 2008; ceased with 17 June 2010.",
+      "2008-07-17",
+      "2010-06-17",
+    ],
+    ["Ceased with 9 Sept. 2005.", null, "2005-09-09"],
+    [
+      "Vol. 1, no. 1 (Hune 13, 1863)-v. 7, no. 7 (Hurae 27, 1871).",
+      "1863-06-13",
+      "1871-07-27",
+    ],
+    ["188-?-189-?", null, null],
+  ];
+  cases.forEach(([statement, first, final]) => {
+    const dates = nznMarcFields.parseIssueDates(statement);
+    assert.strictEqual(dates.firstIssueDate, first, statement);
+    assert.strictEqual(dates.finalIssueDate, final, statement);
+    assert.ok(dates.isParsed, statement);
+  });
+  assert.strictEqual(nznMarcFields.parseIssueDates("No. 1-").isParsed, false);
+});
+
+test("validateNewspaper accepts the fixtures and catches bad records", () => {
+  const idToGenre = nznShared.readIdToGenreFile();
+  for (const id of Object.keys(idToGenre)) {
+    const result = nznSchema.validateNewspaper(
+      nznShared.readNewspaper(id),
+      idToGenre
+    );
+    assert.deepStrictEqual(result.errors, [], "Record " + id);
+  }
+
+  let record = nznShared.readNewspaper(1001);
+  record.genre = "Magazine";
+  record.isCurrent = true;
+  record.firstYear = "184";
+  const result = nznSchema.validateNewspaper(record, idToGenre);
+  assert.strictEqual(result.errors.length, 3);
+});
+
+test("findPapersPastUrl prefers known URLs to guesses", () => {
+  const base = "https://paperspast.natlib.govt.nz/newspapers/";
+  assert.strictEqual(
+    nznPapersPast.findPapersPastUrl({ Title: "Te Waka Māori o Niu Tirani" }),
+    base + "te-waka-maori-o-niu-tirani"
+  );
+  assert.strictEqual(
+    nznPapersPast.findPapersPastUrl({ Title: "Press", Slug: "CHP" }),
+    base + "CHP"
+  );
+
+  const urlList = [base + "grey-river-argus", base + "otago-witness"];
+  assert.strictEqual(
+    nznPapersPast.findPapersPastUrl({ Title: "The Grey River Argus" }, urlList),
+    base + "grey-river-argus"
+  );
+  assert.strictEqual(
+    nznPapersPast.findPapersPastUrl({ Title: "Star" }, urlList),
+    null
+  );
+});
+
+test("parseCoverage reads the digitised coverage from a Papers Past row", () => {
+  assert.deepStrictEqual(
+    nznPapersPast.parseCoverage({
+      "First year": "1861",
+      "Last year": "1885",
+      "First issue": "1861-01-05",
+      Issues: "1204",
+      Gaps: "1870 - 1872; 1880",
+    }),
+    {
+      firstYear: "1861",
+      finalYear: "1885",
+      firstIssueDate: "1861-01-05",
+      issues: 1204,
+      gaps: ["1870-1872", "1880"],
+    }
+  );
+  assert.strictEqual(nznPapersPast.parseCoverage({ Code: "NA" }), null);
+
+  let record = nznShared.readNewspaper(1001);
+  record.digitisedCoverage = {
+    firstYear: "1839",
+    finalYear: "184",
+    issues: "27",
+  };
+  const result = nznSchema.validateNewspaper(record);
+  assert.strictEqual(result.errors.length, 2);
+  assert.strictEqual(result.warnings.length, 1);
+});
+
+test("stripPathArgs removes --data-dir and --input", () => {
+  assert.deepStrictEqual(
+    nznConfig.stripPathArgs([
+      "--data-dir",
+      "/tmp/data",
+      "report",
+      "--input=/tmp/file.mrc",
+      "1001",
+    ]),
+    ["report", "1001"]
+  );
+  assert.strictEqual(
+    nznConfig.getDataDir(["--data-dir=/tmp/data"], {}).dataDir,
+    path.resolve("/tmp/data")
+  );
+  assert.strictEqual(
+    nznConfig.getDataDir([], { NZN_DATA_DIR: "/tmp/env" }).source,
+    "NZN_DATA_DIR"
+  );
+  assert.strictEqual(
+    nznConfig.getBaseUrl({ NZN_BASE_URL: "http://localhost:8000" }),
+    "http://localhost:8000/"
+  );
+});
+
+test("getInputFile finds the --input option", () => {
+  assert.strictEqual(
+    nznConfig.getInputFile(["report", "--input", "/tmp/file.mrc"]),
+    path.resolve("/tmp/file.mrc")
+  );
+  assert.strictEqual(
+    nznConfig.getInputFile(["--input=/tmp/titles.tsv"]),
+    path.resolve("/tmp/titles.tsv")
+  );
+  assert.strictEqual(nznConfig.getInputFile(["report"]), null);
+});
+
+test("newspaperJsonLd describes a newspaper with schema.org terms", () => {
+  const jsonLd = structuredData.newspaperJsonLd(nznShared.readNewspaper(1004));
+  assert.strictEqual(jsonLd["@type"], "Newspaper");
+  assert.strictEqual(
+    jsonLd["@id"],
+    "https://www.nznewspapers.org/newspaper.html?id=1004"
+  );
+  assert.strictEqual(jsonLd.startDate, "1904");
+  assert.strictEqual(jsonLd.endDate, "1906");
+  assert.strictEqual(jsonLd.locationCreated.name, "Mangonui");
+  assert.strictEqual(
+    jsonLd.locationCreated.containedInPlace.containedInPlace.name,
+    "Northland"
+  );
+  assert.deepStrictEqual(jsonLd.sameAs, [
+    "https://www.nznewspapers.org/data/marc/1004.text",
+  ]);
+  assert.strictEqual(jsonLd.predecessorOf[0].name, "North Auckland Age");
+  assert.strictEqual(jsonLd.successorOf, undefined);
+
+  // Placeholder link keys don't have a page, so they are left out:
+  const unresolved = structuredData.newspaperJsonLd({
+    id: 2,
+    title: "Test",
+    genre: "Newspaper",
+    links: {
+      "unknown-1": {
+        direction: "Preceding",
+        relationship: "Continues",
+        "target-description": "Unknown Times",
+      },
+    },
+  });
+  assert.strictEqual(unresolved.successorOf, undefined);
+
+  // Unknown and current years are left out:
+  const current = structuredData.newspaperJsonLd({
+    id: 1,
+    title: "Test",
+    genre: "Masthead",
+    firstYear: "18uu",
+    finalYear: "9999",
+  });
+  assert.strictEqual(current["@type"], "Periodical");
+  assert.strictEqual(current.startDate, undefined);
+  assert.strictEqual(current.endDate, undefined);
+});
+
+test("placeJsonLd lists the papers published in a place", () => {
+  const jsonLd = structuredData.placeJsonLd({
+    stats: {
+      placename: "Russell",
+      district: "Far North District",
+      region: "Northland",
+      latitude: -35.26,
+      longitude: 174.12,
+    },
+    papers: [
+      { id: "1002", title: "Bay of Islands Advocate", firstYear: "1843" },
+    ],
+  });
+  assert.strictEqual(jsonLd["@type"], "Place");
+  assert.strictEqual(jsonLd.geo.latitude, -35.26);
+  assert.strictEqual(jsonLd.subjectOf.length, 1);
+  assert.strictEqual(jsonLd.subjectOf[0].startDate, "1843");
+});
+
+test("the page scripts' yearNumber handles unknown and current years", () => {
+  const context = vm.createContext({});
+  vm.runInContext(
+    fs.readFileSync(
+      path.join(__dirname, "..", "docs", "html-functions.js"),
+      "utf8"
+    ),
+    context
+  );
+  assert.strictEqual(context.yearNumber("1861", false), 1861);
+  assert.strictEqual(context.yearNumber("19uu", false), 1900);
+  assert.strictEqual(context.yearNumber("19uu", true), 1999);
+  assert.strictEqual(
+    context.yearNumber("9999", true),
+    new Date().getFullYear()
+  );
+  assert.strictEqual(context.yearNumber("uuuu", false), null);
+  assert.strictEqual(context.yearNumber(null, true), null);
+});
+
+test("the static page DOM builds and escapes HTML like the browser", () => {
+  const document = new nznDom.Document();
+  const box = document.body.appendChild(document.createElement("div"));
+  box.className = "contentbox";
+  const link = document.createElement("a");
+  const href = document.createAttribute("href");
+  href.value = 'place.html?place=Russell&x="1"';
+  link.setAttributeNode(href);
+  link.appendChild(document.createTextNode("Fish & <Chips>"));
+  box.appendChild(link);
+
+  // Appending the same node again moves it:
+  const other = document.body.appendChild(document.createElement("p"));
+  other.appendChild(link);
+  other.appendChild(link);
+
+  assert.strictEqual(
+    document.querySelector(".contentbox").toHtml(),
+    '<div class="contentbox"></div>'
+  );
+  assert.strictEqual(
+    other.toHtml(),
+    '<p><a href="place.html?place=Russell&amp;x=&quot;1&quot;">Fish &amp; &lt;Chips&gt;</a></p>'
+  );
+});
+
+test("mergeRecords fills gaps and combines lists, keeping the kept record's values", () => {
+  const keep = {
+    id: 1002,
+    title: "Bay of Islands Advocate",
+    firstYear: "18uu",
+    frequency: "Weekly",
+    notes: { a: "First note" },
+    links: { 1020: { direction: "Related" } },
+    sources: { "2013-04-02T08:58:38.000Z": "MARC" },
+  };
+  const other = {
+    id: 1020,
+    title: "Russell Advocate",
+    firstYear: "1843",
+    frequency: "Monthly",
+    publisher: "J. Moore",
+    notes: { a: "Second note", b: "First note" },
+    subjects: ["Islands, Bay of (N.Z.)"],
+    links: {
+      1002: { direction: "Related" },
+      1009: { direction: "Succeeding" },
+    },
+    sources: { "2014-05-07T09:14:07.000Z": "DataBot" },
+  };
+
+  const result = nznMerge.mergeRecords(keep, [other]);
+  assert.strictEqual(result.record.firstYear, "18uu");
+  assert.strictEqual(result.record.publisher, "J. Moore");
+  assert.deepStrictEqual(result.record.subjects, ["Islands, Bay of (N.Z.)"]);
+  assert.deepStrictEqual(result.record.notes, {
+    a: "First note",
+    "merged-1020-a": "Second note",
+  });
+  assert.deepStrictEqual(result.record.alternateTitle, {
+    "merged-1020": "Russell Advocate",
+  });
+  assert.deepStrictEqual(Object.keys(result.record.links), ["1009"]);
+  assert.strictEqual(Object.keys(result.record.sources).length, 2);
+  assert.deepStrictEqual(
+    result.conflicts.map((conflict) => conflict.field),
+    ["firstYear", "frequency"]
+  );
+
+  // The kept record itself is not changed:
+  assert.strictEqual(keep.publisher, undefined);
+});
+
+test("validateNewspaper checks redirect stubs against their own schema", () => {
+  const stub = {
+    id: 1020,
+    title: "Russell Advocate",
+    genre: "Redirect",
+    redirect: 1002,
+    sources: { "2026-01-01T00:00:00.000Z": "Merged into 1002" },
+    revision: 2,
+  };
+  let result = nznSchema.validateNewspaper(stub, {
+    1002: "Newspaper",
+    1020: "Redirect",
+  });
+  assert.deepStrictEqual(result, { errors: [], warnings: [] });
+
+  result = nznSchema.validateNewspaper(stub, { 1020: "Redirect" });
+  assert.deepStrictEqual(result.errors, [
+    "Redirect '1002' does not match a known newspaper id",
+  ]);
+});
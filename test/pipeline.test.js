@@ -0,0 +1,1291 @@
+// pipeline.test.js
+// End-to-end tests that run the pipeline scripts against a scratch copy of the fixture data.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const repoDir = path.join(__dirname, "..");
+const fixtureDir = path.join(__dirname, "fixtures");
+
+let tempDir = null;
+let dataDir = null;
+
+/**
+ * Run one of the scripts against the scratch data.
+ * @param {*} script The script filename, e.g. "nzn-summarise.js".
+ * @param {*} args Other arguments, like the mode.
+ * @returns The output of the script.
+ */
+function runScript(script, args = []) {
+  return execFileSync(
+    process.execPath,
+    [path.join(repoDir, "scripts", script), "--data-dir", dataDir].concat(args),
+    { cwd: os.tmpdir(), encoding: "utf8", timeout: 60000 }
+  );
+}
+
+/**
+ * Read a JSON file from the scratch data.
+ * @param {*} filename The path of the file, relative to the data directory.
+ * @returns The parsed JSON.
+ */
+function readData(filename) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, filename), "utf8"));
+}
+
+test.beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nzn-pipeline-"));
+  dataDir = path.join(tempDir, "data");
+  fs.cpSync(path.join(fixtureDir, "data"), dataDir, { recursive: true });
+});
+
+test.afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("summarise generates the site data", () => {
+  runScript("nzn-summarise.js");
+
+  const homeInfo = readData("homeInfo.json");
+  assert.strictEqual(homeInfo.stats.count, 7);
+  assert.deepStrictEqual(Object.keys(homeInfo.lists), ["Northland"]);
+
+  const titleInfo = readData("titleInfo.json");
+  assert.ok(titleInfo);
+
+  const russell = readData(path.join("places", "Russell.json"));
+  assert.strictEqual(russell.stats.district, "Far North District");
+  assert.strictEqual(russell.stats.region, "Northland");
+  assert.strictEqual(russell.stats.latitude, -35.26);
+
+  // Region and district pages:
+  const northland = readData(path.join("regions", "Northland.json"));
+  assert.strictEqual(northland.stats.count, 7);
+  assert.deepStrictEqual(northland.districts, [
+    { district: "Far North District", count: 7 },
+  ]);
+  assert.deepStrictEqual(
+    northland.places.map((place) => place.placename),
+    ["Kaitaia", "Kawakawa", "Mangonui", "Russell"]
+  );
+  const farNorth = readData(path.join("districts", "Far North District.json"));
+  assert.deepStrictEqual(farNorth.stats.regions, ["Northland"]);
+  assert.strictEqual(farNorth.papers[0].firstYear, "1840");
+
+  // Two title families: Northern Luminary, and Mangonui County Times to Northland Age:
+  const familyIndex = readData("familyIndex.json");
+  assert.strictEqual(familyIndex[1003], "1003");
+  assert.strictEqual(familyIndex[1009], "1003");
+  assert.strictEqual(familyIndex[1004], "1004");
+  assert.strictEqual(familyIndex[1011], "1004");
+  assert.strictEqual(familyIndex[1001], undefined);
+  const family = readData(path.join("families", "1004.json"));
+  assert.strictEqual(family.stats.count, 3);
+  assert.strictEqual(family.stats.title, "Northland Age");
+
+  const searchIndex = readData("searchIndex.json");
+  assert.strictEqual(searchIndex.records.length, 7);
+  assert.strictEqual(searchIndex.fields[0], "id");
+
+  // The map has every place but Kaitaia, which isn't in the fixture gazetteer:
+  const mapInfo = readData("mapInfo.json");
+  assert.deepStrictEqual(
+    mapInfo.places.map((place) => place.placename),
+    ["Kawakawa", "Mangonui", "Russell"]
+  );
+  assert.deepStrictEqual(mapInfo.missing, ["Kaitaia"]);
+  assert.strictEqual(mapInfo.places[2].latitude, -35.26);
+
+  // The GeoJSON and KML have a point for each paper with coordinates:
+  const geojson = readData("newspapers.geojson");
+  assert.strictEqual(geojson.features.length, 6);
+  const advocate = geojson.features.find((f) => f.properties.id == 1002);
+  assert.deepStrictEqual(advocate.geometry.coordinates, [174.12, -35.26]);
+  assert.strictEqual(advocate.properties.genre, "Newspaper");
+  assert.strictEqual(advocate.properties.urlCurrent, null);
+  const kml = fs.readFileSync(path.join(dataDir, "newspapers.kml"), "utf8");
+  assert.strictEqual(kml.match(/<Placemark>/g).length, 6);
+  assert.match(kml, /<coordinates>174.12,-35.26<\/coordinates>/);
+
+  // Sitemaps go in the folder above the data:
+  const sitemapIndex = fs.readFileSync(
+    path.join(tempDir, "sitemap.xml"),
+    "utf8"
+  );
+  assert.strictEqual(sitemapIndex.match(/<sitemap>/g).length, 3);
+  assert.doesNotMatch(sitemapIndex, /sitemap-static.xml/);
+  const papersSitemap = fs.readFileSync(
+    path.join(tempDir, "sitemap-papers.xml"),
+    "utf8"
+  );
+  assert.strictEqual(papersSitemap.match(/<url>/g).length, 7);
+  assert.match(
+    papersSitemap,
+    /<loc>https:\/\/www.nznewspapers.org\/newspaper.html\?id=1001<\/loc>\n    <lastmod>2022-01-18<\/lastmod>/
+  );
+  const placesSitemap = fs.readFileSync(
+    path.join(tempDir, "sitemap-places.xml"),
+    "utf8"
+  );
+  assert.match(placesSitemap, /district.html\?district=Far%20North%20District/);
+  assert.doesNotMatch(papersSitemap + placesSitemap, /static\//);
+});
+
+test("the sitemaps use the configured base URL", () => {
+  execFileSync(
+    process.execPath,
+    [path.join(repoDir, "scripts", "nzn-summarise.js"), "--data-dir", dataDir],
+    {
+      cwd: os.tmpdir(),
+      encoding: "utf8",
+      timeout: 60000,
+      env: Object.assign({}, process.env, {
+        NZN_BASE_URL: "https://example.org/nzn",
+      }),
+    }
+  );
+  const sitemapIndex = fs.readFileSync(
+    path.join(tempDir, "sitemap.xml"),
+    "utf8"
+  );
+  assert.match(
+    sitemapIndex,
+    /<loc>https:\/\/example.org\/nzn\/sitemap-papers.xml<\/loc>/
+  );
+  assert.doesNotMatch(sitemapIndex, /www.nznewspapers.org/);
+});
+
+test("incremental summarise only rewrites what changed", () => {
+  runScript("nzn-summarise.js");
+  const mtime = (filename) => fs.statSync(path.join(dataDir, filename)).mtimeMs;
+  const before = {
+    russell: mtime(path.join("places", "Russell.json")),
+    mangonui: mtime(path.join("places", "Mangonui.json")),
+    kawakawa: mtime(path.join("places", "Kawakawa.json")),
+    familyIndex: mtime("familyIndex.json"),
+    homeInfo: mtime("homeInfo.json"),
+  };
+
+  // Nothing has changed, so nothing is written:
+  let output = runScript("nzn-summarise.js", ["incremental"]);
+  assert.match(output, /Changed since the last run: 0 records in 0 places/);
+  assert.match(output, /Output files: 0 written/);
+
+  // Move the Bay of Islands Advocate from Russell to Mangonui:
+  const filename = path.join(dataDir, "papers", "1002.json");
+  let advocate = JSON.parse(fs.readFileSync(filename, "utf8"));
+  advocate.placename = "Mangonui";
+  fs.writeFileSync(filename, JSON.stringify(advocate, null, 2));
+
+  output = runScript("nzn-summarise.js", ["incremental"]);
+  assert.match(output, /Changed since the last run: 1 records in 2 places/);
+
+  const russell = readData(path.join("places", "Russell.json"));
+  assert.strictEqual(russell.stats.count, 1);
+  const mangonui = readData(path.join("places", "Mangonui.json"));
+  assert.strictEqual(mangonui.stats.count, 3);
+  assert.notStrictEqual(
+    mtime(path.join("places", "Russell.json")),
+    before.russell
+  );
+  assert.notStrictEqual(
+    mtime(path.join("places", "Mangonui.json")),
+    before.mangonui
+  );
+
+  // The untouched outputs are left alone:
+  assert.strictEqual(
+    mtime(path.join("places", "Kawakawa.json")),
+    before.kawakawa
+  );
+  assert.strictEqual(mtime("familyIndex.json"), before.familyIndex);
+  assert.notStrictEqual(mtime("homeInfo.json"), before.homeInfo);
+});
+
+test("summarising some ids keeps the other outputs", () => {
+  const nznSummarise = require("../scripts/nzn-summarise");
+  nznSummarise.summarise({ dataDir: dataDir });
+  const folders = ["places", "regions", "districts", "families"];
+  const listOutputs = () =>
+    folders.map((folder) => fs.readdirSync(path.join(dataDir, folder)).sort());
+  const before = listOutputs();
+  const manifest = readData("summariseManifest.json");
+
+  // Rename the Northern Luminary, and summarise just that record:
+  const filename = path.join(dataDir, "papers", "1003.json");
+  let luminary = JSON.parse(fs.readFileSync(filename, "utf8"));
+  luminary.title = "The Northern Luminary and Advertiser";
+  fs.writeFileSync(filename, JSON.stringify(luminary, null, 2));
+
+  const summary = nznSummarise.summarise({ dataDir: dataDir, ids: ["1003"] });
+  assert.strictEqual(summary.newspapers, 7);
+  assert.strictEqual(summary.rebuiltPlaces, 1);
+  assert.strictEqual(summary.removed, 0);
+  assert.deepStrictEqual(listOutputs(), before);
+
+  // The summary files still describe every record, with the new title:
+  assert.strictEqual(readData("homeInfo.json").stats.count, 7);
+  assert.strictEqual(readData("searchIndex.json").records.length, 7);
+  const kawakawa = readData(path.join("places", "Kawakawa.json"));
+  assert.ok(
+    kawakawa.papers.some(
+      (paper) => paper.title == "The Northern Luminary and Advertiser"
+    )
+  );
+
+  // The manifest is left for the next full or incremental run:
+  assert.deepStrictEqual(readData("summariseManifest.json"), manifest);
+});
+
+test("summarise removes places and areas that no longer have papers", () => {
+  runScript("nzn-summarise.js");
+  assert.ok(fs.existsSync(path.join(dataDir, "places", "Kaitaia.json")));
+
+  // Move the only Kaitaia paper to Auckland:
+  const filename = path.join(dataDir, "papers", "1011.json");
+  let newspaper = JSON.parse(fs.readFileSync(filename, "utf8"));
+  newspaper.placename = "Auckland";
+  newspaper.district = "Auckland";
+  newspaper.region = "Auckland";
+  fs.writeFileSync(filename, JSON.stringify(newspaper, null, 2));
+
+  const output = runScript("nzn-summarise.js", ["incremental"]);
+  assert.match(output, /Output files: .* 1 removed/);
+  assert.ok(!fs.existsSync(path.join(dataDir, "places", "Kaitaia.json")));
+  assert.ok(fs.existsSync(path.join(dataDir, "places", "Auckland.json")));
+  assert.ok(fs.existsSync(path.join(dataDir, "regions", "Auckland.json")));
+  assert.ok(fs.existsSync(path.join(dataDir, "regions", "Northland.json")));
+
+  // Move it back, so the Auckland region and district are empty:
+  newspaper.placename = "Kaitaia";
+  newspaper.district = "Far North District";
+  newspaper.region = "Northland";
+  fs.writeFileSync(filename, JSON.stringify(newspaper, null, 2));
+
+  runScript("nzn-summarise.js", ["incremental"]);
+  assert.ok(fs.existsSync(path.join(dataDir, "places", "Kaitaia.json")));
+  assert.ok(!fs.existsSync(path.join(dataDir, "places", "Auckland.json")));
+  assert.ok(!fs.existsSync(path.join(dataDir, "regions", "Auckland.json")));
+  assert.ok(!fs.existsSync(path.join(dataDir, "districts", "Auckland.json")));
+});
+
+test("summarising some ids leaves stale place and area files for a full run", () => {
+  const nznSummarise = require("../scripts/nzn-summarise");
+  nznSummarise.summarise({ dataDir: dataDir });
+  const stale = ["places", "regions", "districts"].map((folder) =>
+    path.join(dataDir, folder, "Gone.json")
+  );
+  stale.forEach((filename) => fs.writeFileSync(filename, "{}"));
+
+  nznSummarise.summarise({ dataDir: dataDir, ids: ["1001"] });
+  stale.forEach((filename) => assert.ok(fs.existsSync(filename), filename));
+
+  const summary = nznSummarise.summarise({ dataDir: dataDir });
+  assert.strictEqual(summary.removed, 3);
+  stale.forEach((filename) => assert.ok(!fs.existsSync(filename), filename));
+});
+
+test("summarising some ids only rewrites their title families", () => {
+  const nznSummarise = require("../scripts/nzn-summarise");
+  nznSummarise.summarise({ dataDir: dataDir });
+  const staleFamily = path.join(dataDir, "families", "9999.json");
+  fs.writeFileSync(staleFamily, "{}");
+
+  // The Northland Age's family is rewritten, and the Northern Luminary's is left alone:
+  const luminary = path.join(dataDir, "families", "1003.json");
+  fs.writeFileSync(luminary, "{}");
+  const summary = nznSummarise.summarise({ dataDir: dataDir, ids: ["1011"] });
+  assert.strictEqual(summary.families, 2);
+  assert.strictEqual(
+    readData(path.join("families", "1004.json")).stats.count,
+    3
+  );
+  assert.strictEqual(fs.readFileSync(luminary, "utf8"), "{}");
+  assert.ok(fs.existsSync(staleFamily));
+
+  // A full run rebuilds every family and removes the stale one:
+  nznSummarise.summarise({ dataDir: dataDir });
+  assert.strictEqual(
+    readData(path.join("families", "1003.json")).stats.count,
+    2
+  );
+  assert.ok(!fs.existsSync(staleFamily));
+});
+
+test("summarise removes title families that have been split up", () => {
+  runScript("nzn-summarise.js");
+  assert.ok(fs.existsSync(path.join(dataDir, "families", "1003.json")));
+
+  // Unlink the Northern Luminary from the Bay of Islands Luminary:
+  ["1003", "1009"].forEach(function (id) {
+    const filename = path.join(dataDir, "papers", id + ".json");
+    let newspaper = JSON.parse(fs.readFileSync(filename, "utf8"));
+    delete newspaper.links;
+    fs.writeFileSync(filename, JSON.stringify(newspaper, null, 2));
+  });
+
+  const output = runScript("nzn-summarise.js", ["incremental"]);
+  assert.match(output, /Output files: .* 1 removed/);
+  assert.ok(!fs.existsSync(path.join(dataDir, "families", "1003.json")));
+  assert.ok(fs.existsSync(path.join(dataDir, "families", "1004.json")));
+  assert.strictEqual(readData("familyIndex.json")[1009], undefined);
+});
+
+test("the Papers Past updater adds codes and URLs", () => {
+  runScript("nzn-paperspast-updater.js", [
+    "--input",
+    path.join(fixtureDir, "PapersPastNewspaperData.tsv"),
+  ]);
+
+  // Matched by title:
+  const advocate = readData(path.join("papers", "1002.json"));
+  assert.strictEqual(advocate.idPapersPastCode, "BOIA");
+  assert.strictEqual(
+    advocate.urlDigitized,
+    "https://paperspast.natlib.govt.nz/newspapers/bay-of-islands-advocate"
+  );
+  assert.strictEqual(advocate.revision, 5);
+  assert.deepStrictEqual(advocate.digitisedCoverage, {
+    firstYear: "1843",
+    finalYear: "1844",
+    issues: 30,
+  });
+
+  // Matched by code, and already up to date:
+  const advertiser = readData(path.join("papers", "1001.json"));
+  const fixture = JSON.parse(
+    fs.readFileSync(path.join(fixtureDir, "data", "papers", "1001.json"))
+  );
+  assert.strictEqual(advertiser.revision, fixture.revision);
+});
+
+test("the Papers Past updater proposes fuzzy matches for review", async () => {
+  const nznPapersPast = require("../scripts/nzn-paperspast-updater");
+  const inputFile = path.join(tempDir, "PapersPastNewspaperData.tsv");
+  fs.writeFileSync(
+    inputFile,
+    "Code\tTitle\tRegion\tFirst year\tLast year\n" +
+      "NL\tNORTHERN LUMINARY.\tNorthland\t1880\t1900\n" +
+      "BOIL\tBay of Islands Luminery\tNorthland\t1912\t1940\n" +
+      "BOIAD\tBay of Islands Advocat\tNorthland\t1843\t1844\n" +
+      "NAA\tThe North Auckland Age\tNorthland\t1950\t1960\n"
+  );
+
+  const first = await nznPapersPast.updateFromPapersPast({
+    dataDir: dataDir,
+    inputFile: inputFile,
+  });
+  assert.strictEqual(first.normalisedMatches, 1);
+  assert.strictEqual(first.proposedMatches, 2);
+  assert.strictEqual(first.noMatches, 1);
+
+  // Case and punctuation don't matter:
+  assert.strictEqual(
+    readData(path.join("papers", "1003.json")).idPapersPastCode,
+    "NL"
+  );
+
+  // Spelling variants are proposed, not applied:
+  let review = readData("paperspast-review.json");
+  assert.deepStrictEqual(Object.keys(review.proposals).sort(), [
+    "BOIAD",
+    "BOIL",
+  ]);
+  assert.strictEqual(review.proposals.BOIL.candidates[0].id, "1009");
+  assert.ok(review.proposals.BOIL.candidates[0].score < 100);
+  assert.strictEqual(
+    readData(path.join("papers", "1009.json")).idPapersPastCode,
+    undefined
+  );
+
+  // Decisions are applied on the next run, and kept in the review file:
+  review.proposals.BOIL.decision = "accept";
+  review.proposals.BOIAD.decision = "reject";
+  fs.writeFileSync(
+    path.join(dataDir, "paperspast-review.json"),
+    JSON.stringify(review)
+  );
+  const second = await nznPapersPast.updateFromPapersPast({
+    dataDir: dataDir,
+    inputFile: inputFile,
+  });
+  assert.strictEqual(second.acceptedMatches, 1);
+  assert.strictEqual(second.rejectedMatches, 1);
+  assert.strictEqual(second.proposedMatches, 0);
+  assert.strictEqual(
+    readData(path.join("papers", "1009.json")).idPapersPastCode,
+    "BOIL"
+  );
+  assert.strictEqual(
+    readData(path.join("papers", "1002.json")).idPapersPastCode,
+    undefined
+  );
+  assert.strictEqual(
+    readData("paperspast-review.json").proposals.BOIAD.decision,
+    "reject"
+  );
+});
+
+test("the Papers Past updater keeps curated URLs and checks the URL list", async () => {
+  const nznPapersPast = require("../scripts/nzn-paperspast-updater");
+  const inputFile = path.join(fixtureDir, "PapersPastNewspaperData.tsv");
+  const curated = "https://paperspast.natlib.govt.nz/newspapers/nz-advertiser";
+  let advertiser = readData(path.join("papers", "1001.json"));
+  advertiser.urlDigitized = curated;
+  fs.writeFileSync(
+    path.join(dataDir, "papers", "1001.json"),
+    JSON.stringify(advertiser)
+  );
+
+  // The curated URL is kept, but reported:
+  let result = await nznPapersPast.updateFromPapersPast({
+    dataDir: dataDir,
+    inputFile: inputFile,
+  });
+  assert.strictEqual(result.urlMismatches, 1);
+  assert.strictEqual(
+    readData(path.join("papers", "1001.json")).urlDigitized,
+    curated
+  );
+
+  // Only URLs in the URL list are used:
+  const urlFile = path.join(tempDir, "PapersPastTitleUrls.txt");
+  fs.writeFileSync(
+    urlFile,
+    "# Papers Past titles\n" +
+      "https://paperspast.natlib.govt.nz/newspapers/new-zealand-advertiser-and-bay-of-islands-gazette/\n"
+  );
+  result = await nznPapersPast.updateFromPapersPast({
+    dataDir: dataDir,
+    inputFile: inputFile,
+    urlFile: urlFile,
+    replaceUrls: true,
+  });
+  assert.strictEqual(result.unknownUrls, 2);
+  assert.strictEqual(
+    readData(path.join("papers", "1001.json")).urlDigitized,
+    "https://paperspast.natlib.govt.nz/newspapers/new-zealand-advertiser-and-bay-of-islands-gazette"
+  );
+  assert.strictEqual(
+    readData(path.join("papers", "1002.json")).urlDigitized,
+    "https://paperspast.natlib.govt.nz/newspapers/bay-of-islands-advocate"
+  );
+
+  await assert.rejects(
+    nznPapersPast.updateFromPapersPast({
+      dataDir: dataDir,
+      inputFile: inputFile,
+      urlFile: path.join(tempDir, "missing.txt"),
+    }),
+    /Missing Papers Past URL list/
+  );
+});
+
+test("the dedupe report clusters records and writes a merge plan", () => {
+  // A copy of the Bay of Islands Advocate, without a MARC number:
+  let copy = readData(path.join("papers", "1002.json"));
+  copy.id = 1020;
+  copy.title = "The Bay of Islands Advocate.";
+  delete copy.idMarcControlNumber;
+  fs.writeFileSync(
+    path.join(dataDir, "papers", "1020.json"),
+    JSON.stringify(copy)
+  );
+  let idToGenre = readData("newspaperIdToGenre.json");
+  idToGenre["1020"] = "Newspaper";
+  fs.writeFileSync(
+    path.join(dataDir, "newspaperIdToGenre.json"),
+    JSON.stringify(idToGenre)
+  );
+
+  let output = runScript("nzn-dedupe.js");
+  assert.match(output, /Found 1 clusters, with 1 duplicate records/);
+
+  let plan = readData("mergePlan.json");
+  assert.deepStrictEqual(Object.keys(plan.merges), ["1002+1020"]);
+  assert.strictEqual(plan.merges["1002+1020"].keep, "1002");
+  assert.deepStrictEqual(plan.merges["1002+1020"].merge, ["1020"]);
+  assert.deepStrictEqual(plan.merges["1002+1020"].differences, [
+    "idMarcControlNumber",
+    "title",
+  ]);
+
+  // The differing fields are side by side in the report:
+  const report = fs.readFileSync(path.join(dataDir, "dedupeReport.md"), "utf8");
+  assert.match(
+    report,
+    /\| \*\*title\*\* \| Bay of Islands Advocate \| The Bay of Islands Advocate. \|/
+  );
+
+  // Decisions are kept when the report is run again:
+  plan.merges["1002+1020"].decision = "merge";
+  fs.writeFileSync(path.join(dataDir, "mergePlan.json"), JSON.stringify(plan));
+  runScript("nzn-dedupe.js");
+  assert.strictEqual(
+    readData("mergePlan.json").merges["1002+1020"].decision,
+    "merge"
+  );
+});
+
+test("merging records moves their links and leaves a redirect", () => {
+  // A copy of the Bay of Islands Advocate, with a link from the Northern Luminary:
+  let copy = readData(path.join("papers", "1002.json"));
+  copy.id = 1020;
+  copy.title = "Bay of Islands Advocate and Russell Gazette";
+  copy.publisher = "Printed by J. Moore";
+  delete copy.idMarcControlNumber;
+  fs.writeFileSync(
+    path.join(dataDir, "papers", "1020.json"),
+    JSON.stringify(copy)
+  );
+  let luminary = readData(path.join("papers", "1003.json"));
+  luminary.links["1020"] = {
+    direction: "Related",
+    relationship: "Unrelated",
+    "target-description": copy.title,
+  };
+  fs.writeFileSync(
+    path.join(dataDir, "papers", "1003.json"),
+    JSON.stringify(luminary)
+  );
+  let idToGenre = readData("newspaperIdToGenre.json");
+  idToGenre["1020"] = "Newspaper";
+  fs.writeFileSync(
+    path.join(dataDir, "newspaperIdToGenre.json"),
+    JSON.stringify(idToGenre)
+  );
+  fs.writeFileSync(
+    path.join(dataDir, "old_id_to_new_id.json"),
+    JSON.stringify({ 62043: 1002, 99999: 1020 })
+  );
+  fs.writeFileSync(
+    path.join(dataDir, "mergePlan.json"),
+    JSON.stringify({
+      merges: {
+        "1002+1020": { keep: "1002", merge: ["1020"], decision: "merge" },
+      },
+    })
+  );
+
+  const output = runScript("nzn-merge.js", ["merge-plan"]);
+  assert.match(output, /Merged 1 records into 1002 \(1 links moved/);
+  assert.strictEqual(
+    readData("mergePlan.json").merges["1002+1020"].decision,
+    "merged"
+  );
+
+  // The kept record has the merged record's extra fields and title:
+  const advocate = readData(path.join("papers", "1002.json"));
+  assert.strictEqual(advocate.publisher, "Printed by J. Moore");
+  assert.deepStrictEqual(advocate.alternateTitle, {
+    "merged-1020": "Bay of Islands Advocate and Russell Gazette",
+  });
+  assert.ok(Object.values(advocate.sources)[0].startsWith("Merged records"));
+
+  // The merged record is a redirect, and nothing points to it any more:
+  const stub = readData(path.join("papers", "1020.json"));
+  assert.strictEqual(stub.genre, "Redirect");
+  assert.strictEqual(stub.redirect, 1002);
+  assert.strictEqual(readData("newspaperIdToGenre.json")["1020"], "Redirect");
+  luminary = readData(path.join("papers", "1003.json"));
+  assert.deepStrictEqual(Object.keys(luminary.links), ["1002", "1009"]);
+  assert.strictEqual(
+    luminary.links["1002"]["target-description"],
+    "Bay of Islands Advocate"
+  );
+  assert.deepStrictEqual(readData("old_id_to_new_id.json"), {
+    62043: 1002,
+    99999: 1002,
+  });
+
+  // The stub is valid, and isn't summarised as a newspaper:
+  const validation = runScript("nzn-validate.js");
+  assert.match(validation, /Checked 8 files/);
+  assert.match(validation, /Invalid files: 0/);
+  runScript("nzn-summarise.js");
+  assert.strictEqual(readData("homeInfo.json").stats.count, 7);
+  assert.ok(
+    !readData("searchIndex.json").records.some((record) => record[0] == 1020)
+  );
+});
+
+test("merged records keep their MARC numbers, so they aren't added again", () => {
+  runScript("nzn-merge.js", ["merge", "1001", "1002"]);
+
+  const stub = readData(path.join("papers", "1002.json"));
+  assert.strictEqual(stub.idMarcControlNumber, "8131743");
+  assert.strictEqual(
+    readData(path.join("papers", "1001.json")).idMarcControlNumber,
+    "7665176"
+  );
+  assert.ok(!fs.existsSync(path.join(dataDir, "marc", "1002.text")));
+  assert.match(runScript("nzn-validate.js"), /Invalid files: 0/);
+
+  const output = runScript("nzn-nat-bib-updater.js", [
+    "add-new-records",
+    "--input",
+    path.join(fixtureDir, "PubsNZ.mrc"),
+  ]);
+  assert.match(output, /count-skipped-merged -> 1/);
+  assert.ok(fs.existsSync(path.join(dataDir, "papers", "1012.json")));
+  assert.ok(!fs.existsSync(path.join(dataDir, "papers", "1013.json")));
+  assert.strictEqual(
+    readData(path.join("papers", "1012.json")).title,
+    "On Guard"
+  );
+});
+
+test("splitting a record copies it and moves the chosen links", () => {
+  runScript("nzn-merge.js", [
+    "split",
+    "1003",
+    "title=Bay of Islands Luminary and Kawakawa Advertiser",
+    "firstYear=1895",
+    "original.finalYear=1894",
+    "links=1009",
+  ]);
+
+  const luminary = readData(path.join("papers", "1003.json"));
+  assert.strictEqual(luminary.finalYear, "1894");
+  assert.strictEqual(luminary.links, undefined);
+
+  const split = readData(path.join("papers", "1012.json"));
+  assert.strictEqual(
+    split.title,
+    "Bay of Islands Luminary and Kawakawa Advertiser"
+  );
+  assert.strictEqual(split.firstYear, "1895");
+  assert.strictEqual(split.finalYear, "1910");
+  assert.strictEqual(split.placename, "Kawakawa");
+  assert.strictEqual(split.idMarcControlNumber, undefined);
+  assert.deepStrictEqual(Object.keys(split.links), ["1009"]);
+  assert.ok(Object.values(split.sources)[0].startsWith("Split from 1003"));
+
+  const target = readData(path.join("papers", "1009.json"));
+  assert.deepStrictEqual(Object.keys(target.links), ["1012"]);
+  assert.strictEqual(readData("newspaperIdToGenre.json")["1012"], "Newspaper");
+
+  // Fields that aren't in the schema can't be set:
+  assert.throws(
+    () => runScript("nzn-merge.js", ["split", "1003", "colour=red"]),
+    /Field 'colour' can't be set by a split/
+  );
+});
+
+test("the National Bibliography dry run reports the changes without making them", async () => {
+  const nznNatBib = require("../scripts/nzn-nat-bib-updater");
+  const readFolder = (folder) =>
+    fs
+      .readdirSync(path.join(dataDir, folder))
+      .map((filename) => [
+        filename,
+        fs.readFileSync(path.join(dataDir, folder, filename), "utf8"),
+      ]);
+  const before = ["papers", "marc"].map(readFolder);
+
+  const reportFile = path.join(tempDir, "nat-bib-dry-run.json");
+  await nznNatBib.updateFromNatBib({
+    dataDir: dataDir,
+    inputFile: path.join(fixtureDir, "PubsNZ.mrc"),
+    mode: "dry-run",
+    reportFile: reportFile,
+  });
+
+  // The JSON report has the new record, the changes, and the skipped record:
+  const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+  assert.strictEqual(report.newRecords.length, 1);
+  assert.strictEqual(report.newRecords[0].newspaperId, 1012);
+  assert.strictEqual(report.newRecords[0].record.title, "On Guard");
+  assert.strictEqual(report.updatedRecords.length, 1);
+  assert.strictEqual(report.updatedRecords[0].newspaperId, "1002");
+  assert.deepStrictEqual(report.updatedRecords[0].changes.firstYear, {
+    before: "18uu",
+    after: "1843",
+  });
+  assert.strictEqual(report.skippedRecords[0].reason, "infrequent");
+
+  // The Markdown report has the same rows:
+  const md = fs.readFileSync(path.join(tempDir, "nat-bib-dry-run.md"), "utf8");
+  assert.match(
+    md,
+    /\* New records: 1\n\* Updated records: 1\n\* Skipped records: 1/
+  );
+  assert.match(md, /\| 8177453 \| 1012 \| On Guard \| Newspaper \|/);
+  assert.match(
+    md,
+    /\| 8131743 \| 1002 \| Bay of Islands Advocate \| firstYear \| 18uu \| 1843 \|/
+  );
+  assert.match(md, /\| infrequent \|/);
+
+  // No newspaper or MARC file is written:
+  assert.deepStrictEqual(["papers", "marc"].map(readFolder), before);
+});
+
+test("the National Bibliography updater updates existing records", () => {
+  runScript("nzn-nat-bib-updater.js", [
+    "update-existing-records",
+    "--input",
+    path.join(fixtureDir, "PubsNZ.mrc"),
+  ]);
+
+  const advocate = readData(path.join("papers", "1002.json"));
+  assert.strictEqual(advocate.firstYear, "1843");
+  assert.strictEqual(advocate.numbering, "1843 Nov.4-1844 Jan.?");
+  assert.deepStrictEqual(advocate.subjects, ["Islands, Bay of (N.Z.)"]);
+  const latest = Object.values(advocate.sources)[0];
+  assert.ok(latest.startsWith("Updated firstYear"), latest);
+
+  // No new records are added in this mode:
+  assert.ok(!fs.existsSync(path.join(dataDir, "papers", "1012.json")));
+});
+
+test("the National Bibliography updater adds new records", () => {
+  runScript("nzn-nat-bib-updater.js", [
+    "add-new-records",
+    "--input",
+    path.join(fixtureDir, "PubsNZ.mrc"),
+  ]);
+
+  // On Guard is new, and gets its place details from the other Mangonui papers:
+  const onGuard = readData(path.join("papers", "1012.json"));
+  assert.strictEqual(onGuard.title, "On Guard");
+  assert.strictEqual(onGuard.genre, "Newspaper");
+  assert.strictEqual(onGuard.placename, "Mangonui");
+  assert.strictEqual(onGuard.placecode, "01-01");
+  assert.strictEqual(onGuard.idMarcControlNumber, "8177453");
+  assert.ok(fs.existsSync(path.join(dataDir, "marc", "1012.text")));
+
+  // Existing records are not changed in this mode:
+  const advocate = readData(path.join("papers", "1002.json"));
+  assert.strictEqual(advocate.firstYear, "18uu");
+
+  // The monthly Whangarei Wild-cat is skipped:
+  assert.ok(!fs.existsSync(path.join(dataDir, "papers", "1013.json")));
+});
+
+test("the nzn tool passes the input file on to the job", () => {
+  const output = execFileSync(
+    process.execPath,
+    [
+      path.join(repoDir, "scripts", "nzn.js"),
+      "nat-bib-report",
+      "--data-dir",
+      dataDir,
+      "--input",
+      path.join(fixtureDir, "PubsNZ.mrc"),
+    ],
+    { cwd: os.tmpdir(), encoding: "utf8", timeout: 60000 }
+  );
+  assert.match(output, /MARC input: *.*fixtures\/PubsNZ.mrc/);
+  assert.match(output, /count-new-record-found -> 1/);
+  assert.ok(!fs.existsSync(path.join(dataDir, "papers", "1012.json")));
+});
+
+test("the nzn tool lists the commands that support --dry-run", () => {
+  const help = execFileSync(
+    process.execPath,
+    [path.join(repoDir, "scripts", "nzn.js"), "--help"],
+    { encoding: "utf8", timeout: 60000 }
+  );
+  const dryRunList = help.split("Commands that support --dry-run:")[1];
+  assert.match(dryRunList, /nat-bib-update/);
+  assert.doesNotMatch(dryRunList.split("--verbose")[0], /summarise/);
+
+  // Other commands are rejected, without running the job:
+  assert.throws(
+    () =>
+      execFileSync(
+        process.execPath,
+        [
+          path.join(repoDir, "scripts", "nzn.js"),
+          "summarise",
+          "--dry-run",
+          "--data-dir",
+          dataDir,
+        ],
+        { encoding: "utf8", timeout: 60000, stdio: "pipe" }
+      ),
+    (err) => err.status == 2 && /does not support --dry-run/.test(err.stderr)
+  );
+  assert.ok(!fs.existsSync(path.join(dataDir, "homeInfo.json")));
+});
+
+/**
+ * Change some fields of a newspaper record in the scratch data.
+ * @param {*} id The newspaper id.
+ * @param {*} changes A dict of the fields to set.
+ */
+function updatePaper(id, changes) {
+  const filename = path.join(dataDir, "papers", id + ".json");
+  let newspaper = JSON.parse(fs.readFileSync(filename, "utf8"));
+  Object.assign(newspaper, changes);
+  fs.writeFileSync(filename, JSON.stringify(newspaper, null, 2));
+}
+
+test("the link resolver renames placeholder links it can match", () => {
+  // A title match, a control number match, and a link to a paper we don't have:
+  updatePaper("1011", {
+    links: {
+      "unknown-1": {
+        direction: "Preceding",
+        relationship: "Continues",
+        "target-description": "North Auckland age",
+      },
+      "unknown-2": {
+        direction: "Succeeding",
+        relationship: "Continued by",
+        "target-description": "Guardian (Kaitaia, N.Z.)",
+      },
+    },
+  });
+  updatePaper("1003", {
+    links: {
+      "unknown-1": {
+        direction: "Succeeding",
+        relationship: "Continued by",
+        "target-description": "Luminary",
+        "target-control-number": "8131749",
+      },
+    },
+  });
+
+  const output = runScript("nzn-link-resolver.js", ["resolve"]);
+  assert.match(
+    output,
+    /Resolved 1011 'unknown-1' \(North Auckland age\) -> 1007 \(North Auckland Age\): title match scoring 11/
+  );
+  assert.match(
+    output,
+    /Resolved 1003 'unknown-1' \(Luminary\) -> 1009 \(Bay of Islands Luminary\): MARC control number 8131749/
+  );
+  assert.match(output, /\* Unresolved: 1 links/);
+  assert.match(output, /\* Records updated: 2 records/);
+
+  // The placeholder keys are renamed, and the unresolved link is left as it was:
+  const northlandAge = readData(path.join("papers", "1011.json"));
+  assert.deepStrictEqual(Object.keys(northlandAge.links), [
+    "1007",
+    "unknown-2",
+  ]);
+  assert.strictEqual(northlandAge.links[1007].relationship, "Continues");
+  assert.strictEqual(
+    northlandAge.links["unknown-2"]["target-description"],
+    "Guardian (Kaitaia, N.Z.)"
+  );
+  const luminary = readData(path.join("papers", "1003.json"));
+  assert.deepStrictEqual(Object.keys(luminary.links), ["1009"]);
+  assert.match(
+    Object.values(luminary.sources)[0],
+    /resolved using the nzn-link-resolver.js script/
+  );
+});
+
+test("the link resolver reports ambiguous and weak matches without changing anything", () => {
+  // Two papers with the same title, place and years can't be told apart:
+  ["1001", "1002"].forEach((id) =>
+    updatePaper(id, { title: "Luminary", firstYear: "1929", finalYear: "1930" })
+  );
+  updatePaper("1011", {
+    links: {
+      "unknown-1": {
+        direction: "Succeeding",
+        relationship: "Continued by",
+        "target-description": "Luminary",
+      },
+    },
+  });
+
+  // A title match with the wrong place and years isn't good enough:
+  updatePaper("1003", {
+    links: {
+      "unknown-1": {
+        direction: "Preceding",
+        relationship: "Continues",
+        "target-description": "Northland Age (Auckland, N.Z. : 1950)",
+      },
+    },
+  });
+
+  const before = ["1003", "1011"].map((id) =>
+    readData(path.join("papers", id + ".json"))
+  );
+  const output = runScript("nzn-link-resolver.js", ["report"]);
+  assert.match(
+    output,
+    /1011 'unknown-1' \(Luminary\): ambiguous: 1001, 1002 all scored 11/
+  );
+  assert.match(
+    output,
+    /1003 'unknown-1' \(Northland Age \(Auckland, N.Z. : 1950\)\): best candidate 1011 scored only 2/
+  );
+  assert.match(output, /\* Resolved: 0 links/);
+  assert.match(output, /\* Records updated: 0 records/);
+  assert.deepStrictEqual(
+    ["1003", "1011"].map((id) => readData(path.join("papers", id + ".json"))),
+    before
+  );
+});
+
+/**
+ * Set up issue dates that conflict, differ or can't be parsed, as well as the ones to fill in.
+ */
+function setUpIssueDates() {
+  updatePaper("1003", { firstYear: "1878" });
+  updatePaper("1004", { finalIssueDate: "1906-05-02" });
+  const marcFile = path.join(dataDir, "marc", "1009.text");
+  fs.writeFileSync(
+    marcFile,
+    fs
+      .readFileSync(marcFile, "utf8")
+      .replace("$a 1910?-1942?", "$a Published during the war")
+  );
+}
+
+test("the issue dates report counts the dates without changing anything", () => {
+  setUpIssueDates();
+  const readPapers = () =>
+    fs
+      .readdirSync(path.join(dataDir, "papers"))
+      .map((filename) =>
+        fs.readFileSync(path.join(dataDir, "papers", filename), "utf8")
+      );
+  const before = readPapers();
+
+  const output = runScript("nzn-issue-dates.js", ["report"]);
+  assert.match(output, /\* Statements: 7 362 fields/);
+  assert.match(output, /\* Unparsed: 1 statements/);
+  assert.match(
+    output,
+    /1009 \(Bay of Islands Luminary\): Published during the war/
+  );
+  assert.match(output, /\* Filled: 6 dates/);
+  assert.match(output, /\* Conflict with year: 1 dates/);
+  assert.match(
+    output,
+    /Conflict: 1003 \(Northern Luminary\) 362 gives firstIssueDate 1879-04-02 but firstYear is 1878/
+  );
+  assert.match(output, /\* Differs from record: 1 dates/);
+  assert.match(output, /\* Records updated: 0 records/);
+  assert.deepStrictEqual(readPapers(), before);
+});
+
+test("the issue dates updater fills in the missing dates", () => {
+  setUpIssueDates();
+  const output = runScript("nzn-issue-dates.js", ["update"]);
+  assert.match(output, /\* Records updated: 5 records/);
+
+  const advocate = readData(path.join("papers", "1002.json"));
+  assert.strictEqual(advocate.firstIssueDate, "1843-11-04");
+  assert.strictEqual(advocate.finalIssueDate, undefined);
+  assert.match(
+    Object.values(advocate.sources)[0],
+    /Issue dates derived from MARC 362/
+  );
+  const age = readData(path.join("papers", "1007.json"));
+  assert.strictEqual(age.firstIssueDate, "1906-05-08");
+  assert.strictEqual(age.finalIssueDate, "1918-01-24");
+
+  // Conflicting and differing dates are left alone:
+  const luminary = readData(path.join("papers", "1003.json"));
+  assert.strictEqual(luminary.firstIssueDate, undefined);
+  assert.strictEqual(luminary.finalIssueDate, "1910-03-25");
+  const times = readData(path.join("papers", "1004.json"));
+  assert.strictEqual(times.firstIssueDate, "1904-08-16");
+  assert.strictEqual(times.finalIssueDate, "1906-05-02");
+});
+
+test("the reciprocal links report skips links to the same record", () => {
+  let advocate = readData(path.join("papers", "1002.json"));
+  advocate.links = {
+    1002: {
+      direction: "Succeeding",
+      relationship: "Continued by",
+      "target-description": advocate.title,
+    },
+  };
+  fs.writeFileSync(
+    path.join(dataDir, "papers", "1002.json"),
+    JSON.stringify(advocate)
+  );
+
+  const output = runScript("nzn-reciprocal-links.js", ["report"]);
+  assert.doesNotMatch(output, /Mismatch: 1002/);
+  assert.match(output, /Links to itself: 1 links/);
+  assert.match(output, /Missing: 0 links/);
+});
+
+test("the reciprocal links updater adds the missing links back", () => {
+  const nznShared = require("../scripts/nzn-shared");
+
+  // The Bay of Islands Luminary loses its link back, and the Gazette gets a misspelled link:
+  updatePaper("1009", { links: {} });
+  const incorporated = {
+    direction: "Succeeding",
+    relationship: "Incoporated by",
+    "target-description": "Bay of Islands Advocate",
+  };
+  updatePaper("1001", { links: { 1002: incorporated } });
+
+  const output = runScript("nzn-reciprocal-links.js", ["add-missing-links"]);
+  assert.match(output, /Missing: 2 links/);
+  assert.match(output, /Records updated: 2 records/);
+
+  // The links back use the inverse relationships:
+  const luminary = readData(path.join("papers", "1009.json"));
+  const northern = readData(path.join("papers", "1003.json"));
+  assert.deepStrictEqual(
+    luminary.links[1003],
+    Object.assign(
+      nznShared.inverseLink(northern.links[1009], northern, luminary),
+      {
+        "target-description": "Northern Luminary",
+      }
+    )
+  );
+  assert.strictEqual(luminary.links[1003].relationship, "Continues");
+  assert.strictEqual(luminary.links[1003].direction, "Preceding");
+
+  const advocate = readData(path.join("papers", "1002.json"));
+  assert.deepStrictEqual(advocate.links[1001], {
+    direction: "Preceding",
+    relationship: "Incorporates",
+    "target-description":
+      "The New Zealand Advertiser and Bay of Islands Gazette",
+  });
+  assert.match(
+    Object.values(advocate.sources)[0],
+    /Added reciprocal links using the nzn-reciprocal-links.js script/
+  );
+
+  // Running it again finds nothing to add:
+  const again = runScript("nzn-reciprocal-links.js", ["add-missing-links"]);
+  assert.match(again, /Missing: 0 links/);
+});
+
+test("the gazetteer report lists places without coordinates", () => {
+  const output = runScript("nzn-gazetteer.js");
+  assert.match(
+    output,
+    /Missing coordinates:\n \* Kaitaia \(1 newspapers, 0 other records\)/
+  );
+  assert.match(output, /\* Missing coordinates: 1/);
+  assert.match(output, /\* Outside New Zealand: 0/);
+});
+
+test("export writes CSV and TSV files with flattened fields", () => {
+  runScript("nzn-export.js", ["Masthead"]);
+  const exportDir = path.join(dataDir, "export");
+  const readLines = (filename) =>
+    fs.readFileSync(path.join(exportDir, filename), "utf8").trim().split("\n");
+
+  const csv = readLines("nznewspapers.csv");
+  const header = csv[0].split(",");
+  assert.strictEqual(header[0], "id");
+  assert.strictEqual(csv.length, 8);
+
+  // The TSV has the same rows, and links are flattened into one cell:
+  const tsv = readLines("nznewspapers.tsv").map((line) => line.split("\t"));
+  assert.strictEqual(tsv.length, 8);
+  tsv.forEach((row) => assert.strictEqual(row.length, header.length));
+  const mangonuiTimes = tsv.find((row) => row[0] == "1004");
+  assert.match(
+    mangonuiTimes[header.indexOf("links")],
+    /^Continued by 1007 \(North Auckland Age\)$/
+  );
+  assert.strictEqual(mangonuiTimes[header.indexOf("isCurrent")], "false");
+
+  // Only Newspaper records in the newspapers export, and no Mastheads at all:
+  assert.strictEqual(readLines("nznewspapers-newspapers.csv").length, 8);
+  assert.strictEqual(readLines("nznewspapers-masthead.csv").length, 1);
+
+  const exportInfo = readData(path.join("export", "exportInfo.json"));
+  assert.strictEqual(exportInfo.stats["nznewspapers-newspapers"], 7);
+  assert.deepStrictEqual(
+    exportInfo.columns.map((column) => column.name),
+    header
+  );
+  assert.strictEqual(
+    readLines("nznewspapers-columns.csv").length,
+    header.length + 1
+  );
+});
+
+test("static pages are rendered with links to each other", () => {
+  runScript("nzn-summarise.js");
+  let output = runScript("nzn-static.js");
+  assert.match(
+    output,
+    /Static pages: 15 \(15 written, 0 unchanged, 0 removed\)/
+  );
+
+  const readPage = (filename) =>
+    fs.readFileSync(path.join(tempDir, "static", filename), "utf8");
+
+  // The newspaper page is filled in by newspaper.js, and links to the static place page:
+  const advocate = readPage(path.join("newspaper", "1002.html"));
+  assert.match(advocate, /<title>Bay of Islands Advocate - Newspapers/);
+  assert.match(
+    advocate,
+    /<h2 id="newspapertitle">Bay of Islands Advocate<\/h2>/
+  );
+  assert.match(advocate, /<a href="static\/place\/Russell.html">Russell<\/a>/);
+  assert.match(advocate, /<base href="..\/..\/" \/>/);
+  assert.match(advocate, /application\/ld\+json/);
+  assert.match(
+    advocate,
+    /rel="canonical" href="https:\/\/www.nznewspapers.org\/newspaper.html\?id=1002"/
+  );
+  assert.match(
+    advocate,
+    /"@id":"https:\/\/www.nznewspapers.org\/newspaper.html\?id=1002"/
+  );
+  assert.doesNotMatch(advocate, /<script src="newspaper.js">/);
+
+  // The digitised coverage is shown with the years of publication:
+  assert.match(
+    readPage(path.join("newspaper", "1001.html")),
+    /digitised 1840 of 1840, 27 issues/
+  );
+
+  const district = readPage(path.join("district", "Far North District.html"));
+  assert.match(district, /href="static\/place\/Kaitaia.html"/);
+  assert.match(readPage("titles.html"), /href="static\/newspaper\/1001.html"/);
+
+  // Nothing changes on a second run, and old pages are removed:
+  fs.writeFileSync(path.join(tempDir, "static", "place", "Gone.html"), "");
+  output = runScript("nzn-static.js");
+  assert.match(output, /0 written, 15 unchanged, 1 removed/);
+});
+
+test("static pages describe newspapers with the configured base URL", () => {
+  runScript("nzn-summarise.js");
+  execFileSync(
+    process.execPath,
+    [path.join(repoDir, "scripts", "nzn-static.js"), "--data-dir", dataDir],
+    {
+      cwd: os.tmpdir(),
+      encoding: "utf8",
+      timeout: 60000,
+      env: Object.assign({}, process.env, {
+        NZN_BASE_URL: "https://example.org/nzn",
+      }),
+    }
+  );
+  const luminary = fs.readFileSync(
+    path.join(tempDir, "static", "newspaper", "1003.html"),
+    "utf8"
+  );
+  const jsonLd = JSON.parse(
+    luminary.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1]
+  );
+  assert.strictEqual(
+    jsonLd["@id"],
+    "https://example.org/nzn/newspaper.html?id=1003"
+  );
+  assert.strictEqual(
+    jsonLd.predecessorOf[0]["@id"],
+    "https://example.org/nzn/newspaper.html?id=1009"
+  );
+  assert.match(
+    luminary,
+    /rel="canonical" href="https:\/\/example.org\/nzn\/newspaper.html\?id=1003"/
+  );
+});
+
+test("validate reports the fixtures as valid", () => {
+  const output = runScript("nzn-validate.js");
+  assert.match(output, /Invalid files: 0/);
+});
+
+test("the scripts can be used as modules", async () => {
+  const nznSummarise = require("../scripts/nzn-summarise");
+  const nznNatBib = require("../scripts/nzn-nat-bib-updater");
+  const nznPapersPast = require("../scripts/nzn-paperspast-updater");
+
+  // Requiring a script doesn't run it:
+  assert.ok(!fs.existsSync(path.join(dataDir, "homeInfo.json")));
+
+  const summary = nznSummarise.summarise({ dataDir: dataDir });
+  assert.strictEqual(summary.newspapers, 7);
+  assert.strictEqual(summary.families, 2);
+  assert.ok(fs.existsSync(path.join(dataDir, "homeInfo.json")));
+
+  // The promise resolves once the whole MARC file has been read:
+  const report = await nznNatBib.updateFromNatBib({
+    dataDir: dataDir,
+    inputFile: path.join(fixtureDir, "PubsNZ.mrc"),
+    mode: "report",
+  });
+  assert.strictEqual(report.newspapers, 3);
+  assert.strictEqual(report.changeReport.newRecords.length, 1);
+  assert.strictEqual(report.changeReport.updatedRecords.length, 1);
+  assert.strictEqual(
+    report.changeReport.skippedRecords[0].reason,
+    "infrequent"
+  );
+  assert.strictEqual(
+    readData(path.join("papers", "1002.json")).firstYear,
+    "18uu"
+  );
+
+  // The report proposes an id for the new record, but doesn't take it or write its MARC file:
+  const newId = report.changeReport.newRecords[0].newspaperId;
+  assert.strictEqual(newId, 1012);
+  assert.ok(!fs.existsSync(path.join(dataDir, "marc", newId + ".text")));
+
+  const added = await nznNatBib.updateFromNatBib({
+    dataDir: dataDir,
+    inputFile: path.join(fixtureDir, "PubsNZ.mrc"),
+    mode: "add-new-records",
+  });
+  assert.strictEqual(added.stats["count-new-record-added"], 1);
+  assert.strictEqual(added.changeReport.newRecords[0].newspaperId, newId);
+  assert.strictEqual(
+    readData(path.join("papers", newId + ".json")).title,
+    "On Guard"
+  );
+  assert.match(
+    fs.readFileSync(path.join(dataDir, "marc", newId + ".text"), "utf8"),
+    /On guard/i
+  );
+
+  // Every MARC file belongs to a record:
+  fs.readdirSync(path.join(dataDir, "marc")).forEach((filename) =>
+    assert.ok(
+      fs.existsSync(
+        path.join(dataDir, "papers", filename.replace(".text", ".json"))
+      ),
+      filename
+    )
+  );
+
+  const papersPast = await nznPapersPast.updateFromPapersPast({
+    dataDir: dataDir,
+    inputFile: path.join(fixtureDir, "PapersPastNewspaperData.tsv"),
+  });
+  assert.deepStrictEqual(papersPast, {
+    records: 3,
+    codeMatches: 1,
+    acceptedMatches: 0,
+    titleMatches: 1,
+    normalisedMatches: 0,
+    proposedMatches: 0,
+    rejectedMatches: 0,
+    noMatches: 1,
+    updates: 1,
+    urlMismatches: 0,
+    unknownUrls: 0,
+  });
+
+  await assert.rejects(
+    nznPapersPast.updateFromPapersPast({
+      dataDir: dataDir,
+      inputFile: path.join(tempDir, "missing.tsv"),
+    }),
+    /Missing Papers Past data/
+  );
+});